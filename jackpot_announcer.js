@@ -0,0 +1,163 @@
+// jackpot_announcer.js - Flood-aware posting to the jackpot announcement channel
+//
+// Announcements are best-effort and must never slow a run down, so callers only enqueue. One drain loop
+// makes the Telegram calls, at most maxPerMinute of them (Telegram allows about 20 messages a minute into
+// one channel). A live message (keyed, e.g. "run:<session_id>") is edited at most once per editIntervalMs,
+// and only with its latest text: ten quick rolls turn into one edit, not ten. A 429 pauses the whole queue
+// for its retry_after. Other failures drop the announcement.
+
+function telegramRetryAfterMs(error) {
+    const retryAfter = error && error.response && error.response.body && error.response.body.parameters
+        ? error.response.body.parameters.retry_after
+        : null;
+    return retryAfter ? retryAfter * 1000 : null;
+}
+
+function isMessageNotModifiedError(error) {
+    return Boolean(error && error.response && error.response.body && /message is not modified/i.test(error.response.body.description || ''));
+}
+
+//   chatId: the announcement channel (numeric id or "@channelusername").
+//   telegram: { sendMessage(chatId, text, options), editMessageText(text, options) } (the bot).
+//   onSend({ method, error }): called after every Telegram call, e.g. for metrics.
+//   maxPending: queued announcements beyond this drop the oldest live-message update first.
+//   logger: a jackpot_logger.js logger.
+export function createAnnouncer({ chatId, telegram, maxPerMinute = 20, editIntervalMs = 3000, maxPending = 200, onSend = () => {}, logger, now = () => Date.now() }) {
+    const callGapMs = Math.ceil(60000 / maxPerMinute);
+    const liveMessages = new Map(); // Key -> { messageId, lastEditAt }
+    const pending = new Map(); // Key -> { text, final, oneOff, onPosted }; insertion order is delivery order
+    let nextCallAt = 0;
+    let drainTimeoutId = null;
+    let isDelivering = false;
+    let oneOffCount = 0;
+    let isStopped = false;
+
+    function readyAt(key, entry) {
+        const live = liveMessages.get(key);
+        return live && !entry.final ? live.lastEditAt + editIntervalMs : 0;
+    }
+
+    function scheduleDrain() {
+        if (isStopped || isDelivering || drainTimeoutId || pending.size === 0) return;
+        let earliestReadyAt = Infinity;
+        for (const [key, entry] of pending) earliestReadyAt = Math.min(earliestReadyAt, readyAt(key, entry));
+        const delayMs = Math.max(0, nextCallAt - now(), earliestReadyAt - now());
+        drainTimeoutId = setTimeout(() => {
+            drainTimeoutId = null;
+            drain();
+        }, delayMs);
+    }
+
+    async function deliver(key, entry) {
+        const live = liveMessages.get(key);
+        if (live) {
+            try {
+                await telegram.editMessageText(entry.text, { chat_id: chatId, message_id: live.messageId, parse_mode: 'HTML' });
+                onSend({ method: 'editMessageText' });
+            } catch (editError) {
+                if (!isMessageNotModifiedError(editError)) throw Object.assign(editError, { announceMethod: 'editMessageText' });
+            }
+            live.lastEditAt = now();
+        } else {
+            let sentMessage;
+            try {
+                // Only one-off announcements (a jackpot hit) notify the channel's subscribers.
+                sentMessage = await telegram.sendMessage(chatId, entry.text, { parse_mode: 'HTML', disable_notification: !entry.oneOff });
+                onSend({ method: 'sendMessage' });
+            } catch (sendError) {
+                throw Object.assign(sendError, { announceMethod: 'sendMessage' });
+            }
+            if (!entry.oneOff) liveMessages.set(key, { messageId: sentMessage.message_id, lastEditAt: now() });
+            if (entry.onPosted) entry.onPosted(sentMessage.message_id);
+        }
+        if (entry.final) liveMessages.delete(key);
+    }
+
+    async function drain() {
+        if (isStopped) return;
+        const currentTime = now();
+        let next = null;
+        for (const [key, entry] of pending) {
+            if (readyAt(key, entry) <= currentTime) {
+                next = [key, entry];
+                break;
+            }
+        }
+        if (!next) return scheduleDrain();
+
+        const [key, entry] = next;
+        pending.delete(key);
+        isDelivering = true;
+        try {
+            await deliver(key, entry);
+            nextCallAt = now() + callGapMs;
+        } catch (error) {
+            onSend({ method: error.announceMethod || 'sendMessage', error });
+            const retryAfterMs = telegramRetryAfterMs(error);
+            if (retryAfterMs) {
+                nextCallAt = now() + retryAfterMs;
+                logger.warn('announce.rate_limited', `Announcement channel rate-limited; pausing announcements for ${Math.round(retryAfterMs / 1000)}s.`, { retry_after_ms: retryAfterMs, key });
+                if (!pending.has(key)) { // A newer text for the same key supersedes this one
+                    const queued = Array.from(pending);
+                    pending.clear();
+                    pending.set(key, entry);
+                    for (const [queuedKey, queuedEntry] of queued) pending.set(queuedKey, queuedEntry);
+                }
+            } else {
+                nextCallAt = now() + callGapMs;
+                logger.warn('announce.failed', `Announcement ${key} dropped: ${error.message}`, { key, err: error });
+                if (entry.final) liveMessages.delete(key);
+            }
+        } finally {
+            isDelivering = false;
+            scheduleDrain();
+        }
+    }
+
+    function enqueue(key, entry) {
+        if (isStopped) return;
+        const superseded = pending.get(key);
+        if (superseded && superseded.onPosted && !entry.onPosted) entry.onPosted = superseded.onPosted;
+        if (!superseded && pending.size >= maxPending) {
+            const droppable = Array.from(pending).find(([, queued]) => !queued.final);
+            if (!droppable) {
+                logger.warn('announce.queue_full', `Announcement queue is full (${maxPending}); dropping ${key}.`, { key });
+                return;
+            }
+            pending.delete(droppable[0]);
+        }
+        pending.set(key, entry);
+        scheduleDrain();
+    }
+
+    return {
+        // Creates the live message for key, or edits it to text. messageId adopts a message posted earlier
+        // (e.g. by an instance that handed the run over); onPosted(messageId) is called once it is created.
+        publish(key, text, { messageId = null, onPosted = null } = {}) {
+            if (messageId && !liveMessages.has(key)) liveMessages.set(key, { messageId, lastEditAt: 0 });
+            enqueue(key, { text, final: false, oneOff: false, onPosted });
+        },
+        // Last edit of a live message; nothing is sent for a key that was never published.
+        finish(key, text, { messageId = null } = {}) {
+            if (messageId && !liveMessages.has(key)) liveMessages.set(key, { messageId, lastEditAt: 0 });
+            if (!liveMessages.has(key) && !pending.has(key)) return;
+            enqueue(key, { text, final: true, oneOff: false, onPosted: null });
+        },
+        // A separate, notifying message.
+        post(text) {
+            oneOffCount++;
+            enqueue(`post:${oneOffCount}`, { text, final: true, oneOff: true, onPosted: null });
+        },
+        // Forgets a live message without touching it (the run moved to another instance).
+        forget(key) {
+            liveMessages.delete(key);
+            pending.delete(key);
+        },
+        stop() {
+            isStopped = true;
+            if (drainTimeoutId) clearTimeout(drainTimeoutId);
+            drainTimeoutId = null;
+        },
+        get pendingCount() { return pending.size; }
+    };
+}
@@ -0,0 +1,72 @@
+// jackpot_dice_guard.js - Validation of the dice messages a player rolls a jackpot run with
+//
+// Only a fresh dice the player threw themselves, with the run's emoji and after the current prompt, may
+// count as a roll. A forwarded dice carries the value it landed on in another chat, so it is the obvious
+// way to replay an old 6. The checks here are pure; the helper deletes what they reject and records the
+// suspicious part of it.
+
+// Rejection reasons, as stored in de_jackpot_suspicious_events.reason and the dej_dice_rejected_total metric.
+export const DICE_REJECTION_REASONS = Object.freeze({
+    forwarded: 'forwarded',
+    edited: 'edited',
+    wrongEmoji: 'wrong_emoji',
+    beforePrompt: 'before_prompt',
+    rateLimited: 'rate_limited',
+    rollInProgress: 'roll_in_progress',
+});
+
+// The reasons that point at tampering rather than an impatient or clumsy player. Only these are written to
+// de_jackpot_suspicious_events; the rest are counted in the metric and logged.
+export const SUSPICIOUS_DICE_REJECTIONS = new Set([
+    DICE_REJECTION_REASONS.forwarded,
+    DICE_REJECTION_REASONS.edited,
+]);
+
+function isForwardedMessage(msg) {
+    return Boolean(msg.forward_origin || msg.forward_date || msg.forward_from || msg.forward_from_chat || msg.forward_sender_name);
+}
+
+// Returns a DICE_REJECTION_REASONS value, or null for a dice that may count.
+//   expectedEmoji: the dice emoji of the run's rules.
+//   promptedAt: when the current turn was prompted (ms). Telegram dates have one-second resolution and come
+//     from Telegram's clock, so a message is only "before the prompt" when it is older by more than clockSkewMs.
+export function checkDiceMessage(msg, { expectedEmoji, promptedAt, clockSkewMs = 2000 }) {
+    if (isForwardedMessage(msg)) return DICE_REJECTION_REASONS.forwarded;
+    if (msg.edit_date) return DICE_REJECTION_REASONS.edited;
+    if (msg.dice.emoji !== expectedEmoji) return DICE_REJECTION_REASONS.wrongEmoji;
+    if (promptedAt && msg.date * 1000 < promptedAt - clockSkewMs) return DICE_REJECTION_REASONS.beforePrompt;
+    return null;
+}
+
+// Sliding-window limiter keyed by user: at most maxEvents hits per windowMs.
+// hit(key) returns { allowed, firstRejection }; firstRejection is true for the first rejected hit of a
+// burst, so a flood is reported once rather than once per message.
+export function createRateLimiter({ maxEvents, windowMs, now = () => Date.now() }) {
+    const hitsByKey = new Map(); // Key -> { hits: [timestamps], rejecting: boolean }
+    let lastSweepAt = now();
+
+    function sweep(currentTime) {
+        for (const [key, entry] of hitsByKey) {
+            if (entry.hits.length === 0 || currentTime - entry.hits[entry.hits.length - 1] >= windowMs) hitsByKey.delete(key);
+        }
+        lastSweepAt = currentTime;
+    }
+
+    return {
+        hit(key) {
+            const currentTime = now();
+            if (currentTime - lastSweepAt >= windowMs) sweep(currentTime);
+            const entry = hitsByKey.get(key) || { hits: [], rejecting: false };
+            hitsByKey.set(key, entry);
+            while (entry.hits.length > 0 && currentTime - entry.hits[0] >= windowMs) entry.hits.shift();
+            if (entry.hits.length >= maxEvents) {
+                const firstRejection = !entry.rejecting;
+                entry.rejecting = true;
+                return { allowed: false, firstRejection };
+            }
+            entry.hits.push(currentTime);
+            entry.rejecting = false;
+            return { allowed: true, firstRejection: false };
+        }
+    };
+}
@@ -0,0 +1,118 @@
+// jackpot_history.js - Run history and per-chat leaderboards for the HelperDEJackpot bot
+//
+// /myjackpots and /jackpotboard read de_jackpot_sessions (and de_jackpot_roll_events for roll counts).
+// Pages are cached for a short TTL, and concurrent requests for the same page share one query, so a busy
+// group paging through the board doesn't turn every button press into a Postgres round trip.
+// A chat's cached pages are dropped as soon as one of its runs is finalized (invalidateChat).
+
+export const LEADERBOARD_BOARDS = Object.freeze(['scores', 'hits', 'streaks']);
+
+// Rolling windows rather than calendar days, so the board doesn't need the chat's time zone.
+export const LEADERBOARD_PERIODS = Object.freeze({ day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000, all: null });
+
+export const HISTORY_PAGE_SIZE = 5;
+export const LEADERBOARD_PAGE_SIZE = 10;
+const MAX_PAGE = 50; // Nobody pages that far; it bounds OFFSET for crafted callback data
+
+// Runs that count for the leaderboards: played to an end, not cancelled or broken by an error.
+const FINISHED_RUN_CONDITION = `s.status LIKE 'completed\\_%'`;
+
+// Per board: the value column and the aggregate over a player's finished runs in the period.
+const LEADERBOARD_QUERIES = {
+    scores: `MAX(s.final_score)::int`,
+    hits: `COUNT(*) FILTER (WHERE s.status = 'completed_target_reached')::int`,
+    streaks: `MAX(r.roll_count)::int`, // Longest run: the most jackpot rolls survived in one session
+};
+
+// TTL cache of promises. A rejected load is evicted straight away so the next request retries it.
+function createPageCache({ ttlMs, maxEntries, now }) {
+    const entries = new Map(); // Key -> { promise, expiresAt, chatId }
+    return {
+        get(key, chatId, load) {
+            const cached = entries.get(key);
+            if (cached && cached.expiresAt > now()) return cached.promise;
+            const promise = load();
+            entries.set(key, { promise, expiresAt: now() + ttlMs, chatId });
+            promise.catch(() => { if (entries.get(key)?.promise === promise) entries.delete(key); });
+            if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+            return promise;
+        },
+        invalidateChat(chatId) {
+            for (const [key, entry] of entries) {
+                if (entry.chatId === chatId) entries.delete(key);
+            }
+        }
+    };
+}
+
+function clampPage(page) {
+    const pageNumber = Number.parseInt(page, 10);
+    return Number.isInteger(pageNumber) && pageNumber >= 0 ? Math.min(pageNumber, MAX_PAGE) : 0;
+}
+
+//   query(text, values): runs a query and resolves to { rows } (pool.query).
+//   cacheTtlMs: how long a page is served from memory; 0 turns caching off.
+export function createJackpotHistory({ query, cacheTtlMs = 60000, maxCacheEntries = 1000, now = () => Date.now() }) {
+    const cache = createPageCache({ ttlMs: cacheTtlMs, maxEntries: maxCacheEntries, now });
+    const cached = (key, chatId, load) => (cacheTtlMs > 0 ? cache.get(key, chatId, load) : load());
+
+    // A player's runs, newest first: every status, including one still in progress. chatId limits them to
+    // one chat (a group); null lists the player's runs everywhere (a private chat with the helper).
+    // Resolves to { rows, page, hasNext }; each row carries run_rolls, the jackpot-run roll values in order.
+    function playerRuns({ userId, chatId = null, page = 0 }) {
+        const pageNumber = clampPage(page);
+        const cacheChatId = chatId === null ? null : String(chatId);
+        return cached(`runs:${userId}:${cacheChatId}:${pageNumber}`, cacheChatId, async () => {
+            const res = await query(
+                `SELECT s.*,
+                        COALESCE((SELECT json_agg(e.roll_value ORDER BY e.roll_index) FROM de_jackpot_roll_events e
+                                  WHERE e.session_id = s.session_id::text), '[]'::json) AS run_rolls
+                 FROM de_jackpot_sessions s
+                 WHERE s.user_id::text = $1 AND ($2::text IS NULL OR s.chat_id::text = $2)
+                 ORDER BY s.created_at DESC
+                 LIMIT $3 OFFSET $4`,
+                [String(userId), cacheChatId, HISTORY_PAGE_SIZE + 1, pageNumber * HISTORY_PAGE_SIZE]
+            );
+            return { rows: res.rows.slice(0, HISTORY_PAGE_SIZE), page: pageNumber, hasNext: res.rows.length > HISTORY_PAGE_SIZE };
+        });
+    }
+
+    // One leaderboard page for a chat. Resolves to { rows: [{ user_id, value, first_name, username }], page, hasNext }.
+    // Ties go to whoever got there first.
+    function leaderboard({ chatId, board, period, page = 0 }) {
+        if (!LEADERBOARD_QUERIES[board]) throw new Error(`Unknown leaderboard "${board}".`);
+        if (!(period in LEADERBOARD_PERIODS)) throw new Error(`Unknown leaderboard period "${period}".`);
+        const pageNumber = clampPage(page);
+        const chatKey = String(chatId);
+        return cached(`board:${chatKey}:${board}:${period}:${pageNumber}`, chatKey, async () => {
+            const periodMs = LEADERBOARD_PERIODS[period];
+            const since = periodMs === null ? null : new Date(now() - periodMs);
+            const res = await query(
+                `SELECT s.user_id::text AS user_id, ${LEADERBOARD_QUERIES[board]} AS value,
+                        MAX(p.first_name) AS first_name, MAX(p.username) AS username
+                 FROM de_jackpot_sessions s
+                 ${board === 'streaks' ? `CROSS JOIN LATERAL (SELECT COUNT(*) AS roll_count FROM de_jackpot_roll_events e
+                                                             WHERE e.session_id = s.session_id::text) r` : ''}
+                 LEFT JOIN de_jackpot_players p ON p.user_id = s.user_id::text
+                 WHERE s.chat_id::text = $1 AND ${FINISHED_RUN_CONDITION}
+                   AND ($2::timestamptz IS NULL OR s.updated_at >= $2)
+                 GROUP BY s.user_id
+                 HAVING ${LEADERBOARD_QUERIES[board]} > 0
+                 ORDER BY value DESC, MIN(s.updated_at) ASC
+                 LIMIT $3 OFFSET $4`,
+                [chatKey, since, LEADERBOARD_PAGE_SIZE + 1, pageNumber * LEADERBOARD_PAGE_SIZE]
+            );
+            return { rows: res.rows.slice(0, LEADERBOARD_PAGE_SIZE), page: pageNumber, hasNext: res.rows.length > LEADERBOARD_PAGE_SIZE };
+        });
+    }
+
+    return {
+        playerRuns,
+        leaderboard,
+        // Drops the chat's cached pages (and every player's cross-chat history, which may include the chat).
+        invalidateChat(chatId) {
+            cache.invalidateChat(String(chatId));
+            cache.invalidateChat(null);
+        }
+    };
+}
@@ -2,173 +2,351 @@
 
 import 'dotenv/config';
 import TelegramBot from 'node-telegram-bot-api';
-import { Pool } from 'pg';
-import axios from 'axios'; // Needed for price fetching
+import { Pool, Client } from 'pg';
+import os from 'os';
+import crypto from 'crypto';
+import { resolveJackpotRules, describeJackpotRules } from './jackpot_rules.js';
+import { createPriceOracle, buildPriceSourcesFromEnv, pairKey, SOL_USD_PAIR } from './jackpot_price_oracle.js';
+import { escapeHTML, trustedHTML, createMessageCatalog, loadCatalogOverrides } from './jackpot_messages.js';
+import { createHelperMetrics, telegramErrorCode, startHealthServer } from './jackpot_metrics.js';
+import { fiatFractionDigits, formatAtomicAmountAsToken } from './jackpot_money.js';
+import { createLoggerFromEnv } from './jackpot_logger.js';
+import { startWebhookServer, createRecentUpdateIds, isValidWebhookSecret } from './jackpot_webhook.js';
+import { DICE_REJECTION_REASONS, SUSPICIOUS_DICE_REJECTIONS, checkDiceMessage, createRateLimiter } from './jackpot_dice_guard.js';
+import { createAnnouncer } from './jackpot_announcer.js';
+import { createJackpotHistory, LEADERBOARD_BOARDS, LEADERBOARD_PERIODS, LEADERBOARD_PAGE_SIZE } from './jackpot_history.js';
+import { TURN_TIMEOUT_POLICIES, parseReminderPoints, resolveTurnSettings } from './jackpot_turn_timer.js';
+import { createSessionStore } from './jackpot_session_store.js';
+import { createTelegramQueue } from './jackpot_telegram_queue.js';
+import { createResultWebhookDispatcher } from './jackpot_result_callback.js';
+import { createJackpotRunEngine, hashProvablyFairServerSeed, deriveProvablyFairRollForRules, resolvePoolDisplaySettings, isMessageNotModifiedError } from './jackpot_run_engine.js';
+
+// Every replica runs under the same bot token (and so the same helper_bot_id), so session ownership is
+// tracked per process. Pin HELPER_DEJ_INSTANCE_ID to keep the same id across restarts.
+const HELPER_INSTANCE_ID = process.env.HELPER_DEJ_INSTANCE_ID || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Structured logs (see jackpot_logger.js). Every entry carries helper_instance; per-session code logs through
+// children that add component, session_id, user_id and chat_id.
+let log;
+try {
+    log = createLoggerFromEnv(process.env, { helper_instance: HELPER_INSTANCE_ID });
+} catch (loggerConfigError) {
+    console.error(`FATAL ERROR: Invalid logging configuration: ${loggerConfigError.message}`);
+    process.exit(1);
+}
 
 // --- Environment Variable Validation & Configuration ---
-console.log("HelperDEJackpot: Loading environment variables...");
+log.info('config.loading', "Loading environment variables...");
 
 const HELPER_DE_JACKPOT_BOT_TOKEN = process.env.HELPER_DE_JACKPOT_BOT_TOKEN;
 const DATABASE_URL = process.env.DATABASE_URL;
-const POLLING_INTERVAL_MS = process.env.HELPER_DEJ_DB_POLL_INTERVAL_MS ? parseInt(process.env.HELPER_DEJ_DB_POLL_INTERVAL_MS, 10) : 3000;
+const USE_LISTEN_NOTIFY_PICKUP = process.env.HELPER_DEJ_USE_LISTEN_NOTIFY !== 'false'; // Default: on
+const PICKUP_NOTIFY_CHANNEL = process.env.HELPER_DEJ_PICKUP_NOTIFY_CHANNEL || 'de_jackpot_pickup';
+// With LISTEN/NOTIFY the interval poll is only a fallback, so it defaults to a much slower cadence.
+const POLLING_INTERVAL_MS = process.env.HELPER_DEJ_DB_POLL_INTERVAL_MS ? parseInt(process.env.HELPER_DEJ_DB_POLL_INTERVAL_MS, 10) : (USE_LISTEN_NOTIFY_PICKUP ? 30000 : 3000);
+const LISTENER_RECONNECT_MAX_DELAY_MS = process.env.HELPER_DEJ_LISTENER_RECONNECT_MAX_DELAY_MS ? parseInt(process.env.HELPER_DEJ_LISTENER_RECONNECT_MAX_DELAY_MS, 10) : 30000;
 const MAX_SESSIONS_PER_CYCLE = process.env.HELPER_DEJ_MAX_SESSIONS_PER_CYCLE ? parseInt(process.env.HELPER_DEJ_MAX_SESSIONS_PER_CYCLE, 10) : 1;
+// Turn timeout defaults for sessions that don't set turn_timeout_ms / turn_reminders_ms / turn_timeout_policy
+// (see jackpot_turn_timer.js). Reminder points are "time left" values, e.g. "15000,5000".
 const JACKPOT_RUN_TURN_TIMEOUT_MS = process.env.HELPER_DEJ_TURN_TIMEOUT_MS ? parseInt(process.env.HELPER_DEJ_TURN_TIMEOUT_MS, 10) : 45000;
+const TURN_REMINDERS_MS_SETTING = process.env.HELPER_DEJ_TURN_REMINDERS_MS !== undefined ? process.env.HELPER_DEJ_TURN_REMINDERS_MS : '15000';
+const TURN_TIMEOUT_POLICY = process.env.HELPER_DEJ_TURN_TIMEOUT_POLICY || TURN_TIMEOUT_POLICIES.forfeit;
+// After this many auto-rolls in a row the auto_roll policy banks the run instead (0: no limit).
+const TURN_MAX_AUTO_ROLLS = process.env.HELPER_DEJ_TURN_MAX_AUTO_ROLLS ? parseInt(process.env.HELPER_DEJ_TURN_MAX_AUTO_ROLLS, 10) : 3;
+// A run resumed after a restart or handover gets at least this long for the turn it was on.
+const TURN_RESUME_MIN_MS = process.env.HELPER_DEJ_TURN_RESUME_MIN_MS ? parseInt(process.env.HELPER_DEJ_TURN_RESUME_MIN_MS, 10) : 15000;
+const TURN_TICK_INTERVAL_MS = process.env.HELPER_DEJ_TURN_TICK_MS ? parseInt(process.env.HELPER_DEJ_TURN_TICK_MS, 10) : 1000;
+const RUN_CARD_COUNTDOWN_INTERVAL_MS = process.env.HELPER_DEJ_COUNTDOWN_INTERVAL_MS ? parseInt(process.env.HELPER_DEJ_COUNTDOWN_INTERVAL_MS, 10) : 5000;
+const DICE_ANIMATION_DELAY_MS = process.env.HELPER_DEJ_DICE_ANIMATION_DELAY_MS ? parseInt(process.env.HELPER_DEJ_DICE_ANIMATION_DELAY_MS, 10) : 3500;
+// Per-player dice limit (see jackpot_dice_guard.js): at most DICE_RATE_LIMIT dice per DICE_RATE_WINDOW_MS.
+const DICE_RATE_LIMIT = process.env.HELPER_DEJ_DICE_RATE_LIMIT ? parseInt(process.env.HELPER_DEJ_DICE_RATE_LIMIT, 10) : 5;
+const DICE_RATE_WINDOW_MS = process.env.HELPER_DEJ_DICE_RATE_WINDOW_MS ? parseInt(process.env.HELPER_DEJ_DICE_RATE_WINDOW_MS, 10) : 10000;
+const DICE_CLOCK_SKEW_MS = process.env.HELPER_DEJ_DICE_CLOCK_SKEW_MS ? parseInt(process.env.HELPER_DEJ_DICE_CLOCK_SKEW_MS, 10) : 2000; // Tolerance for "sent before the prompt"
+const ALLOW_STOP_BUTTON = process.env.HELPER_DEJ_ALLOW_STOP_BUTTON !== 'false'; // Default: on
+const PROVABLY_FAIR_DEFAULT = process.env.HELPER_DEJ_PROVABLY_FAIR_DEFAULT === 'true'; // Used when a session doesn't set provably_fair
+const SESSION_LEASE_TTL_MS = process.env.HELPER_DEJ_SESSION_LEASE_MS ? parseInt(process.env.HELPER_DEJ_SESSION_LEASE_MS, 10) : 60000;
+const LEASE_RENEW_INTERVAL_MS = process.env.HELPER_DEJ_LEASE_RENEW_INTERVAL_MS ? parseInt(process.env.HELPER_DEJ_LEASE_RENEW_INTERVAL_MS, 10) : 15000;
+const RECOVERY_SWEEP_INTERVAL_MS = process.env.HELPER_DEJ_RECOVERY_INTERVAL_MS ? parseInt(process.env.HELPER_DEJ_RECOVERY_INTERVAL_MS, 10) : 60000;
+// On SIGTERM/SIGINT, in-flight runs get this long to finish before they are handed over (see drainActiveJackpotSessions).
+const SHUTDOWN_DRAIN_MS = process.env.HELPER_DEJ_SHUTDOWN_DRAIN_MS ? parseInt(process.env.HELPER_DEJ_SHUTDOWN_DRAIN_MS, 10) : 20000;
+// Port for /healthz, /readyz and /metrics; the HTTP server is off when unset.
+const HTTP_PORT = process.env.HELPER_DEJ_HTTP_PORT ? parseInt(process.env.HELPER_DEJ_HTTP_PORT, 10) : null;
+const HTTP_HOST = process.env.HELPER_DEJ_HTTP_HOST || '0.0.0.0';
+const READINESS_DB_TIMEOUT_MS = process.env.HELPER_DEJ_READINESS_DB_TIMEOUT_MS ? parseInt(process.env.HELPER_DEJ_READINESS_DB_TIMEOUT_MS, 10) : 2000;
+// Telegram user ids allowed to use the admin commands (/sessions, /session, /forcefinalize, /pause, /resume).
+const ADMIN_USER_IDS = new Set((process.env.HELPER_DEJ_ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean));
+// How updates arrive from Telegram: 'polling' (getUpdates, for local development) or 'webhook'.
+const TELEGRAM_MODE = (process.env.HELPER_DEJ_TELEGRAM_MODE || 'polling').toLowerCase();
+const WEBHOOK_URL = process.env.HELPER_DEJ_WEBHOOK_URL || null; // Public HTTPS URL registered with setWebHook
+const WEBHOOK_PORT = process.env.HELPER_DEJ_WEBHOOK_PORT ? parseInt(process.env.HELPER_DEJ_WEBHOOK_PORT, 10) : 8443;
+const WEBHOOK_HOST = process.env.HELPER_DEJ_WEBHOOK_HOST || '0.0.0.0';
+const WEBHOOK_SECRET = process.env.HELPER_DEJ_WEBHOOK_SECRET || null; // Checked against X-Telegram-Bot-Api-Secret-Token
+// TLS key/cert to serve HTTPS ourselves; leave unset behind an ingress that terminates TLS.
+const WEBHOOK_TLS_KEY_PATH = process.env.HELPER_DEJ_WEBHOOK_TLS_KEY || null;
+const WEBHOOK_TLS_CERT_PATH = process.env.HELPER_DEJ_WEBHOOK_TLS_CERT || null;
+const WEBHOOK_UPLOAD_CERT = process.env.HELPER_DEJ_WEBHOOK_UPLOAD_CERT === 'true'; // Send the cert to Telegram (self-signed certs)
+// Unregisters the webhook on shutdown. Set to false when several replicas share the webhook, so one going
+// away doesn't cut off the others.
+const WEBHOOK_DELETE_ON_SHUTDOWN = process.env.HELPER_DEJ_WEBHOOK_DELETE_ON_SHUTDOWN !== 'false'; // Default: on
 
 const PRICE_FETCH_RETRIES = process.env.HELPER_DEJ_PRICE_FETCH_RETRIES ? parseInt(process.env.HELPER_DEJ_PRICE_FETCH_RETRIES, 10) : 3;
 const PRICE_FETCH_INITIAL_DELAY_MS = process.env.HELPER_DEJ_PRICE_FETCH_INITIAL_DELAY_MS ? parseInt(process.env.HELPER_DEJ_PRICE_FETCH_INITIAL_DELAY_MS, 10) : 2000; // 2 seconds
 const PRICE_FETCH_MAX_DELAY_MS = process.env.HELPER_DEJ_PRICE_FETCH_MAX_DELAY_MS ? parseInt(process.env.HELPER_DEJ_PRICE_FETCH_MAX_DELAY_MS, 10) : 30000; // 30 seconds
+const PRICE_AGGREGATION = process.env.HELPER_DEJ_PRICE_AGGREGATION || 'median'; // 'median' or 'first'
+const PRICE_MAX_DEVIATION_PCT = process.env.HELPER_DEJ_PRICE_MAX_DEVIATION_PCT ? parseFloat(process.env.HELPER_DEJ_PRICE_MAX_DEVIATION_PCT) : 5;
+const PRICE_MAX_QUOTE_AGE_MS = process.env.HELPER_DEJ_PRICE_MAX_QUOTE_AGE_MS ? parseInt(process.env.HELPER_DEJ_PRICE_MAX_QUOTE_AGE_MS, 10) : 300000; // 5 minutes
+const PRICE_MIN_SOURCES = process.env.HELPER_DEJ_PRICE_MIN_SOURCES ? parseInt(process.env.HELPER_DEJ_PRICE_MIN_SOURCES, 10) : 1;
+const PRICE_MAX_STALE_CACHE_MS = process.env.HELPER_DEJ_PRICE_MAX_STALE_CACHE_MS ? parseInt(process.env.HELPER_DEJ_PRICE_MAX_STALE_CACHE_MS, 10) : 1800000; // 30 minutes
+// Used when neither the session nor its chat (de_jackpot_chat_settings) picks a display currency/locale.
+const DEFAULT_DISPLAY_CURRENCY = (process.env.HELPER_DEJ_DEFAULT_FIAT || 'USD').toUpperCase();
+const DEFAULT_DISPLAY_LOCALE = process.env.HELPER_DEJ_DEFAULT_LOCALE || 'en-US';
+// Message language when neither the session, its chat nor the player's Telegram language has a catalog.
+const DEFAULT_MESSAGE_LANGUAGE = process.env.HELPER_DEJ_DEFAULT_LANGUAGE || 'en';
+const MESSAGES_OVERRIDE_FILE = process.env.HELPER_DEJ_MESSAGES_FILE || null; // JSON: { "<language>": { "<key>": "<template>" } }
+// Announcement channel for jackpot runs (off when unset): a live message for runs close to the target, and a
+// celebration for every jackpot hit. Chats opt in with /jackpotannounce (or all are in with ANNOUNCE_DEFAULT_OPT_IN).
+const ANNOUNCE_CHAT_ID = process.env.HELPER_DEJ_ANNOUNCE_CHAT_ID || null; // Channel id or @channelusername
+const ANNOUNCE_DEFAULT_OPT_IN = process.env.HELPER_DEJ_ANNOUNCE_DEFAULT_OPT_IN === 'true';
+const ANNOUNCE_ON_CLAIM = process.env.HELPER_DEJ_ANNOUNCE_ON_CLAIM !== 'false'; // Default: on; the live message starts with the run
+const ANNOUNCE_NEAR_TARGET_POINTS = process.env.HELPER_DEJ_ANNOUNCE_NEAR_TARGET_POINTS ? parseInt(process.env.HELPER_DEJ_ANNOUNCE_NEAR_TARGET_POINTS, 10) : 5;
+const ANNOUNCE_MAX_PER_MINUTE = process.env.HELPER_DEJ_ANNOUNCE_MAX_PER_MINUTE ? parseInt(process.env.HELPER_DEJ_ANNOUNCE_MAX_PER_MINUTE, 10) : 20;
+const ANNOUNCE_EDIT_INTERVAL_MS = process.env.HELPER_DEJ_ANNOUNCE_EDIT_INTERVAL_MS ? parseInt(process.env.HELPER_DEJ_ANNOUNCE_EDIT_INTERVAL_MS, 10) : 3000;
+const ANNOUNCE_LANGUAGE = process.env.HELPER_DEJ_ANNOUNCE_LANGUAGE || null; // Defaults to HELPER_DEJ_DEFAULT_LANGUAGE
+// How long /myjackpots and /jackpotboard pages are served from memory (0: always query).
+const HISTORY_CACHE_TTL_MS = process.env.HELPER_DEJ_HISTORY_CACHE_MS ? parseInt(process.env.HELPER_DEJ_HISTORY_CACHE_MS, 10) : 60000;
+// Outbound queue for run cards, reminders and final results (see jackpot_telegram_queue.js).
+const TELEGRAM_GLOBAL_PER_SECOND = process.env.HELPER_DEJ_TELEGRAM_GLOBAL_PER_SECOND ? parseInt(process.env.HELPER_DEJ_TELEGRAM_GLOBAL_PER_SECOND, 10) : 25;
+const TELEGRAM_CHAT_INTERVAL_MS = process.env.HELPER_DEJ_TELEGRAM_CHAT_INTERVAL_MS ? parseInt(process.env.HELPER_DEJ_TELEGRAM_CHAT_INTERVAL_MS, 10) : 1000;
+const TELEGRAM_GROUP_PER_MINUTE = process.env.HELPER_DEJ_TELEGRAM_GROUP_PER_MINUTE ? parseInt(process.env.HELPER_DEJ_TELEGRAM_GROUP_PER_MINUTE, 10) : 20;
+const TELEGRAM_MAX_RETRIES = process.env.HELPER_DEJ_TELEGRAM_MAX_RETRIES ? parseInt(process.env.HELPER_DEJ_TELEGRAM_MAX_RETRIES, 10) : 5;
+const TELEGRAM_RETRY_BASE_MS = process.env.HELPER_DEJ_TELEGRAM_RETRY_BASE_MS ? parseInt(process.env.HELPER_DEJ_TELEGRAM_RETRY_BASE_MS, 10) : 500;
+const TELEGRAM_RETRY_MAX_MS = process.env.HELPER_DEJ_TELEGRAM_RETRY_MAX_MS ? parseInt(process.env.HELPER_DEJ_TELEGRAM_RETRY_MAX_MS, 10) : 30000;
+const TELEGRAM_GUARANTEED_MS = process.env.HELPER_DEJ_TELEGRAM_GUARANTEED_MS ? parseInt(process.env.HELPER_DEJ_TELEGRAM_GUARANTEED_MS, 10) : 600000; // Final results keep retrying this long; other calls wait out 429s this long
+const TELEGRAM_SHUTDOWN_FLUSH_MS = process.env.HELPER_DEJ_TELEGRAM_SHUTDOWN_FLUSH_MS ? parseInt(process.env.HELPER_DEJ_TELEGRAM_SHUTDOWN_FLUSH_MS, 10) : 10000;
+// Final results are pushed to the main bot as they commit, instead of it polling de_jackpot_sessions:
+// a NOTIFY on RESULT_NOTIFY_CHANNEL and/or a signed POST to RESULT_WEBHOOK_URL (see jackpot_result_callback.js).
+const RESULT_NOTIFY_CHANNEL = process.env.HELPER_DEJ_RESULT_NOTIFY_CHANNEL !== undefined ? process.env.HELPER_DEJ_RESULT_NOTIFY_CHANNEL : 'de_jackpot_result'; // Empty: no NOTIFY
+const RESULT_WEBHOOK_URL = process.env.HELPER_DEJ_RESULT_WEBHOOK_URL || null;
+const RESULT_WEBHOOK_SECRET = process.env.HELPER_DEJ_RESULT_WEBHOOK_SECRET || null; // HMAC-SHA256 key shared with the main bot
+const RESULT_WEBHOOK_TIMEOUT_MS = process.env.HELPER_DEJ_RESULT_WEBHOOK_TIMEOUT_MS ? parseInt(process.env.HELPER_DEJ_RESULT_WEBHOOK_TIMEOUT_MS, 10) : 5000;
+const RESULT_WEBHOOK_RETRY_BASE_MS = process.env.HELPER_DEJ_RESULT_WEBHOOK_RETRY_BASE_MS ? parseInt(process.env.HELPER_DEJ_RESULT_WEBHOOK_RETRY_BASE_MS, 10) : 2000;
+const RESULT_WEBHOOK_RETRY_MAX_MS = process.env.HELPER_DEJ_RESULT_WEBHOOK_RETRY_MAX_MS ? parseInt(process.env.HELPER_DEJ_RESULT_WEBHOOK_RETRY_MAX_MS, 10) : 600000; // 10 minutes
+const RESULT_OUTBOX_SWEEP_MS = process.env.HELPER_DEJ_RESULT_OUTBOX_SWEEP_MS ? parseInt(process.env.HELPER_DEJ_RESULT_OUTBOX_SWEEP_MS, 10) : 5000;
+const RESULT_SHUTDOWN_FLUSH_MS = process.env.HELPER_DEJ_RESULT_SHUTDOWN_FLUSH_MS ? parseInt(process.env.HELPER_DEJ_RESULT_SHUTDOWN_FLUSH_MS, 10) : 5000;
 
 
 if (!HELPER_DE_JACKPOT_BOT_TOKEN) {
-    console.error("FATAL ERROR: HELPER_DE_JACKPOT_BOT_TOKEN is not defined for the HelperDEJackpot Bot.");
+    log.error('config.invalid', "FATAL ERROR: HELPER_DE_JACKPOT_BOT_TOKEN is not defined for the HelperDEJackpot Bot.");
     process.exit(1);
 }
 if (!DATABASE_URL) {
-    console.error("FATAL ERROR: DATABASE_URL is not defined for the HelperDEJackpot Bot.");
+    log.error('config.invalid', "FATAL ERROR: DATABASE_URL is not defined for the HelperDEJackpot Bot.");
     process.exit(1);
 }
-console.log(`HelperDEJackpot: Token loaded.`);
-console.log(`HelperDEJackpot: DB Polling Interval: ${POLLING_INTERVAL_MS}ms`);
-console.log(`HelperDEJackpot: Max Sessions Per Cycle: ${MAX_SESSIONS_PER_CYCLE}`);
-console.log(`HelperDEJackpot: Turn Timeout for Jackpot Roll: ${JACKPOT_RUN_TURN_TIMEOUT_MS}ms`);
-console.log(`HelperDEJackpot: Price Fetch Retries: ${PRICE_FETCH_RETRIES}`);
-console.log(`HelperDEJackpot: Price Fetch Initial Delay: ${PRICE_FETCH_INITIAL_DELAY_MS}ms`);
-console.log(`HelperDEJackpot: Price Fetch Max Delay: ${PRICE_FETCH_MAX_DELAY_MS}ms`);
-
-// --- Constants and Price Utilities for Helper Bot ---
-const LAMPORTS_PER_SOL = 1000000000;
-const SOL_PRICE_API_URL_HELPER = process.env.SOL_PRICE_API_URL_HELPER || process.env.SOL_PRICE_API_URL || 'https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd';
-const MAIN_BOT_USERNAME_FOR_HELPER = process.env.MAIN_BOT_USERNAME || "MainCasinoBot";
-
-if (!SOL_PRICE_API_URL_HELPER && !process.env.SOL_PRICE_API_URL) { // Check if either is defined
-    console.warn("HelperDEJackpot: Neither SOL_PRICE_API_URL_HELPER nor SOL_PRICE_API_URL are defined. USD conversions for jackpot pool will fail or show N/A.");
+if (!/^[a-z_][a-z0-9_]*$/.test(PICKUP_NOTIFY_CHANNEL)) { // Interpolated into LISTEN and the trigger function
+    log.error('config.invalid', `FATAL ERROR: HELPER_DEJ_PICKUP_NOTIFY_CHANNEL "${PICKUP_NOTIFY_CHANNEL}" must be a lowercase SQL identifier.`);
+    process.exit(1);
 }
-
-// Simple cache for the helper bot's SOL/USD price
-const helperSolPriceCache = { price: null, timestamp: 0, isFetching: false };
-const HELPER_SOL_USD_PRICE_CACHE_TTL_MS = 3 * 60 * 1000; // 3 minutes
-
-async function fetchSolUsdPriceFromAPIForHelper() {
-    const apiUrl = SOL_PRICE_API_URL_HELPER;
-    const logPrefix = '[HelperDEJackpot_PriceFeed]';
-
-    if (!apiUrl) {
-        console.error(`${logPrefix} API URL is not configured.`);
-        throw new Error('Price API URL not configured for helper.');
+if (RESULT_NOTIFY_CHANNEL && !/^[a-z_][a-z0-9_]*$/.test(RESULT_NOTIFY_CHANNEL)) { // The main bot LISTENs on it
+    log.error('config.invalid', `FATAL ERROR: HELPER_DEJ_RESULT_NOTIFY_CHANNEL "${RESULT_NOTIFY_CHANNEL}" must be a lowercase SQL identifier (or empty to disable).`);
+    process.exit(1);
+}
+if (RESULT_WEBHOOK_URL) {
+    try {
+        if (!/^https?:$/.test(new URL(RESULT_WEBHOOK_URL).protocol)) throw new Error('not http(s)');
+    } catch (urlError) {
+        log.error('config.invalid', `FATAL ERROR: HELPER_DEJ_RESULT_WEBHOOK_URL must be an http(s) URL (got "${RESULT_WEBHOOK_URL}").`);
+        process.exit(1);
     }
+    if (!RESULT_WEBHOOK_SECRET || RESULT_WEBHOOK_SECRET.length < 16) {
+        log.error('config.invalid', "FATAL ERROR: HELPER_DEJ_RESULT_WEBHOOK_SECRET must be set to at least 16 characters when HELPER_DEJ_RESULT_WEBHOOK_URL is set.");
+        process.exit(1);
+    }
+}
+if (!['polling', 'webhook'].includes(TELEGRAM_MODE)) {
+    log.error('config.invalid', `FATAL ERROR: HELPER_DEJ_TELEGRAM_MODE "${TELEGRAM_MODE}" must be "polling" or "webhook".`);
+    process.exit(1);
+}
+let WEBHOOK_PATH = null;
+if (TELEGRAM_MODE === 'webhook') {
+    try {
+        WEBHOOK_PATH = process.env.HELPER_DEJ_WEBHOOK_PATH || new URL(WEBHOOK_URL).pathname;
+    } catch (urlError) {
+        log.error('config.invalid', `FATAL ERROR: HELPER_DEJ_WEBHOOK_URL must be the public URL Telegram posts updates to (got "${WEBHOOK_URL || ''}").`);
+        process.exit(1);
+    }
+    if (!isValidWebhookSecret(WEBHOOK_SECRET)) {
+        log.error('config.invalid', "FATAL ERROR: HELPER_DEJ_WEBHOOK_SECRET must be set to 1-256 characters from A-Z, a-z, 0-9, _ and - in webhook mode.");
+        process.exit(1);
+    }
+    if (Boolean(WEBHOOK_TLS_KEY_PATH) !== Boolean(WEBHOOK_TLS_CERT_PATH) || (WEBHOOK_UPLOAD_CERT && !WEBHOOK_TLS_CERT_PATH)) {
+        log.error('config.invalid', "FATAL ERROR: HELPER_DEJ_WEBHOOK_TLS_KEY and HELPER_DEJ_WEBHOOK_TLS_CERT must be set together (and the cert is needed for HELPER_DEJ_WEBHOOK_UPLOAD_CERT).");
+        process.exit(1);
+    }
+}
+let DEFAULT_TURN_SETTINGS;
+try {
+    DEFAULT_TURN_SETTINGS = resolveTurnSettings({}, {
+        timeoutMs: JACKPOT_RUN_TURN_TIMEOUT_MS,
+        reminderPointsMs: parseReminderPoints(TURN_REMINDERS_MS_SETTING),
+        policy: TURN_TIMEOUT_POLICY
+    });
+} catch (turnConfigError) {
+    log.error('config.invalid', `FATAL ERROR: Invalid turn timeout settings: ${turnConfigError.message}`);
+    process.exit(1);
+}
+try {
+    fiatFractionDigits(DEFAULT_DISPLAY_CURRENCY, DEFAULT_DISPLAY_LOCALE); // Throws a RangeError on an unknown currency or locale
+} catch (displayConfigError) {
+    log.error('config.invalid', `FATAL ERROR: Invalid default display currency/locale (${DEFAULT_DISPLAY_CURRENCY}, ${DEFAULT_DISPLAY_LOCALE}): ${displayConfigError.message}`);
+    process.exit(1);
+}
+log.info('config', `Token loaded.`);
+log.info('config', `LISTEN/NOTIFY Pickup: ${USE_LISTEN_NOTIFY_PICKUP ? `enabled (channel: ${PICKUP_NOTIFY_CHANNEL})` : 'disabled'}`);
+log.info('config', `DB Polling Interval: ${POLLING_INTERVAL_MS}ms`);
+log.info('config', `Max Sessions Per Cycle: ${MAX_SESSIONS_PER_CYCLE}`);
+log.info('config', `Turn Timeout for Jackpot Roll: ${DEFAULT_TURN_SETTINGS.timeoutMs}ms (reminders at ${DEFAULT_TURN_SETTINGS.reminderPointsMs.map(point => `${point}ms`).join(', ') || 'none'} left, policy ${DEFAULT_TURN_SETTINGS.policy}${DEFAULT_TURN_SETTINGS.policy === TURN_TIMEOUT_POLICIES.autoRoll ? `, max ${TURN_MAX_AUTO_ROLLS || 'unlimited'} auto-rolls in a row` : ''})`);
+log.info('config', `Turn Deadline Tick: ${TURN_TICK_INTERVAL_MS}ms (resumed turns get at least ${TURN_RESUME_MIN_MS}ms)`);
+log.info('config', `Run Card Countdown Refresh: ${RUN_CARD_COUNTDOWN_INTERVAL_MS}ms`);
+log.info('config', `Dice Rate Limit: ${DICE_RATE_LIMIT} per ${DICE_RATE_WINDOW_MS}ms (prompt clock skew ${DICE_CLOCK_SKEW_MS}ms)`);
+log.info('config', `"Stop here" Button: ${ALLOW_STOP_BUTTON ? 'enabled' : 'disabled'}`);
+log.info('config', `Provably Fair Mode Default: ${PROVABLY_FAIR_DEFAULT ? 'on' : 'off'}`);
+log.info('config', `Session Lease TTL: ${SESSION_LEASE_TTL_MS}ms (renewed every ${LEASE_RENEW_INTERVAL_MS}ms)`);
+log.info('config', `Recovery Sweep Interval: ${RECOVERY_SWEEP_INTERVAL_MS}ms`);
+log.info('config', `Shutdown Drain Deadline: ${SHUTDOWN_DRAIN_MS}ms`);
+log.info('config', `Health/Metrics HTTP Server: ${HTTP_PORT ? `${HTTP_HOST}:${HTTP_PORT}` : 'disabled (HELPER_DEJ_HTTP_PORT not set)'}`);
+log.info('config', `Telegram Updates: ${TELEGRAM_MODE === 'webhook'
+    ? `webhook on ${WEBHOOK_HOST}:${WEBHOOK_PORT}${WEBHOOK_PATH} (${WEBHOOK_TLS_CERT_PATH ? 'HTTPS' : 'HTTP behind TLS proxy'}), public URL ${WEBHOOK_URL}`
+    : 'long polling'}`);
+log.info('config', `Admin Commands: ${ADMIN_USER_IDS.size > 0 ? `enabled for ${ADMIN_USER_IDS.size} user(s)` : 'disabled (HELPER_DEJ_ADMIN_USER_IDS not set)'}`);
+log.info('config', `Price Fetch Retries: ${PRICE_FETCH_RETRIES}`);
+log.info('config', `Price Fetch Initial Delay: ${PRICE_FETCH_INITIAL_DELAY_MS}ms`);
+log.info('config', `Price Fetch Max Delay: ${PRICE_FETCH_MAX_DELAY_MS}ms`);
+log.info('config', `Price Aggregation: ${PRICE_AGGREGATION} (max deviation ${PRICE_MAX_DEVIATION_PCT}%, max quote age ${PRICE_MAX_QUOTE_AGE_MS}ms, min sources ${PRICE_MIN_SOURCES})`);
+log.info('config', `Default Pool Display: ${DEFAULT_DISPLAY_CURRENCY} (${DEFAULT_DISPLAY_LOCALE})`);
+const announceTriggers = [ANNOUNCE_ON_CLAIM ? 'on claim' : null, ANNOUNCE_NEAR_TARGET_POINTS > 0 ? `within ${ANNOUNCE_NEAR_TARGET_POINTS} points of the target` : null].filter(Boolean);
+log.info('config', `Announcement Channel: ${ANNOUNCE_CHAT_ID
+    ? `${ANNOUNCE_CHAT_ID} (chats ${ANNOUNCE_DEFAULT_OPT_IN ? 'opted in by default' : 'must opt in'}; live message ${announceTriggers.join(' and ') || 'never, celebrations only'}; max ${ANNOUNCE_MAX_PER_MINUTE}/min)`
+    : 'disabled (HELPER_DEJ_ANNOUNCE_CHAT_ID not set)'}`);
+log.info('config', `History/Leaderboard Cache: ${HISTORY_CACHE_TTL_MS > 0 ? `${HISTORY_CACHE_TTL_MS}ms` : 'disabled'}`);
+log.info('config', `Result NOTIFY: ${RESULT_NOTIFY_CHANNEL ? `enabled (channel: ${RESULT_NOTIFY_CHANNEL})` : 'disabled'}`);
+log.info('config', `Result Webhook: ${RESULT_WEBHOOK_URL
+    ? `${new URL(RESULT_WEBHOOK_URL).origin} (timeout ${RESULT_WEBHOOK_TIMEOUT_MS}ms, retries from ${RESULT_WEBHOOK_RETRY_BASE_MS}ms up to ${RESULT_WEBHOOK_RETRY_MAX_MS}ms, outbox swept every ${RESULT_OUTBOX_SWEEP_MS}ms)`
+    : 'disabled (HELPER_DEJ_RESULT_WEBHOOK_URL not set)'}`);
+log.info('config', `Telegram Outbound Queue: ${TELEGRAM_GLOBAL_PER_SECOND}/s overall, ${TELEGRAM_CHAT_INTERVAL_MS}ms per chat (${TELEGRAM_GROUP_PER_MINUTE}/min in groups), ${TELEGRAM_MAX_RETRIES} retries from ${TELEGRAM_RETRY_BASE_MS}ms up to ${TELEGRAM_RETRY_MAX_MS}ms, final results (and 429s) retried for ${TELEGRAM_GUARANTEED_MS}ms`);
 
-    let lastError = null;
-
-    for (let attempt = 1; attempt <= PRICE_FETCH_RETRIES + 1; attempt++) { // +1 because first attempt is not a "retry"
-        try {
-            if (attempt > 1) {
-                console.log(`${logPrefix} Attempt ${attempt}/${PRICE_FETCH_RETRIES + 1} to fetch SOL/USD price...`);
-            } else {
-                // console.log(`${logPrefix} Fetching SOL/USD price from ${apiUrl}...`); // Can be verbose for first attempt
-            }
-            const response = await axios.get(apiUrl, { timeout: 10000 }); // Increased timeout slightly for retries
+// --- Constants and Price Utilities for Helper Bot ---
+const MAIN_BOT_USERNAME_FOR_HELPER = process.env.MAIN_BOT_USERNAME || "MainCasinoBot";
 
-            if (response.data && response.data.solana && typeof response.data.solana.usd === 'number') {
-                const price = parseFloat(response.data.solana.usd);
-                if (isNaN(price) || price <= 0) {
-                    throw new Error('Invalid or non-positive price data from API.');
-                }
-                // console.log(`${logPrefix} Fetched price: $${price}`); // Can be verbose
-                return price; // Success
-            } else {
-                console.error(`${logPrefix} ⚠️ SOL price not found or invalid structure in API response:`, response.data);
-                throw new Error('SOL price not found or invalid structure in API response for helper.');
-            }
-        } catch (error) {
-            lastError = error;
-            const errMsg = error.isAxiosError ? error.message : String(error);
-            const statusCode = error.response ? error.response.status : null;
-
-            console.warn(`${logPrefix} Attempt ${attempt}/${PRICE_FETCH_RETRIES + 1} failed: ${errMsg} (Status: ${statusCode || 'N/A'})`);
-
-            if (attempt <= PRICE_FETCH_RETRIES) {
-                const isRetryableError = statusCode === 429 || // Too Many Requests
-                                         statusCode === null ||   // Network error (no response)
-                                         (statusCode >= 500 && statusCode <= 599); // Server-side errors
-
-                if (isRetryableError) {
-                    let delayMs = PRICE_FETCH_INITIAL_DELAY_MS * Math.pow(2, attempt - 1); // Exponential backoff
-
-                    if (statusCode === 429 && error.response.headers && error.response.headers['retry-after']) {
-                        const retryAfterSeconds = parseInt(error.response.headers['retry-after'], 10);
-                        if (!isNaN(retryAfterSeconds)) {
-                            console.log(`${logPrefix} API suggested Retry-After: ${retryAfterSeconds} seconds.`);
-                            delayMs = (retryAfterSeconds * 1000) + 1000; // Add a small buffer
-                        }
-                    }
-                    
-                    delayMs = Math.min(delayMs, PRICE_FETCH_MAX_DELAY_MS); // Cap the delay
-
-                    console.log(`${logPrefix} Retrying in ${Math.round(delayMs / 1000)}s...`);
-                    await new Promise(resolve => setTimeout(resolve, delayMs));
-                    continue; // Go to the next attempt
-                } else {
-                    console.error(`${logPrefix} Non-retryable error encountered.`);
-                    break; // Exit retry loop for non-retryable errors
-                }
-            }
+// Player-facing text comes from the catalogs in jackpot_messages.js, optionally overridden by the operator.
+let messages;
+try {
+    let catalogOverrides = {};
+    if (MESSAGES_OVERRIDE_FILE) {
+        const { overrides, unknownKeys } = loadCatalogOverrides(MESSAGES_OVERRIDE_FILE);
+        catalogOverrides = overrides;
+        if (unknownKeys.length > 0) {
+            log.warn('config.message_overrides_unknown_keys', `⚠️ Message overrides contain unknown keys (typos?): ${unknownKeys.join(', ')}`, { unknown_keys: unknownKeys });
         }
     }
+    messages = createMessageCatalog({
+        overrides: catalogOverrides,
+        defaultLanguage: DEFAULT_MESSAGE_LANGUAGE,
+        globals: () => ({ bot_username: botUsername, main_bot: MAIN_BOT_USERNAME_FOR_HELPER })
+    });
+} catch (catalogError) {
+    log.error('config.invalid', `FATAL ERROR: Could not load message catalogs: ${catalogError.message}`);
+    process.exit(1);
+}
+log.info('config', `Message Languages: ${messages.languages.join(', ')} (default ${messages.defaultLanguage}${MESSAGES_OVERRIDE_FILE ? `, overrides from ${MESSAGES_OVERRIDE_FILE}` : ''})`);
+log.info('config', `Instance ID: ${HELPER_INSTANCE_ID}`);
 
-    const finalErrMsg = lastError ? (lastError.isAxiosError ? lastError.message : String(lastError)) : 'Unknown error after all attempts';
-    console.error(`${logPrefix} ❌ Error fetching SOL/USD price after all attempts: ${finalErrMsg}`);
-    if (lastError && lastError.response) {
-        console.error(`${logPrefix} Final API Response Status: ${lastError.response.status}`);
-    }
-    throw new Error(`Failed to fetch SOL/USD price for helper after ${PRICE_FETCH_RETRIES + 1} attempts: ${finalErrMsg}`);
+// Prometheus metrics (see jackpot_metrics.js), served on /metrics when HELPER_DEJ_HTTP_PORT is set.
+const helperMetrics = createHelperMetrics({
+    getActiveSessionCount: () => activeHelperSessions.size,
+    getTelegramQueueDepth: () => telegramQueue.pendingCount
+});
+
+function recordTelegramSendError(method, error) {
+    helperMetrics.telegramSendErrors.inc({ method, code: telegramErrorCode(error) });
 }
 
-async function getSolUsdPriceForHelper() {
-    const logPrefix = '[HelperDEJackpot_GetPrice]';
+let priceOracle;
+try {
+    priceOracle = createPriceOracle({
+        sources: buildPriceSourcesFromEnv(process.env),
+        aggregation: PRICE_AGGREGATION,
+        maxDeviationPct: PRICE_MAX_DEVIATION_PCT,
+        maxQuoteAgeMs: PRICE_MAX_QUOTE_AGE_MS,
+        minSources: PRICE_MIN_SOURCES,
+        retries: PRICE_FETCH_RETRIES,
+        initialDelayMs: PRICE_FETCH_INITIAL_DELAY_MS,
+        maxDelayMs: PRICE_FETCH_MAX_DELAY_MS,
+        onFetchAttempt: ({ source, pair, succeeded, durationMs }) => {
+            helperMetrics.priceFetchAttempts.inc({ source, pair });
+            if (!succeeded) helperMetrics.priceFetchFailures.inc({ source, pair });
+            helperMetrics.priceFetchDuration.observe({ source }, durationMs / 1000);
+        },
+        logger: log.child({ component: 'PriceFeed' })
+    });
+} catch (oracleConfigError) {
+    log.error('config.invalid', `FATAL ERROR: Invalid price oracle configuration: ${oracleConfigError.message}`);
+    process.exit(1);
+}
+log.info('config', `Price Sources: ${priceOracle.sources.map(source => source.name).join(', ')}`);
+
+// Per-pair cache of the helper bot's quotes (see jackpot_price_oracle.js). Key: pairKey(pair)
+const helperPriceCache = new Map(); // Value: { quote, timestamp, isFetching }
+const HELPER_PRICE_CACHE_TTL_MS = 3 * 60 * 1000; // 3 minutes
+
+// Returns the latest aggregated quote for a pair: { price, source, ageMs, quotes, ... }. When every source
+// fails, a cached quote is still served until it is PRICE_MAX_STALE_CACHE_MS old.
+async function getPriceQuoteForHelper(pair = SOL_USD_PAIR) {
+    const pairName = `${pair.symbol}/${pair.fiat}`;
+    const priceLog = log.child({ component: 'GetPrice', pair: pairName });
+    const cacheKey = pairKey(pair);
+    if (!helperPriceCache.has(cacheKey)) {
+        helperPriceCache.set(cacheKey, { quote: null, timestamp: 0, isFetching: false });
+    }
+    const cacheEntry = helperPriceCache.get(cacheKey);
     const now = Date.now();
-    if (helperSolPriceCache.price !== null && (now - helperSolPriceCache.timestamp < HELPER_SOL_USD_PRICE_CACHE_TTL_MS)) {
-        return helperSolPriceCache.price;
+    const isCacheFresh = (at) => cacheEntry.quote !== null && (at - cacheEntry.timestamp < HELPER_PRICE_CACHE_TTL_MS);
+    if (isCacheFresh(now)) {
+        helperMetrics.priceCacheLookups.inc({ result: 'hit' });
+        return cacheEntry.quote;
     }
-    if (helperSolPriceCache.isFetching) {
-        // console.log(`${logPrefix} Price fetch already in progress. Returning stale if available.`); // Can be verbose
-        if (helperSolPriceCache.price !== null) return helperSolPriceCache.price;
+    if (cacheEntry.isFetching) {
+        if (cacheEntry.quote !== null) {
+            helperMetrics.priceCacheLookups.inc({ result: 'stale' });
+            return cacheEntry.quote;
+        }
         await new Promise(resolve => setTimeout(resolve, 750));
-        if (helperSolPriceCache.price !== null && (Date.now() - helperSolPriceCache.timestamp < HELPER_SOL_USD_PRICE_CACHE_TTL_MS)) {
-             return helperSolPriceCache.price;
+        if (isCacheFresh(Date.now())) {
+             helperMetrics.priceCacheLookups.inc({ result: 'hit' });
+             return cacheEntry.quote;
         }
     }
-    helperSolPriceCache.isFetching = true;
+    helperMetrics.priceCacheLookups.inc({ result: 'miss' });
+    cacheEntry.isFetching = true;
     try {
-        const price = await fetchSolUsdPriceFromAPIForHelper();
-        helperSolPriceCache.price = price;
-        helperSolPriceCache.timestamp = now; // Use 'now' from the start of function for correct TTL
-        return price;
+        const quote = await priceOracle.fetchQuote(pair);
+        cacheEntry.quote = quote;
+        cacheEntry.timestamp = now; // Use 'now' from the start of function for correct TTL
+        priceLog.info('price.fetched', `${pairName} ${quote.price} ${pair.fiat} via ${quote.source} (${quote.aggregation}, oldest quote ${Math.round(quote.ageMs / 1000)}s)`, { price: quote.price, price_source: quote.source, quote_age_ms: quote.ageMs });
+        return quote;
     } catch (error) {
-        console.error(`${logPrefix} Failed to get fresh SOL/USD price. Details: ${error.message}`);
-        if (helperSolPriceCache.price !== null) {
-            console.warn(`${logPrefix} Using stale price due to error: $${helperSolPriceCache.price}`);
-            return helperSolPriceCache.price;
+        priceLog.error('price.unavailable', `${pairName}: Failed to get fresh price. Details: ${error.message}`, { err: error });
+        const cachedAgeMs = Date.now() - cacheEntry.timestamp;
+        if (cacheEntry.quote !== null && cachedAgeMs < PRICE_MAX_STALE_CACHE_MS) {
+            priceLog.warn('price.stale_served', `${pairName}: Using stale price due to error: ${cacheEntry.quote.price} ${pair.fiat} (${Math.round(cachedAgeMs / 1000)}s old, via ${cacheEntry.quote.source})`, { price: cacheEntry.quote.price, cache_age_ms: cachedAgeMs });
+            return cacheEntry.quote;
         }
-        throw new Error(`Unable to retrieve SOL/USD price for helper: ${error.message}`);
+        throw new Error(`Unable to retrieve ${pairName} price for helper: ${error.message}`);
     } finally {
-        helperSolPriceCache.isFetching = false;
+        cacheEntry.isFetching = false;
     }
 }
 
-function convertLamportsToUSDStringForHelper(lamports, solUsdPrice, displayDecimals = 2) {
-    if (typeof solUsdPrice !== 'number' || solUsdPrice <= 0) {
-        return 'Price N/A';
-    }
-    let lamportsAsBigInt;
-    try {
-        lamportsAsBigInt = BigInt(lamports);
-    } catch (e) {
-        return 'Amount Error';
-    }
-    const solAmount = Number(lamportsAsBigInt) / Number(LAMPORTS_PER_SOL);
-    const usdValue = solAmount * solUsdPrice;
-    return `$${usdValue.toLocaleString('en-US', { minimumFractionDigits: displayDecimals, maximumFractionDigits: displayDecimals })}`;
-}
 // --- End of Constants and Price Utilities ---
 
 
@@ -176,408 +354,1654 @@ function convertLamportsToUSDStringForHelper(lamports, solUsdPrice, displayDecim
 const useSslHelper = process.env.DB_SSL === undefined ? true : (process.env.DB_SSL === 'true');
 const rejectUnauthorizedSslHelper = process.env.DB_REJECT_UNAUTHORIZED === undefined ? false : (process.env.DB_REJECT_UNAUTHORIZED === 'true');
 
-const pool = new Pool({
+const pgConnectionConfig = {
     connectionString: DATABASE_URL,
     ssl: useSslHelper ? { rejectUnauthorized: rejectUnauthorizedSslHelper } : false,
-});
-pool.on('error', (err, client) => console.error('HelperDEJackpot: Unexpected error on idle PostgreSQL client', err));
+};
+const pool = new Pool(pgConnectionConfig);
+pool.on('error', (err, client) => log.error('db.idle_client_error', `Unexpected error on idle PostgreSQL client: ${err.message}`, { err }));
+
+// --- Helper Schema Migration ---
+// de_jackpot_sessions itself is owned by the main bot; these are the extra objects the helper needs.
+// Every statement is idempotent so it can run on each startup.
+async function ensureHelperSchema() {
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS de_jackpot_roll_events (
+            event_id BIGSERIAL PRIMARY KEY,
+            session_id VARCHAR(255) NOT NULL,
+            roll_index INTEGER NOT NULL,
+            roll_value INTEGER NOT NULL,
+            running_total INTEGER NOT NULL,
+            telegram_message_id BIGINT,
+            rolled_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            UNIQUE (session_id, roll_index)
+        )`);
+    await pool.query(`
+        ALTER TABLE de_jackpot_sessions
+            ADD COLUMN IF NOT EXISTS helper_instance_id VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS run_card_message_id BIGINT,
+            ADD COLUMN IF NOT EXISTS provably_fair BOOLEAN,
+            ADD COLUMN IF NOT EXISTS pf_server_seed VARCHAR(64),
+            ADD COLUMN IF NOT EXISTS pf_server_seed_hash VARCHAR(64),
+            ADD COLUMN IF NOT EXISTS pf_client_seed VARCHAR(128),
+            ADD COLUMN IF NOT EXISTS rule_set VARCHAR(64),
+            ADD COLUMN IF NOT EXISTS rules_json JSONB,
+            ADD COLUMN IF NOT EXISTS pool_asset_mint VARCHAR(64),
+            ADD COLUMN IF NOT EXISTS pool_asset_decimals SMALLINT,
+            ADD COLUMN IF NOT EXISTS pool_asset_symbol VARCHAR(16),
+            ADD COLUMN IF NOT EXISTS display_currency VARCHAR(3),
+            ADD COLUMN IF NOT EXISTS display_locale VARCHAR(35),
+            ADD COLUMN IF NOT EXISTS language VARCHAR(16)`);
+    // Per-chat defaults for sessions that don't set their own pool asset, display currency/locale or language.
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS de_jackpot_chat_settings (
+            chat_id VARCHAR(64) PRIMARY KEY,
+            display_currency VARCHAR(3),
+            display_locale VARCHAR(35),
+            pool_asset_mint VARCHAR(64),
+            pool_asset_decimals SMALLINT,
+            pool_asset_symbol VARCHAR(16),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    await pool.query(`ALTER TABLE de_jackpot_chat_settings ADD COLUMN IF NOT EXISTS language VARCHAR(16)`);
+    // Every admin command is recorded here (see registerAdminCommand).
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS de_jackpot_admin_audit (
+            audit_id BIGSERIAL PRIMARY KEY,
+            admin_user_id VARCHAR(64) NOT NULL,
+            chat_id VARCHAR(64),
+            command VARCHAR(32) NOT NULL,
+            session_id VARCHAR(255),
+            succeeded BOOLEAN NOT NULL,
+            details JSONB,
+            helper_instance_id VARCHAR(255),
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    // Single-row switch shared by every helper instance; /pause and /resume flip it and the claim query honours it.
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS de_jackpot_helper_control (
+            singleton BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (singleton),
+            claiming_paused BOOLEAN NOT NULL DEFAULT FALSE,
+            updated_by VARCHAR(64),
+            reason TEXT,
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    await pool.query(`INSERT INTO de_jackpot_helper_control (singleton) VALUES (TRUE) ON CONFLICT (singleton) DO NOTHING`);
+    await pool.query(`ALTER TABLE de_jackpot_roll_events ADD COLUMN IF NOT EXISTS pf_nonce INTEGER`);
+    // Dice the helper refused to count (forwarded, wrong emoji, too fast, ...), for the main bot to review.
+    // de_jackpot_sessions.suspicious_event_count is the per-session tally.
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS de_jackpot_suspicious_events (
+            event_id BIGSERIAL PRIMARY KEY,
+            session_id VARCHAR(255) NOT NULL,
+            user_id VARCHAR(64) NOT NULL,
+            chat_id VARCHAR(64) NOT NULL,
+            reason VARCHAR(32) NOT NULL,
+            telegram_message_id BIGINT,
+            details JSONB,
+            helper_instance_id VARCHAR(255),
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_de_jackpot_suspicious_events_session ON de_jackpot_suspicious_events (session_id)`);
+    await pool.query(`ALTER TABLE de_jackpot_sessions ADD COLUMN IF NOT EXISTS suspicious_event_count INTEGER NOT NULL DEFAULT 0`);
+    // Per-session turn settings from the main bot (NULL: the HELPER_DEJ_TURN_* defaults), and the current
+    // turn's deadline, which a resumed run picks up again (see startTurnDeadlineTicker).
+    await pool.query(`
+        ALTER TABLE de_jackpot_sessions
+            ADD COLUMN IF NOT EXISTS turn_timeout_ms INTEGER,
+            ADD COLUMN IF NOT EXISTS turn_reminders_ms JSONB,
+            ADD COLUMN IF NOT EXISTS turn_timeout_policy VARCHAR(16),
+            ADD COLUMN IF NOT EXISTS turn_deadline_at TIMESTAMPTZ`);
+    // update_ids received through the webhook, shared by every replica so a redelivered update is handled once.
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS de_jackpot_telegram_updates (
+            update_id BIGINT PRIMARY KEY,
+            helper_instance_id VARCHAR(255),
+            received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_de_jackpot_telegram_updates_received ON de_jackpot_telegram_updates (received_at)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_de_jackpot_sessions_status_lease ON de_jackpot_sessions (status, lease_expires_at)`);
+    // /myjackpots and /jackpotboard (see jackpot_history.js); the names shown on the boards come from de_jackpot_players.
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_de_jackpot_sessions_user_created ON de_jackpot_sessions ((user_id::text), created_at)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_de_jackpot_sessions_chat_updated ON de_jackpot_sessions ((chat_id::text), updated_at)`);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS de_jackpot_players (
+            user_id VARCHAR(64) PRIMARY KEY,
+            first_name VARCHAR(255),
+            username VARCHAR(64),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    // Announcement channel (see updateRunAnnouncement): the chat's opt-in and name settings, the player's own
+    // opt-out, and the run's live message, so an instance that resumes the run keeps editing the same one.
+    await pool.query(`
+        ALTER TABLE de_jackpot_chat_settings
+            ADD COLUMN IF NOT EXISTS announce_runs BOOLEAN,
+            ADD COLUMN IF NOT EXISTS announce_show_names BOOLEAN,
+            ADD COLUMN IF NOT EXISTS announce_chat_label VARCHAR(255)`);
+    await pool.query(`ALTER TABLE de_jackpot_players ADD COLUMN IF NOT EXISTS hide_in_announcements BOOLEAN NOT NULL DEFAULT FALSE`);
+    await pool.query(`ALTER TABLE de_jackpot_sessions ADD COLUMN IF NOT EXISTS announce_message_id BIGINT`);
+    // Final results waiting for (or done with) the signed webhook to the main bot; see jackpot_result_callback.js.
+    // Rows are written by finalizeSession in the same statement as the session update. Delivered rows are kept
+    // as a record of what the main bot was sent.
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS de_jackpot_result_outbox (
+            outbox_id BIGSERIAL PRIMARY KEY,
+            session_id VARCHAR(64) NOT NULL,
+            status VARCHAR(64) NOT NULL,
+            payload JSONB NOT NULL,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            delivered_at TIMESTAMPTZ,
+            last_error TEXT,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_de_jackpot_result_outbox_due ON de_jackpot_result_outbox (next_attempt_at) WHERE delivered_at IS NULL`);
+    // Admin query: SELECT * FROM de_jackpot_session_leases; shows which helper instance holds which run.
+    await pool.query(`
+        CREATE OR REPLACE VIEW de_jackpot_session_leases AS
+        SELECT helper_instance_id, helper_bot_id, session_id, user_id, chat_id, lease_expires_at,
+               (lease_expires_at IS NULL OR lease_expires_at < NOW()) AS lease_expired, updated_at
+        FROM de_jackpot_sessions
+        WHERE status = 'active_by_helper'
+        ORDER BY helper_instance_id, lease_expires_at`);
+    // Wakes LISTENing helpers as soon as the main bot hands a session over, or a draining helper releases a
+    // run for resumption (see startPickupListener). A trigger from before 'pending_resume' existed is replaced.
+    await pool.query(`
+        CREATE OR REPLACE FUNCTION notify_de_jackpot_pickup() RETURNS trigger AS $$
+        BEGIN
+            PERFORM pg_notify('${PICKUP_NOTIFY_CHANNEL}', NEW.session_id::text);
+            RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql`);
+    await pool.query(`
+        DO $$
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'trg_de_jackpot_sessions_pickup_notify'
+                           AND pg_get_triggerdef(oid) LIKE '%pending_resume%') THEN
+                DROP TRIGGER IF EXISTS trg_de_jackpot_sessions_pickup_notify ON de_jackpot_sessions;
+                CREATE TRIGGER trg_de_jackpot_sessions_pickup_notify
+                    AFTER INSERT OR UPDATE OF status ON de_jackpot_sessions
+                    FOR EACH ROW WHEN (NEW.status IN ('pending_pickup', 'pending_resume'))
+                    EXECUTE FUNCTION notify_de_jackpot_pickup();
+            END IF;
+        END;
+        $$`);
+    log.info('schema.ready', `✅ Helper schema is up to date.`, { component: 'Schema' });
+}
 
 // --- Telegram Bot Initialization ---
-const bot = new TelegramBot(HELPER_DE_JACKPOT_BOT_TOKEN, { polling: true });
+// In webhook mode nothing is received until startTelegramWebhook registers the webhook during startup.
+const bot = new TelegramBot(HELPER_DE_JACKPOT_BOT_TOKEN, { polling: TELEGRAM_MODE === 'polling' });
 let botUsername = "HelperDEJackpotBot"; // Default
-bot.getMe().then(me => {
+const botInfoPromise = bot.getMe().then(me => {
     botUsername = me.username || botUsername;
-    console.log(`HelperDEJackpot: Online as @${botUsername}`);
-}).catch(err => console.error(`HelperDEJackpot: Failed to get bot info: ${err.message}. Using default username: @${botUsername}.`));
-
-// --- In-memory state for active jackpot sessions being managed by THIS helper instance ---
-const activeHelperSessions = new Map(); // Key: session_id, Value: sessionData
+    log.info('telegram.online', `Online as @${botUsername}`, { bot_username: botUsername });
+}).catch(err => log.error('telegram.get_me_failed', `Failed to get bot info: ${err.message}. Using default username: @${botUsername}.`, { err }));
+
+// --- Jackpot Run Engine ---
+// The run lifecycle (claim, prompt, roll, timeout, finalize) lives in jackpot_run_engine.js behind the session
+// store, the bot and the price cache; jackpot_simulate.js runs the same engine against in-memory fakes.
+// activeHelperSessions holds the runs managed by THIS helper instance (Key: session_id, Value: sessionData).
+const DISPLAY_DEFAULTS = { currency: DEFAULT_DISPLAY_CURRENCY, locale: DEFAULT_DISPLAY_LOCALE };
+// Everything the engine sends goes through the outbound queue, as do the handover notices (notifyJackpotPlayer),
+// so they stay in order with the run card. Command replies and announcements use the bot directly.
+const telegramQueue = createTelegramQueue({
+    telegram: bot,
+    globalPerSecond: TELEGRAM_GLOBAL_PER_SECOND,
+    chatIntervalMs: TELEGRAM_CHAT_INTERVAL_MS,
+    groupPerMinute: TELEGRAM_GROUP_PER_MINUTE,
+    maxRetries: TELEGRAM_MAX_RETRIES,
+    retryBaseMs: TELEGRAM_RETRY_BASE_MS,
+    retryMaxMs: TELEGRAM_RETRY_MAX_MS,
+    guaranteedMs: TELEGRAM_GUARANTEED_MS,
+    onRetry: ({ method, kind }) => helperMetrics.telegramRetries.inc({ method, kind }),
+    logger: log
+});
+const sessionStore = createSessionStore({
+    pool,
+    instanceId: HELPER_INSTANCE_ID,
+    leaseTtlMs: SESSION_LEASE_TTL_MS,
+    resultNotifyChannel: RESULT_NOTIFY_CHANNEL || null,
+    useResultOutbox: Boolean(RESULT_WEBHOOK_URL),
+    logger: log
+});
+// Delivers the outbox rows finalizeSession writes. Every instance with a webhook URL sweeps the shared outbox.
+const resultWebhook = RESULT_WEBHOOK_URL ? createResultWebhookDispatcher({
+    query: (text, params) => pool.query(text, params),
+    url: RESULT_WEBHOOK_URL,
+    secret: RESULT_WEBHOOK_SECRET,
+    requestTimeoutMs: RESULT_WEBHOOK_TIMEOUT_MS,
+    claimMs: Math.max(30000, RESULT_WEBHOOK_TIMEOUT_MS * 3),
+    retryBaseMs: RESULT_WEBHOOK_RETRY_BASE_MS,
+    retryMaxMs: RESULT_WEBHOOK_RETRY_MAX_MS,
+    onDelivery: ({ result }) => helperMetrics.resultWebhookDeliveries.inc({ result }),
+    logger: log
+}) : null;
+const runEngine = createJackpotRunEngine({
+    store: sessionStore,
+    telegram: telegramQueue.client,
+    prices: { getQuote: getPriceQuoteForHelper },
+    messages,
+    metrics: helperMetrics,
+    logger: log,
+    settings: {
+        instanceId: HELPER_INSTANCE_ID,
+        turnDefaults: DEFAULT_TURN_SETTINGS,
+        maxAutoRolls: TURN_MAX_AUTO_ROLLS,
+        turnResumeMinMs: TURN_RESUME_MIN_MS,
+        turnTickIntervalMs: TURN_TICK_INTERVAL_MS,
+        countdownIntervalMs: RUN_CARD_COUNTDOWN_INTERVAL_MS,
+        diceAnimationDelayMs: DICE_ANIMATION_DELAY_MS,
+        allowStopButton: ALLOW_STOP_BUTTON,
+        provablyFairDefault: PROVABLY_FAIR_DEFAULT,
+        displayDefaults: DISPLAY_DEFAULTS
+    },
+    getHelperBotId: () => botUsername,
+    isShuttingDown: () => isShuttingDownHelper,
+    onTelegramError: recordTelegramSendError,
+    hooks: {
+        onRunUpdated: (sessionData) => updateRunAnnouncement(sessionData).catch(announceError =>
+            sessionLogger('Update', sessionData).warn('announce.update_failed', `Could not update the run announcement: ${announceError.message}`, { err: announceError })),
+        onRunFinalized: ({ chatId, status, score, sessionData }) => {
+            if (resultWebhook) resultWebhook.kick(); // The result just committed to the outbox; send it now, not at the next sweep
+            jackpotHistory.invalidateChat(chatId);
+            if (sessionData) {
+                closeRunAnnouncement(sessionData, status, score).catch(announceError =>
+                    sessionLogger('Finalize', sessionData).warn('announce.close_failed', `Could not close the run announcement: ${announceError.message}`, { err: announceError }));
+            }
+        },
+        onRunDropped: (sessionData) => forgetRunAnnouncement(sessionData)
+    }
+});
+const {
+    activeSessions: activeHelperSessions,
+    sessionLogger,
+    sessionLanguage,
+    formatDiceRollsHTML,
+    buildLocalSessionState,
+    loadPersistedJackpotRunRolls,
+    applyPersistedRollsToSession,
+    claimPendingSessions,
+    renewSessionLeases,
+    recoverOrphanedJackpotSessions,
+    refreshJackpotRunCountdown,
+    endJackpotRunTurn,
+    startTurnDeadlineTicker,
+    stopTurnDeadlineTicker,
+    rollFromPlayerDice,
+    rollJackpotRunForPlayer,
+    finalizeJackpotSession
+} = runEngine;
+
+function loadChatSettings(chatId) {
+    return sessionStore.loadChatSettings(chatId);
+}
 
 // --- Helper Functions ---
-function escapeHTML(text) {
-    if (text === null || typeof text === 'undefined') return '';
-    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#039;');
+// Language for command replies: the chat's setting, then the sender's Telegram language.
+async function commandLanguage(msg) {
+    let chatLanguage = null;
+    try {
+        chatLanguage = (await loadChatSettings(msg.chat.id)).language;
+    } catch (error) {
+        log.warn('chat_settings.load_failed', `Could not load chat settings: ${error.message}`, { component: 'Language', chat_id: msg.chat.id });
+    }
+    return messages.resolveLanguage(chatLanguage, msg.from && msg.from.language_code);
 }
 
-function formatDiceRollsHTML(rollsArray) {
-    if (!Array.isArray(rollsArray) || rollsArray.length === 0) return '<i>None yet</i>';
-    return rollsArray.map(roll => `🎲<b>${roll}</b>`).join(' ');
+// Replies to a command in the given language. A reply that can't be sent (bot blocked, chat gone) is logged
+// here, so handlers can return or fire it without a catch of their own.
+function commandReplier(chatId, language) {
+    return (messageKey, params = {}) => bot.sendMessage(chatId, messages.render(language, messageKey, params), { parse_mode: 'HTML' })
+        .catch(error => log.warn('command.reply_failed', `Could not send the ${messageKey} reply: ${error.message}`, { chat_id: chatId, err: error }));
 }
 
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-
 // --- Database Polling to Pick Up New Jackpot Sessions ---
-async function checkAndInitiateJackpotSessions() {
+// Claim cycles are kicked off by NOTIFY and by the fallback interval. Only one runs at a time; a request
+// arriving mid-cycle schedules exactly one more pass so no notification is lost.
+let isClaimCycleRunning = false;
+let isClaimCycleRequeued = false;
+
+function requestClaimCycle(trigger) {
+    if (isShuttingDownHelper) return;
+    if (isClaimCycleRunning) {
+        isClaimCycleRequeued = true;
+        return;
+    }
+    isClaimCycleRunning = true;
+    const endClaimCycleTimer = helperMetrics.claimCycleDuration.startTimer();
+    claimPendingSessions(MAX_SESSIONS_PER_CYCLE)
+        .catch(err => log.error('claim.cycle_failed', `Uncaught error in claimPendingSessions (${trigger}): ${err.message}`, { component: 'Poll', trigger, err }))
+        .finally(() => {
+            endClaimCycleTimer();
+            isClaimCycleRunning = false;
+            if (isClaimCycleRequeued) {
+                isClaimCycleRequeued = false;
+                requestClaimCycle('requeued');
+            }
+        });
+}
+
+// --- LISTEN/NOTIFY Pickup of pending_pickup and pending_resume Sessions ---
+// A dedicated connection (a pooled client can't hold LISTEN) receives a notification from the
+// trg_de_jackpot_sessions_pickup_notify trigger whenever a row enters 'pending_pickup' or 'pending_resume'. If the
+// connection drops it is re-established with exponential backoff, followed by a claim cycle to pick
+// up anything notified while we were deaf.
+let pickupListenerClient = null;
+let pickupListenerReconnectTimeoutId = null;
+let pickupListenerReconnectAttempt = 0;
+
+async function startPickupListener() {
     if (isShuttingDownHelper) return;
 
-    const activeSessionCount = activeHelperSessions.size;
-    const maxConcurrentSessionsThisHelper = MAX_SESSIONS_PER_CYCLE;
+    const listenerClient = new Client(pgConnectionConfig);
+    pickupListenerClient = listenerClient;
+
+    const handleListenerLoss = (reason) => {
+        if (pickupListenerClient !== listenerClient) return; // Already replaced or stopped
+        pickupListenerClient = null;
+        listenerClient.removeAllListeners('notification');
+        listenerClient.end().catch(() => {});
+        if (isShuttingDownHelper) return;
+        schedulePickupListenerReconnect(reason);
+    };
+    listenerClient.on('error', (err) => handleListenerLoss(`error: ${err.message}`));
+    listenerClient.on('end', () => handleListenerLoss('connection ended'));
+    listenerClient.on('notification', (notification) => {
+        if (notification.channel !== PICKUP_NOTIFY_CHANNEL) return;
+        requestClaimCycle(`notify SID:${notification.payload}`);
+    });
 
-    if (activeSessionCount >= maxConcurrentSessionsThisHelper) {
-        return;
+    try {
+        await listenerClient.connect();
+        await listenerClient.query(`LISTEN ${PICKUP_NOTIFY_CHANNEL}`);
+        pickupListenerReconnectAttempt = 0;
+        log.info('listener.connected', `✅ Listening on channel '${PICKUP_NOTIFY_CHANNEL}' for new jackpot sessions.`, { component: 'Listener' });
+        requestClaimCycle('listener connected');
+    } catch (connectError) {
+        handleListenerLoss(`connect failed: ${connectError.message}`);
     }
+}
 
-    const sessionsToAttemptToClaim = maxConcurrentSessionsThisHelper - activeSessionCount;
-    if (sessionsToAttemptToClaim <= 0) {
-        return;
+function schedulePickupListenerReconnect(reason) {
+    pickupListenerReconnectAttempt++;
+    const delayMs = Math.min(1000 * Math.pow(2, pickupListenerReconnectAttempt - 1), LISTENER_RECONNECT_MAX_DELAY_MS);
+    log.warn('listener.lost', `Listener connection lost (${reason}). Reconnecting in ${Math.round(delayMs / 1000)}s (attempt ${pickupListenerReconnectAttempt})...`,
+        { component: 'Listener', reason, attempt: pickupListenerReconnectAttempt, delay_ms: delayMs });
+    pickupListenerReconnectTimeoutId = setTimeout(() => {
+        pickupListenerReconnectTimeoutId = null;
+        startPickupListener().catch(err => log.error('listener.restart_failed', `Unexpected error restarting listener: ${err.message}`, { component: 'Listener', err }));
+    }, delayMs);
+}
+
+async function stopPickupListener() {
+    if (pickupListenerReconnectTimeoutId) clearTimeout(pickupListenerReconnectTimeoutId);
+    const listenerClient = pickupListenerClient;
+    pickupListenerClient = null;
+    if (listenerClient) {
+        listenerClient.removeAllListeners();
+        listenerClient.on('error', () => {}); // Swallow errors raised while closing
+        await listenerClient.end();
     }
+}
 
-    for (let i = 0; i < sessionsToAttemptToClaim; i++) {
-        if (isShuttingDownHelper) {
-            console.log("[HelperDEJackpot_Poll] Shutdown detected during claim loop.");
-            break;
+// Only sessions this instance holds the lease on live in activeHelperSessions, so dice for runs owned
+// by another instance are ignored.
+function findPlayerActiveSession(userId, chatId) {
+    for (const [sId, sData] of activeHelperSessions.entries()) {
+        if (String(sData.user_id) === userId && String(sData.chat_id) === chatId && sData.status === 'active_by_helper') {
+            return [sId, sData];
         }
+    }
+    return [null, null];
+}
 
-        let client = null;
-        let claimedSessionData = null;
-        const logPrefixCycle = `[HelperDEJackpot_PollAttempt ${i+1}/${sessionsToAttemptToClaim}]`;
+// --- Dice Anti-Abuse ---
+// Every dice a player sends during their run goes through the per-player rate limit and checkDiceMessage
+// (jackpot_dice_guard.js). Rejected dice don't count and are deleted from the chat. Only the ones that look
+// like tampering (SUSPICIOUS_DICE_REJECTIONS) are written to de_jackpot_suspicious_events.
+const diceRateLimiter = createRateLimiter({ maxEvents: DICE_RATE_LIMIT, windowMs: DICE_RATE_WINDOW_MS });
+// Rejections the player is told about; the rest (flooding, double taps, edits) are silent.
+const PLAYER_NOTICE_DICE_REJECTIONS = {
+    [DICE_REJECTION_REASONS.forwarded]: 'dice_rejected.forwarded',
+    [DICE_REJECTION_REASONS.wrongEmoji]: 'dice_rejected.wrong_emoji',
+    [DICE_REJECTION_REASONS.beforePrompt]: 'dice_rejected.before_prompt',
+};
+
+async function recordSuspiciousDiceEvent(sessionData, msg, reason) {
+    const details = {
+        dice_emoji: msg.dice.emoji,
+        dice_value: msg.dice.value,
+        message_date: msg.date,
+        edit_date: msg.edit_date,
+        forward_origin: msg.forward_origin ? msg.forward_origin.type : (msg.forward_date ? 'legacy' : undefined),
+        prompted_at: sessionData.turnPromptedAt ? new Date(sessionData.turnPromptedAt).toISOString() : undefined,
+        expected_emoji: sessionData.rules && sessionData.rules.emoji
+    };
+    sessionLogger('AntiAbuse', sessionData).warn('dice.rejected', `Rejected dice ${msg.dice.emoji}${msg.dice.value} (${reason}).`, { reason, ...details });
+    try {
+        await pool.query(
+            `WITH recorded AS (
+                 INSERT INTO de_jackpot_suspicious_events (session_id, user_id, chat_id, reason, telegram_message_id, details, helper_instance_id)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+             )
+             UPDATE de_jackpot_sessions SET suspicious_event_count = suspicious_event_count + 1 WHERE session_id::text = $1`,
+            [String(sessionData.session_id), String(sessionData.user_id), String(sessionData.chat_id), reason, msg.message_id, JSON.stringify(details), HELPER_INSTANCE_ID]
+        );
+    } catch (dbError) {
+        sessionLogger('AntiAbuse', sessionData).error('dice.record_failed', `Failed to record suspicious dice event: ${dbError.message}`, { reason, err: dbError });
+    }
+}
 
-        try {
-            client = await pool.connect();
-            await client.query('BEGIN');
-
-            const selectRes = await client.query(
-                `SELECT * FROM de_jackpot_sessions 
-                 WHERE status = 'pending_pickup' 
-                 ORDER BY created_at ASC 
-                 LIMIT 1 
-                 FOR UPDATE SKIP LOCKED`
-            );
+// recordEvent: false keeps a flood to one log line (or suspicious event) per burst. The notice and the deletion
+// share the chat's queue, so the notice still goes out as a reply to the dice.
+async function rejectDiceMessage(sessionData, msg, reason, { recordEvent = true } = {}) {
+    helperMetrics.diceRejected.inc({ reason });
+    if (recordEvent && SUSPICIOUS_DICE_REJECTIONS.has(reason)) {
+        await recordSuspiciousDiceEvent(sessionData, msg, reason);
+    } else if (recordEvent) {
+        sessionLogger('AntiAbuse', sessionData).info('dice.rejected', `Rejected dice ${msg.dice.emoji}${msg.dice.value} (${reason}).`, { reason });
+    }
+    const noticeKey = PLAYER_NOTICE_DICE_REJECTIONS[reason];
+    if (noticeKey) {
+        telegramQueue.client.sendMessage(msg.chat.id, messages.render(sessionLanguage(sessionData), noticeKey, { emoji: sessionData.rules.emoji }),
+                                         { parse_mode: 'HTML', reply_to_message_id: msg.message_id, allow_sending_without_reply: true })
+            .catch(sendErr => recordTelegramSendError('sendMessage', sendErr));
+    }
+    telegramQueue.client.deleteMessage(msg.chat.id, msg.message_id).catch(() => {}); // Fails without delete rights; harmless
+}
 
-            if (selectRes.rows.length === 0) {
-                await client.query('COMMIT');
-                client.release(); client = null;
-                break; 
-            }
+bot.on('message', async (msg) => {
+    // Rolls still count while a shutdown drains (see drainActiveJackpotSessions); handed-over runs are no longer in activeHelperSessions.
+    if (!msg.dice || !msg.from || msg.from.is_bot) return;
+
+    const userId = String(msg.from.id);
+    const chatId = String(msg.chat.id);
+    const diceValue = msg.dice.value;
 
-            const sessionToClaim = selectRes.rows[0];
-            const sessionLogPrefixInfo = `[HelperDEJackpot_SessionInfo SID:${sessionToClaim.session_id}]`; 
+    const [activeSessionId, sessionDataRef] = findPlayerActiveSession(userId, chatId);
+    if (!activeSessionId || !sessionDataRef) return;
 
-            const updateRes = await client.query(
-                "UPDATE de_jackpot_sessions SET status = $1, helper_bot_id = $2, updated_at = NOW() WHERE session_id = $3 AND status = 'pending_pickup' RETURNING *",
-                ['active_by_helper', botUsername, sessionToClaim.session_id]
-            );
+    const rateLimit = diceRateLimiter.hit(userId);
+    if (!rateLimit.allowed) {
+        // A flood is recorded once per burst rather than once per message.
+        return rejectDiceMessage(sessionDataRef, msg, DICE_REJECTION_REASONS.rateLimited, { recordEvent: rateLimit.firstRejection });
+    }
+    const rejection = checkDiceMessage(msg, { expectedEmoji: sessionDataRef.rules.emoji, promptedAt: sessionDataRef.turnPromptedAt, clockSkewMs: DICE_CLOCK_SKEW_MS });
+    if (rejection) return rejectDiceMessage(sessionDataRef, msg, rejection);
 
-            if (updateRes.rowCount > 0) {
-                await client.query('COMMIT');
-                console.log(`${sessionLogPrefixInfo} Session successfully claimed by ${botUsername}.`);
-                claimedSessionData = updateRes.rows[0];
-            } else {
-                console.warn(`${sessionLogPrefixInfo} Failed to claim (session ${sessionToClaim.session_id} likely picked by another instance or status changed before update).`);
-                await client.query('ROLLBACK');
-            }
-        } catch (dbError) {
-            console.error(`${logPrefixCycle} DB Error during claim attempt: ${dbError.message}`, dbError.stack?.substring(0, 300));
-            if (client) {
-                try { await client.query('ROLLBACK'); }
-                catch (rbErr) { console.error(`${logPrefixCycle} Claim attempt rollback error: ${rbErr.message}`); }
-            }
-        } finally {
-            if (client) {
-                client.release();
-            }
+    if (sessionDataRef.isRollInProgress) return rejectDiceMessage(sessionDataRef, msg, DICE_REJECTION_REASONS.rollInProgress);
+
+    const sessionLog = sessionLogger('Roll', sessionDataRef);
+    sessionLog.info('roll.received', `User ${userId} rolled ${diceValue} in jackpot run.`, { roll_value: diceValue, via: 'dice' });
+    bot.deleteMessage(chatId, msg.message_id).catch(() => {});
+    if (msg.from.language_code) sessionDataRef.playerLanguageCode = msg.from.language_code;
+    rememberPlayer(msg.from);
+
+    await rollFromPlayerDice(activeSessionId, sessionDataRef, diceValue, msg.message_id);
+});
+
+// Telegram clients can't edit a dice, so an edited one only comes from tampering; it never counts either way.
+bot.on('edited_message', async (msg) => {
+    if (!msg.dice || !msg.from || msg.from.is_bot) return;
+    const [, sessionData] = findPlayerActiveSession(String(msg.from.id), String(msg.chat.id));
+    if (sessionData) await rejectDiceMessage(sessionData, msg, DICE_REJECTION_REASONS.edited);
+});
+
+// --- Inline Keyboard Controls (Roll / Stop here) ---
+// callback_data is "dej:<action>:<session_id>". Only the session's own player may press the buttons.
+function findActiveSessionById(sessionIdStr) {
+    for (const [sId, sData] of activeHelperSessions.entries()) {
+        if (String(sId) === sessionIdStr) return [sId, sData];
+    }
+    return [null, null];
+}
+
+bot.on('callback_query', async (query) => {
+    const callbackData = query.data || '';
+    if (!callbackData.startsWith('dej:')) return;
+    const [, action, sessionIdStr] = callbackData.split(':');
+    const [sessionId, sessionData] = findActiveSessionById(sessionIdStr || '');
+    // Whoever pressed is answered in their own language, or the run's when it's theirs.
+    const isPlayer = Boolean(sessionData) && String(query.from.id) === String(sessionData.user_id);
+    if (isPlayer && query.from.language_code) sessionData.playerLanguageCode = query.from.language_code;
+    if (isPlayer) rememberPlayer(query.from);
+    const answerLanguage = isPlayer ? sessionLanguage(sessionData) : messages.resolveLanguage(query.from.language_code);
+    const answer = (messageKey, params = {}, showAlert = false) => bot.answerCallbackQuery(query.id, {
+        text: messages.renderText(answerLanguage, messageKey, params),
+        show_alert: showAlert
+    }).catch(answerErr => recordTelegramSendError('answerCallbackQuery', answerErr));
+
+    if (isShuttingDownHelper && !sessionData) return answer('callback.restarting'); // Handed over, or never ours
+
+    if (!sessionData || sessionData.status !== 'active_by_helper') {
+        return answer('callback.not_active');
+    }
+    if (!isPlayer) {
+        return answer('callback.not_your_run', {}, true);
+    }
+
+    const sessionLog = sessionLogger('Button', sessionData);
+    if (sessionData.isRollInProgress) return answer('callback.roll_in_progress');
+
+    if (action === 'roll') {
+        sessionData.autoRollStreak = 0;
+        answer('callback.rolling', { emoji: sessionData.rules.emoji });
+        await rollJackpotRunForPlayer(sessionId, sessionData, sessionLog, 'button');
+    } else if (action === 'stop' && ALLOW_STOP_BUTTON) {
+        sessionLog.info('run.player_stopped', `User ${query.from.id} stopped the run voluntarily. Score: ${sessionData.current_total_score}`, { score: sessionData.current_total_score });
+        answer('callback.stopping');
+        await finalizeJackpotSession(sessionId, 'completed_player_stopped', sessionData.current_total_score, sessionData.jackpot_run_rolls,
+                                     `Stopped voluntarily with a score of ${sessionData.current_total_score}.`,
+                                     { messageKey: 'outcome.player_stopped', messageParams: { score: sessionData.current_total_score } });
+    } else {
+        answer('callback.unknown_action');
+    }
+});
+
+// --- Telegram Bot Event Handlers ---
+bot.onText(/\/start|\/help/i, async (msg) => {
+    const chatId = msg.chat.id;
+    const language = await commandLanguage(msg);
+    commandReplier(chatId, language)('help.text');
+});
+
+bot.onText(/^\/verify(?:@\w+)?(?:\s+(\S+))?/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const sessionIdArg = match[1];
+    const language = await commandLanguage(msg);
+    const reply = commandReplier(chatId, language);
+    if (!sessionIdArg) {
+        return reply('verify.usage');
+    }
+
+    try {
+        const sessionRes = await pool.query(
+            `SELECT * FROM de_jackpot_sessions WHERE session_id::text = $1`,
+            [sessionIdArg]
+        );
+        const sessionRow = sessionRes.rows[0];
+        if (!sessionRow) {
+            return reply('verify.not_found', { session_id: sessionIdArg });
+        }
+        if (!sessionRow.provably_fair || !sessionRow.pf_server_seed) {
+            return reply('verify.not_provably_fair', { session_id: sessionIdArg });
+        }
+        if (['pending_pickup', 'pending_resume', 'active_by_helper'].includes(sessionRow.status)) {
+            return reply('verify.in_progress', { session_id: sessionIdArg });
         }
 
-        if (claimedSessionData) {
-            console.log(`${logPrefixCycle} SID:${claimedSessionData.session_id} Storing locally and sending initial prompt.`);
-            activeHelperSessions.set(claimedSessionData.session_id, {
-                ...claimedSessionData,
-                jackpot_run_rolls: [],
-                jackpot_run_score: 0,
-                current_total_score: parseInt(claimedSessionData.initial_score, 10),
-                turnTimeoutId: null,
-                initial_rolls_parsed: JSON.parse(claimedSessionData.initial_rolls_json || '[]')
-            });
-            sendJackpotRunUpdate(claimedSessionData.session_id).catch(sendErr => {
-                console.error(`Error in initial sendJackpotRunUpdate for SID ${claimedSessionData.session_id}: ${sendErr.message}`);
-                finalizeJackpotSession(claimedSessionData.session_id, 'error_helper_init_prompt',
-                                       parseInt(claimedSessionData.initial_score, 10), [],
-                                       `Failed initial prompt: ${String(sendErr.message).substring(0,100)}`);
+        const sessionRules = resolveJackpotRules(sessionRow);
+        const rollEvents = await loadPersistedJackpotRunRolls(sessionRow.session_id);
+        const hashMatches = hashProvablyFairServerSeed(sessionRow.pf_server_seed) === sessionRow.pf_server_seed_hash;
+        let allRollsMatch = true;
+        const rollLines = rollEvents.map(rollEvent => {
+            const nonce = rollEvent.pf_nonce === null ? rollEvent.roll_index : rollEvent.pf_nonce;
+            const expectedValue = deriveProvablyFairRollForRules(sessionRules, sessionRow.pf_server_seed, sessionRow.pf_client_seed, nonce);
+            const matches = expectedValue === rollEvent.roll_value;
+            if (!matches) allRollsMatch = false;
+            return messages.render(language, 'verify.roll_line', {
+                verdict: matches ? '✅' : '❌', nonce, recorded: rollEvent.roll_value, expected: expectedValue
             });
-        } else if (selectRes && selectRes.rows.length === 0 && i === 0) {
+        });
+
+        const verifyText = `${messages.render(language, 'verify.title', { session_id: sessionIdArg })}\n\n` +
+                           `${messages.render(language, 'verify.seeds', {
+                               server_seed: sessionRow.pf_server_seed,
+                               server_seed_hash: sessionRow.pf_server_seed_hash,
+                               hash_verdict: hashMatches ? '✅' : '❌',
+                               client_seed: sessionRow.pf_client_seed
+                           })}\n\n` +
+                           (rollLines.length > 0 ? rollLines.join('\n') : messages.render(language, 'verify.no_rolls')) +
+                           `\n\n${messages.render(language, hashMatches && allRollsMatch ? 'verify.passed' : 'verify.failed')}\n` +
+                           messages.render(language, 'verify.formula', { faces: sessionRules.maxValue - sessionRules.minValue + 1, min_value: sessionRules.minValue });
+        await bot.sendMessage(chatId, verifyText, { parse_mode: 'HTML' });
+    } catch (error) {
+        log.error('verify.failed', `Error verifying session: ${error.message}`, { component: 'Verify', session_id: sessionIdArg, chat_id: chatId, err: error });
+        reply('verify.error');
+    }
+});
+
+// Lets the player choose their own client seed for a provably-fair run before its first jackpot roll.
+bot.onText(/^\/clientseed(?:@\w+)?(?:\s+(\S{1,64}))?/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = String(msg.from.id);
+    const newClientSeed = match[1];
+    const language = await commandLanguage(msg);
+    const reply = commandReplier(chatId, language);
+
+    let sessionData = null;
+    for (const sData of activeHelperSessions.values()) {
+        if (String(sData.user_id) === userId && String(sData.chat_id) === String(chatId) && sData.provably_fair) {
+            sessionData = sData;
             break;
         }
-        if (sessionsToAttemptToClaim > 1 && i < sessionsToAttemptToClaim -1) await sleep(250);
     }
+    if (!sessionData) return reply('clientseed.no_session');
+    // A client seed is chosen against a committed server seed hash, never before it (see prepareProvablyFairSession).
+    if (!sessionData.pf_server_seed) return reply('clientseed.not_ready');
+    if (!newClientSeed) {
+        return reply('clientseed.current', { client_seed: sessionData.pf_client_seed });
+    }
+    if (sessionData.jackpot_run_rolls.length > 0 || sessionData.isRollInProgress) {
+        return reply('clientseed.too_late');
+    }
+
+    try {
+        // The store re-checks both conditions, so a roll recorded meanwhile (or a lost lease) still wins.
+        if (!(await sessionStore.storeClientSeed(sessionData.session_id, newClientSeed))) {
+            return reply('clientseed.too_late');
+        }
+        sessionData.pf_client_seed = newClientSeed;
+        await reply('clientseed.saved', { client_seed: newClientSeed });
+        if (sessionData.run_card_message_id) {
+            await refreshJackpotRunCountdown(sessionData.session_id);
+        }
+    } catch (error) {
+        sessionLogger('PF', sessionData).error('pf.client_seed_failed', `Error setting client seed: ${error.message}`, { err: error });
+        reply('clientseed.error');
+    }
+});
+
+// Chat settings commands (/jackpotcurrency, /jackpotlanguage) may only be used by group admins.
+async function isChatSettingsAdmin(msg) {
+    if (msg.chat.type === 'private') return true;
+    const member = await bot.getChatMember(msg.chat.id, msg.from.id);
+    return ['creator', 'administrator'].includes(member.status);
 }
 
-async function sendJackpotRunUpdate(sessionId, lastRollValue = null) {
-    const sessionData = activeHelperSessions.get(sessionId);
-    if (!sessionData) {
-        console.warn(`[HelperDEJackpot_Update SID:${sessionId}] No active session data found.`);
-        return;
+// Upserts one column group of this chat's de_jackpot_chat_settings row and makes live sessions reload it.
+async function saveChatSettings(chatId, settings) {
+    const columns = Object.keys(settings);
+    const values = columns.map(column => settings[column]);
+    await pool.query(
+        `INSERT INTO de_jackpot_chat_settings (chat_id, ${columns.join(', ')}, updated_at)
+         VALUES ($1, ${columns.map((column, i) => `$${i + 2}`).join(', ')}, NOW())
+         ON CONFLICT (chat_id) DO UPDATE SET ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')}, updated_at = NOW()`,
+        [String(chatId), ...values]
+    );
+    for (const sessionData of activeHelperSessions.values()) {
+        if (String(sessionData.chat_id) !== String(chatId)) continue;
+        sessionData.chatSettings = null; // Reloaded on the next update
+        sessionData.announceIdentity = null;
     }
-    const logPrefixSession = `[HelperDEJackpot_Update SID:${sessionId}]`;
+}
+
+// Lets group admins pick how this chat's jackpot pools are shown: /jackpotcurrency EUR [de-DE]
+bot.onText(/^\/jackpotcurrency(?:@\w+)?(?:\s+([A-Za-z]{3}))?(?:\s+([A-Za-z0-9-]{2,35}))?/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const currency = match[1] ? match[1].toUpperCase() : null;
+    const locale = match[2] || null;
+    const language = await commandLanguage(msg);
+    const reply = commandReplier(chatId, language);
 
-    if (sessionData.turnTimeoutId) {
-        clearTimeout(sessionData.turnTimeoutId);
-        sessionData.turnTimeoutId = null;
+    if (!currency) {
+        try {
+            const chatSettings = await loadChatSettings(chatId);
+            return reply('currency.current', {
+                currency: chatSettings.display_currency || DEFAULT_DISPLAY_CURRENCY,
+                locale: chatSettings.display_locale || DEFAULT_DISPLAY_LOCALE
+            });
+        } catch (error) {
+            log.error('chat_settings.load_failed', `Error loading chat settings: ${error.message}`, { component: 'Currency', chat_id: chatId, err: error });
+            return reply('settings.load_error');
+        }
     }
 
-    const initialRollsDisplay = formatDiceRollsHTML(sessionData.initial_rolls_parsed);
-    const jackpotRunRollsDisplay = formatDiceRollsHTML(sessionData.jackpot_run_rolls);
+    try {
+        fiatFractionDigits(currency, locale || DEFAULT_DISPLAY_LOCALE);
+    } catch (validationError) {
+        return reply('currency.invalid', { value: locale ? `${currency} / ${locale}` : currency });
+    }
 
-    let jackpotPoolDisplayHTML = "Calculating...";
     try {
-        const solPrice = await getSolUsdPriceForHelper();
-        jackpotPoolDisplayHTML = escapeHTML(convertLamportsToUSDStringForHelper(sessionData.jackpot_pool_at_session_start, solPrice));
-    } catch (priceError) {
-        console.warn(`${logPrefixSession} Could not get SOL/USD price for jackpot pool display: ${priceError.message}`);
-        const jackpotPoolSol = parseFloat(Number(BigInt(sessionData.jackpot_pool_at_session_start)) / Number(LAMPORTS_PER_SOL)).toFixed(2);
-        jackpotPoolDisplayHTML = `~${escapeHTML(jackpotPoolSol)} SOL (USD price error)`;
-    }
-
-    let message = `🏆 <b>Jackpot Run!</b> (Dice by @${escapeHTML(botUsername)})\n\n` +
-                  `Your score entering this run: <b>${sessionData.initial_score}</b>\n` +
-                  `Rolls during this Jackpot Run: ${jackpotRunRollsDisplay}\n` +
-                  `🔥 Combined Total Score: <b>${sessionData.current_total_score}</b>\n` +
-                  `🎯 Target for Jackpot: <b>${sessionData.target_jackpot_score}+</b> (Bust on ${sessionData.bust_on_value})\n` +
-                  `💰 Jackpot Pool: <b>${jackpotPoolDisplayHTML}</b>\n\n`;
-
-    if (lastRollValue !== null) {
-        message += `You just rolled: 🎲<b>${lastRollValue}</b>!\n\n`;
-    }
-
-    if (sessionData.status === 'active_by_helper') {
-        message += `Send 🎲 to roll again! (Timeout: ${JACKPOT_RUN_TURN_TIMEOUT_MS / 1000}s)`;
-        sessionData.turnTimeoutId = setTimeout(() => {
-            handleJackpotRunTurnTimeout(sessionId);
-        }, JACKPOT_RUN_TURN_TIMEOUT_MS);
-    } else {
-        message += `<b>${escapeHTML(sessionData.outcome_notes || "Jackpot run segment ended.")}</b>\nReporting result to Main Bot...`;
+        if (!(await isChatSettingsAdmin(msg))) return reply('settings.admins_only');
+        await saveChatSettings(chatId, { display_currency: currency, display_locale: locale });
+        await reply('currency.saved', { currency, locale_suffix: locale ? ` (${locale})` : '' });
+    } catch (error) {
+        log.error('chat_settings.save_failed', `Error saving display currency: ${error.message}`, { component: 'Currency', chat_id: chatId, err: error });
+        reply('settings.save_error');
     }
+});
 
-    bot.sendMessage(sessionData.chat_id, message, { parse_mode: 'HTML' }).catch(err => {
-        console.error(`${logPrefixSession} Error sending jackpot run update message: ${err.message}`);
-        if (err.response && (err.response.body.error_code === 403 || err.response.body.error_code === 400)) {
-            finalizeJackpotSession(sessionId, 'error_sending_message', sessionData.current_total_score, sessionData.jackpot_run_rolls, `Helper failed to send update to chat: ${err.message.substring(0,100)}`);
-        }
+// Lets group admins fix this chat's message language: /jackpotlanguage pt, or "auto" to follow each player.
+bot.onText(/^\/jackpotlanguage(?:@\w+)?(?:\s+([A-Za-z_-]{2,16}))?/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const requestedLanguage = match[1] ? match[1].toLowerCase() : null;
+    const language = await commandLanguage(msg);
+    const reply = commandReplier(chatId, language);
+    const available = messages.languages.join(', ');
+
+    if (!requestedLanguage) {
+        return reply('language.current', { language, available });
+    }
+    if (requestedLanguage !== 'auto' && !messages.hasLanguage(requestedLanguage)) {
+        return reply('language.invalid', { language: requestedLanguage, available });
+    }
+
+    try {
+        if (!(await isChatSettingsAdmin(msg))) return reply('settings.admins_only');
+        const newLanguage = requestedLanguage === 'auto' ? null : messages.resolveLanguage(requestedLanguage);
+        await saveChatSettings(chatId, { language: newLanguage });
+        await bot.sendMessage(chatId, newLanguage
+            ? messages.render(newLanguage, 'language.saved', { language: newLanguage })
+            : messages.render(language, 'language.auto'), { parse_mode: 'HTML' });
+    } catch (error) {
+        log.error('chat_settings.save_failed', `Error saving chat language: ${error.message}`, { component: 'Language', chat_id: chatId, err: error });
+        reply('settings.save_error');
+    }
+});
+
+// --- Jackpot History and Leaderboards ---
+// /myjackpots lists the sender's runs, /jackpotboard this chat's leaderboards (see jackpot_history.js).
+// Both page through inline buttons whose callback_data is "dejh:my:<user_id>:<page>" or
+// "dejh:board:<board>:<period>:<page>"; a button press edits the message it belongs to.
+const jackpotHistory = createJackpotHistory({ query: (text, values) => pool.query(text, values), cacheTtlMs: HISTORY_CACHE_TTL_MS });
+const HISTORY_STATUS_LABELS = [
+    'completed_bust', 'completed_target_reached', 'completed_timeout_forfeit', 'completed_timeout_banked',
+    'completed_max_rolls', 'completed_player_stopped'
+];
+const PLAYER_NAME_REFRESH_MS = 60 * 60 * 1000;
+const playerNameRefreshedAt = new Map(); // Key: user_id, Value: when de_jackpot_players was last updated from here
+
+// Keeps the player's Telegram name in de_jackpot_players for the leaderboards, at most once an hour per player.
+function rememberPlayer(from) {
+    if (!from || from.is_bot) return;
+    const userId = String(from.id);
+    const refreshedAt = playerNameRefreshedAt.get(userId);
+    if (refreshedAt && Date.now() - refreshedAt < PLAYER_NAME_REFRESH_MS) return;
+    playerNameRefreshedAt.delete(userId); // Re-inserted last, so the oldest entries are evicted first
+    playerNameRefreshedAt.set(userId, Date.now());
+    if (playerNameRefreshedAt.size > 10000) playerNameRefreshedAt.delete(playerNameRefreshedAt.keys().next().value);
+    pool.query(
+        `INSERT INTO de_jackpot_players (user_id, first_name, username, updated_at) VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (user_id) DO UPDATE SET first_name = EXCLUDED.first_name, username = EXCLUDED.username, updated_at = NOW()`,
+        [userId, from.first_name || null, from.username || null]
+    ).catch(dbError => {
+        playerNameRefreshedAt.delete(userId);
+        log.warn('player.remember_failed', `Could not store the player's name: ${dbError.message}`, { component: 'History', user_id: userId, err: dbError });
     });
-    activeHelperSessions.set(sessionId, sessionData);
 }
 
-bot.on('message', async (msg) => {
-    if (isShuttingDownHelper || !msg.dice || !msg.from || msg.from.is_bot) return;
+function historyStatusKey(status) {
+    if (['pending_pickup', 'pending_resume', 'active_by_helper'].includes(status)) return 'history.status.in_progress';
+    return HISTORY_STATUS_LABELS.includes(status) ? `history.status.${status}` : 'history.status.error';
+}
 
-    const userId = String(msg.from.id);
-    const chatId = String(msg.chat.id);
-    const diceValue = msg.dice.value;
+function formatHistoryDate(value, locale) {
+    try {
+        return `${new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' }).format(new Date(value))} UTC`;
+    } catch (formatError) {
+        return new Date(value).toISOString();
+    }
+}
 
-    let activeSessionId = null;
-    let sessionDataRef = null;
+// "‹ Prev" / "Next ›" for a page, or no row at all for a single page.
+function buildPageButtons(language, { page, hasNext }, callbackDataForPage) {
+    const buttons = [];
+    if (page > 0) buttons.push({ text: messages.renderText(language, 'button.prev'), callback_data: callbackDataForPage(page - 1) });
+    if (hasNext) buttons.push({ text: messages.renderText(language, 'button.next'), callback_data: callbackDataForPage(page + 1) });
+    return buttons.length > 0 ? [buttons] : [];
+}
 
-    for (const [sId, sData] of activeHelperSessions.entries()) {
-        if (String(sData.user_id) === userId && String(sData.chat_id) === chatId && sData.status === 'active_by_helper') {
-            activeSessionId = sId;
-            sessionDataRef = sData;
-            break;
+function withPageFooter(text, language, { page, hasNext }) {
+    return page > 0 || hasNext ? `${text}\n\n${messages.render(language, 'history.page', { page: page + 1 })}` : text;
+}
+
+// chatId is null in a private chat with the helper, where the player's runs from every chat are listed.
+async function renderPlayerRunsPage(language, userId, chatId, page, chatSettings) {
+    const result = await jackpotHistory.playerRuns({ userId, chatId, page });
+    if (result.rows.length === 0 && result.page === 0) return { text: messages.render(language, 'history.none') };
+
+    const runBlocks = result.rows.map(row => {
+        let rules = null;
+        try { rules = resolveJackpotRules(row); } catch (rulesError) { /* Shown as "?" */ }
+        let poolAmount = '-';
+        try {
+            const { asset, locale } = resolvePoolDisplaySettings({ ...row, chatSettings: String(row.chat_id) === String(chatId) ? chatSettings : {} }, DISPLAY_DEFAULTS);
+            poolAmount = formatAtomicAmountAsToken(BigInt(row.jackpot_pool_at_session_start), asset.decimals, asset.symbol, locale);
+        } catch (poolError) { /* A broken asset setting only hides the pool */ }
+        return messages.render(language, 'history.run', {
+            status: trustedHTML(messages.render(language, historyStatusKey(row.status))),
+            score: row.final_score ?? '-',
+            target: rules ? rules.targetScore : '?',
+            rolls: trustedHTML(formatDiceRollsHTML(row.run_rolls, rules ? rules.emoji : undefined, language)),
+            pool: poolAmount,
+            date: formatHistoryDate(row.created_at, chatSettings.display_locale || DEFAULT_DISPLAY_LOCALE),
+            session_id: row.session_id
+        });
+    });
+    const text = `${messages.render(language, 'history.title')}\n\n${runBlocks.join('\n\n')}`;
+    return {
+        text: withPageFooter(text, language, result),
+        replyMarkup: { inline_keyboard: buildPageButtons(language, result, targetPage => `dejh:my:${userId}:${targetPage}`) }
+    };
+}
+
+function formatBoardPlayer(language, row) {
+    if (row.first_name) return row.first_name;
+    if (row.username) return `@${row.username}`;
+    return messages.renderText(language, 'board.unknown_player', { hint: String(row.user_id).slice(-4) });
+}
+
+async function renderLeaderboardPage(language, chatId, board, period, page) {
+    const result = await jackpotHistory.leaderboard({ chatId, board, period, page });
+    const medals = ['🥇', '🥈', '🥉'];
+    const lines = result.rows.map((row, index) => {
+        const rank = result.page === 0 && index < medals.length ? medals[index] : `${result.page * LEADERBOARD_PAGE_SIZE + index + 1}.`;
+        return messages.render(language, `board.line.${board}`, { rank, player: formatBoardPlayer(language, row), value: row.value });
+    });
+    const title = messages.render(language, `board.title.${board}`, { period: messages.renderText(language, `board.period.${period}`) });
+    const text = `${title}\n\n${lines.join('\n') || messages.render(language, 'board.empty')}`;
+    const mark = (isCurrent, label) => (isCurrent ? `• ${label} •` : label);
+    const callbackData = (targetBoard, targetPeriod, targetPage) => `dejh:board:${targetBoard}:${targetPeriod}:${targetPage}`;
+    return {
+        text: withPageFooter(text, language, result),
+        replyMarkup: {
+            inline_keyboard: [
+                LEADERBOARD_BOARDS.map(boardName => ({
+                    text: mark(boardName === board, messages.renderText(language, `board.button.${boardName}`)),
+                    callback_data: callbackData(boardName, period, 0)
+                })),
+                Object.keys(LEADERBOARD_PERIODS).map(periodName => ({
+                    text: mark(periodName === period, messages.renderText(language, `board.button.${periodName}`)),
+                    callback_data: callbackData(board, periodName, 0)
+                })),
+                ...buildPageButtons(language, result, targetPage => callbackData(board, period, targetPage))
+            ]
         }
+    };
+}
+
+bot.onText(/^\/myjackpots(?:@\w+)?\s*$/i, async (msg) => {
+    const chatId = msg.chat.id;
+    const language = await commandLanguage(msg);
+    rememberPlayer(msg.from);
+    try {
+        const chatSettings = await loadChatSettings(chatId);
+        const page = await renderPlayerRunsPage(language, String(msg.from.id), msg.chat.type === 'private' ? null : String(chatId), 0, chatSettings);
+        await bot.sendMessage(chatId, page.text, { parse_mode: 'HTML', reply_markup: page.replyMarkup, reply_to_message_id: msg.message_id, allow_sending_without_reply: true });
+    } catch (error) {
+        log.error('history.failed', `Error loading jackpot history: ${error.message}`, { component: 'History', user_id: msg.from.id, chat_id: chatId, err: error });
+        commandReplier(chatId, language)('history.error');
     }
+});
 
-    if (!activeSessionId || !sessionDataRef) return;
+// /jackpotboard [scores|hits|streaks] [day|week|all]
+bot.onText(/^\/jackpotboard(?:@\w+)?(?:\s+(\w+))?(?:\s+(\w+))?\s*$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const language = await commandLanguage(msg);
+    rememberPlayer(msg.from);
+    const args = [match[1], match[2]].filter(Boolean).map(arg => arg.toLowerCase());
+    const board = args.find(arg => LEADERBOARD_BOARDS.includes(arg)) || 'scores';
+    const period = args.find(arg => arg in LEADERBOARD_PERIODS) || 'week';
+    try {
+        const page = await renderLeaderboardPage(language, String(chatId), board, period, 0);
+        await bot.sendMessage(chatId, page.text, { parse_mode: 'HTML', reply_markup: page.replyMarkup });
+    } catch (error) {
+        log.error('board.failed', `Error loading jackpot leaderboard: ${error.message}`, { component: 'History', chat_id: chatId, board, period, err: error });
+        commandReplier(chatId, language)('history.error');
+    }
+});
 
-    const logPrefixSession = `[HelperDEJackpot_Roll SID:${activeSessionId}]`;
-    console.log(`${logPrefixSession} User ${userId} rolled ${diceValue} in jackpot run.`);
-    bot.deleteMessage(chatId, msg.message_id).catch(() => {});
+bot.on('callback_query', async (query) => {
+    const callbackData = query.data || '';
+    if (!callbackData.startsWith('dejh:') || !query.message) return;
+    const [, view, ...args] = callbackData.split(':');
+    const chatId = String(query.message.chat.id);
+    const language = await commandLanguage({ chat: query.message.chat, from: query.from });
+    const answer = (messageKey, showAlert = false) => bot.answerCallbackQuery(query.id, messageKey ? {
+        text: messages.renderText(language, messageKey),
+        show_alert: showAlert
+    } : {}).catch(answerErr => recordTelegramSendError('answerCallbackQuery', answerErr));
 
-    if (sessionDataRef.turnTimeoutId) {
-        clearTimeout(sessionDataRef.turnTimeoutId);
-        sessionDataRef.turnTimeoutId = null;
+    try {
+        let page;
+        if (view === 'my') {
+            const [ownerId, pageArg] = args;
+            if (String(query.from.id) !== ownerId) return answer('history.not_yours', true);
+            const chatSettings = await loadChatSettings(chatId);
+            page = await renderPlayerRunsPage(language, ownerId, query.message.chat.type === 'private' ? null : chatId, pageArg, chatSettings);
+        } else if (view === 'board') {
+            const [board, period, pageArg] = args;
+            if (!LEADERBOARD_BOARDS.includes(board) || !(period in LEADERBOARD_PERIODS)) return answer('callback.unknown_action');
+            page = await renderLeaderboardPage(language, chatId, board, period, pageArg);
+        } else {
+            return answer('callback.unknown_action');
+        }
+        await bot.editMessageText(page.text, {
+            chat_id: query.message.chat.id,
+            message_id: query.message.message_id,
+            parse_mode: 'HTML',
+            reply_markup: page.replyMarkup
+        });
+        answer(null);
+    } catch (error) {
+        if (isMessageNotModifiedError(error)) return answer(null); // Same page pressed again
+        log.error('history.page_failed', `Error paging jackpot history: ${error.message}`, { component: 'History', chat_id: chatId, callback_data: callbackData, err: error });
+        answer('history.error');
     }
+});
 
-    sessionDataRef.jackpot_run_rolls.push(diceValue);
-    sessionDataRef.jackpot_run_score += diceValue;
-    sessionDataRef.current_total_score = parseInt(sessionDataRef.initial_score, 10) + sessionDataRef.jackpot_run_score;
+// --- Announcement Channel ---
+// With HELPER_DEJ_ANNOUNCE_CHAT_ID set, runs from opted-in chats (/jackpotannounce) get one live message in
+// that channel: posted when the run is claimed (ANNOUNCE_ON_CLAIM) or gets within ANNOUNCE_NEAR_TARGET_POINTS
+// of the target, edited as the player rolls and closed with the outcome. A hit target also gets a separate
+// celebration post. Sending goes through jackpot_announcer.js, so the channel's flood limits never hold up a
+// run. Players and chats stay anonymous unless the chat turns names on and the player hasn't hidden theirs
+// with /jackpotprivacy.
+const announcer = ANNOUNCE_CHAT_ID ? createAnnouncer({
+    chatId: ANNOUNCE_CHAT_ID,
+    telegram: {
+        sendMessage: (chatId, text, options) => bot.sendMessage(chatId, text, options),
+        editMessageText: (text, options) => bot.editMessageText(text, options)
+    },
+    maxPerMinute: ANNOUNCE_MAX_PER_MINUTE,
+    editIntervalMs: ANNOUNCE_EDIT_INTERVAL_MS,
+    onSend: ({ method, error }) => (error ? recordTelegramSendError(method, error) : helperMetrics.announcements.inc({ method })),
+    logger: log.child({ component: 'Announce' })
+}) : null;
+const ANNOUNCE_MESSAGE_LANGUAGE = messages.resolveLanguage(ANNOUNCE_LANGUAGE || DEFAULT_MESSAGE_LANGUAGE);
+
+function runAnnouncementKey(sessionData) {
+    return `run:${sessionData.session_id}`;
+}
 
-    if (diceValue === parseInt(sessionDataRef.bust_on_value, 10)) {
-        console.log(`${logPrefixSession} Player BUSTED with roll ${diceValue}. Total score: ${sessionDataRef.current_total_score}`);
-        await finalizeJackpotSession(activeSessionId, 'completed_bust', sessionDataRef.current_total_score, sessionDataRef.jackpot_run_rolls, `Busted on a ${diceValue} during jackpot run!`);
-    } else if (sessionDataRef.current_total_score >= parseInt(sessionDataRef.target_jackpot_score, 10)) {
-        console.log(`${logPrefixSession} Player reached/exceeded jackpot target! Score: ${sessionDataRef.current_total_score}`);
-        await finalizeJackpotSession(activeSessionId, 'completed_target_reached', sessionDataRef.current_total_score, sessionDataRef.jackpot_run_rolls, `Target ${sessionDataRef.target_jackpot_score}+ reached with score ${sessionDataRef.current_total_score}!`);
-    } else {
-        activeHelperSessions.set(activeSessionId, sessionDataRef);
-        await sendJackpotRunUpdate(activeSessionId, diceValue);
+function isAnnouncedChat(chatSettings) {
+    return chatSettings.announce_runs ?? ANNOUNCE_DEFAULT_OPT_IN;
+}
+
+// The player and chat names for the session's announcements, loaded once per run (and again after
+// /jackpotannounce or /jackpotprivacy change them).
+async function loadAnnouncementIdentity(sessionData) {
+    if (sessionData.announceIdentity) return sessionData.announceIdentity;
+    const chatSettings = sessionData.chatSettings || {};
+    const identity = {
+        player: messages.renderText(ANNOUNCE_MESSAGE_LANGUAGE, 'announce.anonymous_player'),
+        chat: messages.renderText(ANNOUNCE_MESSAGE_LANGUAGE, 'announce.unnamed_chat')
+    };
+    if (chatSettings.announce_show_names) {
+        const playerRes = await pool.query(
+            'SELECT first_name, username, hide_in_announcements FROM de_jackpot_players WHERE user_id = $1',
+            [String(sessionData.user_id)]
+        );
+        const player = playerRes.rows[0];
+        if (player && !player.hide_in_announcements && (player.first_name || player.username)) {
+            identity.player = player.first_name || `@${player.username}`;
+        }
+        if (chatSettings.announce_chat_label) identity.chat = chatSettings.announce_chat_label;
     }
-});
+    sessionData.announceIdentity = identity;
+    return identity;
+}
 
-async function handleJackpotRunTurnTimeout(sessionId) {
-    const sessionData = activeHelperSessions.get(sessionId);
-    if (!sessionData || sessionData.status !== 'active_by_helper') return;
+// finalStatus/finalScore turn the live message into the run's result.
+function buildRunAnnouncementHTML(sessionData, identity, { finalStatus = null, finalScore = null } = {}) {
+    const language = ANNOUNCE_MESSAGE_LANGUAGE;
+    const score = finalStatus ? finalScore : sessionData.current_total_score;
+    const params = {
+        player: identity.player,
+        chat: identity.chat,
+        score,
+        target: sessionData.rules.targetScore,
+        rolls: trustedHTML(formatDiceRollsHTML(sessionData.jackpot_run_rolls, sessionData.rules.emoji, language)),
+        pool: trustedHTML(sessionData.jackpotPoolDisplayHTML || messages.render(language, 'run_card.pool_calculating'))
+    };
+    if (finalStatus) {
+        return messages.render(language, 'announce.ended', { ...params, outcome: trustedHTML(messages.render(language, historyStatusKey(finalStatus))) });
+    }
+    const remaining = Math.max(0, sessionData.rules.targetScore - score);
+    let phase = 'running';
+    if (sessionData.jackpot_run_rolls.length === 0) phase = 'started';
+    else if (ANNOUNCE_NEAR_TARGET_POINTS > 0 && remaining <= ANNOUNCE_NEAR_TARGET_POINTS) phase = 'tension';
+    return messages.render(language, `announce.${phase}`, { ...params, remaining });
+}
 
-    const logPrefixSession = `[HelperDEJackpot_Timeout SID:${sessionId}]`;
-    console.log(`${logPrefixSession} User ${sessionData.user_id} timed out during jackpot run.`);
+function storeAnnounceMessageId(sessionData, messageId) {
+    sessionData.announce_message_id = messageId;
+    pool.query('UPDATE de_jackpot_sessions SET announce_message_id = $1 WHERE session_id = $2', [messageId, sessionData.session_id]).catch(dbError => {
+        sessionLogger('Announce', sessionData).warn('announce.store_failed', `Failed to store announcement message id ${messageId}: ${dbError.message}`, { message_id: messageId, err: dbError });
+    });
+}
 
-    await finalizeJackpotSession(sessionId, 'completed_timeout_forfeit', sessionData.current_total_score, sessionData.jackpot_run_rolls, "Turn timed out during jackpot run.");
+// Called after every run card update. Once a run has a live message it is kept up to date until the run ends.
+async function updateRunAnnouncement(sessionData) {
+    if (!announcer || sessionData.status !== 'active_by_helper' || !isAnnouncedChat(sessionData.chatSettings || {})) return;
+    const remaining = sessionData.rules.targetScore - sessionData.current_total_score;
+    const isNearTarget = ANNOUNCE_NEAR_TARGET_POINTS > 0 && remaining <= ANNOUNCE_NEAR_TARGET_POINTS;
+    const isClaimed = ANNOUNCE_ON_CLAIM && sessionData.jackpot_run_rolls.length === 0;
+    if (!sessionData.announce_message_id && !sessionData.isAnnounced && !isNearTarget && !isClaimed) return;
+
+    const identity = await loadAnnouncementIdentity(sessionData);
+    // The run may have ended while the names loaded; its final text is closeRunAnnouncement's to send.
+    if (activeHelperSessions.get(sessionData.session_id) !== sessionData || sessionData.status !== 'active_by_helper') return;
+    sessionData.isAnnounced = true;
+    announcer.publish(runAnnouncementKey(sessionData), buildRunAnnouncementHTML(sessionData, identity), {
+        messageId: sessionData.announce_message_id,
+        onPosted: messageId => storeAnnounceMessageId(sessionData, messageId)
+    });
 }
 
-async function finalizeJackpotSession(sessionId, finalStatus, finalOverallScore, jackpotRunRollsArray, outcomeNotesStr) {
-    const sessionData = activeHelperSessions.get(sessionId); // Get a fresh copy or the existing one
-    const logPrefixSession = `[HelperDEJackpot_Finalize SID:${sessionId}]`;
+// Turns the run's live message (if it has one) into the result, and celebrates a hit target.
+async function closeRunAnnouncement(sessionData, finalStatus, finalScore) {
+    if (!announcer || !sessionData.rules) return;
+    if (!sessionData.chatSettings) sessionData.chatSettings = await loadChatSettings(sessionData.chat_id);
+    const identity = await loadAnnouncementIdentity(sessionData);
+    announcer.finish(runAnnouncementKey(sessionData), buildRunAnnouncementHTML(sessionData, identity, { finalStatus, finalScore }), {
+        messageId: sessionData.announce_message_id
+    });
+    if (finalStatus === 'completed_target_reached' && isAnnouncedChat(sessionData.chatSettings)) {
+        announcer.post(messages.render(ANNOUNCE_MESSAGE_LANGUAGE, 'announce.celebration', {
+            player: identity.player,
+            chat: identity.chat,
+            score: finalScore,
+            pool: trustedHTML(sessionData.jackpotPoolDisplayHTML || messages.render(ANNOUNCE_MESSAGE_LANGUAGE, 'run_card.pool_calculating'))
+        }));
+    }
+}
 
-    if (sessionData && sessionData.turnTimeoutId) clearTimeout(sessionData.turnTimeoutId);
-    activeHelperSessions.delete(sessionId); // Remove from active map
+function forgetRunAnnouncement(sessionData) {
+    if (announcer) announcer.forget(runAnnouncementKey(sessionData));
+}
 
-    console.log(`${logPrefixSession} Finalizing with status: ${finalStatus}, Score: ${finalOverallScore}, Outcome: ${outcomeNotesStr}`);
+function announceStateLabel(language, isOn) {
+    return messages.renderText(language, isOn ? 'announce.state_on' : 'announce.state_off');
+}
 
-    const initialRolls = JSON.parse(sessionData?.initial_rolls_json || '[]');
-    const finalRollsCombined = JSON.stringify([...initialRolls, ...jackpotRunRollsArray]);
+// Lets group admins put this chat's runs in the announcement channel: /jackpotannounce on|off, and
+// /jackpotannounce names on|off to show player and chat names instead of anonymous ones.
+bot.onText(/^\/jackpotannounce(?:@\w+)?(?:\s+(names))?(?:\s+(on|off))?\s*$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const language = await commandLanguage(msg);
+    const reply = commandReplier(chatId, language);
+    if (!announcer) return reply('announce.unavailable');
+    const describe = chatSettings => ({
+        runs: announceStateLabel(language, isAnnouncedChat(chatSettings)),
+        names: announceStateLabel(language, Boolean(chatSettings.announce_show_names))
+    });
 
-    let finalHelperMessageTitle = "";
-    let finalHelperMessageBody = "";
-    const escapedOutcomeNotes = escapeHTML(outcomeNotesStr);
-    const scoreDisplay = `Your final score for this jackpot attempt: <b>${finalOverallScore}</b>.`;
+    if (!match[2]) {
+        try {
+            return reply('announce.current', describe(await loadChatSettings(chatId)));
+        } catch (error) {
+            log.error('chat_settings.load_failed', `Error loading chat settings: ${error.message}`, { component: 'Announce', chat_id: chatId, err: error });
+            return reply('settings.load_error');
+        }
+    }
 
-    switch(finalStatus) {
-        case 'completed_bust':
-            finalHelperMessageTitle = `💥 Oops! Jackpot Run Halted (Session ${sessionId}) 💥`;
-            finalHelperMessageBody = `${scoreDisplay}\n${escapedOutcomeNotes} Tough break! Maybe next time the dice will be kinder.`;
-            break;
-        case 'completed_target_reached':
-            finalHelperMessageTitle = `🎉🎯 Jackpot Target Smashed! (Session ${sessionId}) 🎯🎉`;
-            finalHelperMessageBody = `${scoreDisplay}\n${escapedOutcomeNotes} Absolutely legendary rolling! You've done it!`;
-            break;
-        case 'completed_timeout_forfeit':
-            finalHelperMessageTitle = `⏳ Time's Up! (Session ${sessionId}) ⏳`;
-            finalHelperMessageBody = `${scoreDisplay}\n${escapedOutcomeNotes} The clock ran out on this jackpot attempt.`;
-            break;
-        case 'error_sending_message':
-        case 'error_helper_init_prompt':
-        default:
-            finalHelperMessageTitle = `⚠️ Jackpot Run Update (Session ${sessionId}) ⚠️`;
-            finalHelperMessageBody = `There was an issue with your jackpot run.\nDetails: ${escapedOutcomeNotes}`;
-            break;
+    const isOn = match[2].toLowerCase() === 'on';
+    // The label is refreshed on every change, so a renamed group shows up under its new name.
+    const chatLabel = msg.chat.username ? `@${msg.chat.username}` : (msg.chat.title || null);
+    try {
+        if (!(await isChatSettingsAdmin(msg))) return reply('settings.admins_only');
+        await saveChatSettings(chatId, match[1]
+            ? { announce_show_names: isOn, announce_chat_label: chatLabel }
+            : { announce_runs: isOn, announce_chat_label: chatLabel });
+        await reply('announce.saved', describe(await loadChatSettings(chatId)));
+    } catch (error) {
+        log.error('chat_settings.save_failed', `Error saving announcement settings: ${error.message}`, { component: 'Announce', chat_id: chatId, err: error });
+        reply('settings.save_error');
     }
+});
 
-    const finalHelperMessage = `${finalHelperMessageTitle}\n\n${finalHelperMessageBody}\n\nThe Main Casino Bot (@${escapeHTML(MAIN_BOT_USERNAME_FOR_HELPER)}) will now process the final game result. Stand by!`;
+// Lets a player keep their name out of the announcement channel: /jackpotprivacy on|off
+bot.onText(/^\/jackpotprivacy(?:@\w+)?(?:\s+(on|off))?\s*$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = String(msg.from.id);
+    const language = await commandLanguage(msg);
+    const reply = commandReplier(chatId, language);
+    if (!announcer) return reply('announce.unavailable');
+    rememberPlayer(msg.from);
 
-    let client = null;
     try {
-        client = await pool.connect();
-        const updateResult = await client.query(
-            `UPDATE de_jackpot_sessions 
-             SET status = $1, final_score = $2, final_rolls_json = $3, outcome_notes = $4, updated_at = NOW() 
-             WHERE session_id = $5 AND (status = 'active_by_helper' OR helper_bot_id = $6)`,
-            [finalStatus, finalOverallScore, finalRollsCombined, outcomeNotesStr, sessionId, botUsername]
+        if (!match[1]) {
+            const playerRes = await pool.query('SELECT hide_in_announcements FROM de_jackpot_players WHERE user_id = $1', [userId]);
+            return reply('announce.privacy_current', { state: announceStateLabel(language, Boolean(playerRes.rows[0]?.hide_in_announcements)) });
+        }
+        const hideName = match[1].toLowerCase() === 'on';
+        await pool.query(
+            `INSERT INTO de_jackpot_players (user_id, first_name, username, hide_in_announcements, updated_at) VALUES ($1, $2, $3, $4, NOW())
+             ON CONFLICT (user_id) DO UPDATE SET hide_in_announcements = EXCLUDED.hide_in_announcements, updated_at = NOW()`,
+            [userId, msg.from.first_name || null, msg.from.username || null, hideName]
         );
-        if (updateResult.rowCount > 0) {
-            console.log(`${logPrefixSession} DB record updated to ${finalStatus}. Main Bot will pick this up.`);
-            if (sessionData && sessionData.chat_id) { // Ensure sessionData (and thus chat_id) is available
-                bot.sendMessage(sessionData.chat_id, finalHelperMessage, { parse_mode: 'HTML' }).catch(e => console.error(`${logPrefixSession} Error sending final helper message: ${e.message}`));
-            } else {
-                console.warn(`${logPrefixSession} Could not send final helper message because sessionData or chat_id was missing for session ${sessionId}. This can happen if finalization occurs without full session context (e.g. error during init).`);
-            }
-        } else {
-            console.warn(`${logPrefixSession} Did not update DB record for session ${sessionId}. Status might have been changed by another process or record not found for this helper.`);
+        for (const sessionData of activeHelperSessions.values()) {
+            if (String(sessionData.user_id) === userId) sessionData.announceIdentity = null; // Applies from the next roll
         }
+        await reply('announce.privacy_saved', { state: announceStateLabel(language, hideName) });
+    } catch (error) {
+        log.error('announce.privacy_failed', `Error updating announcement privacy: ${error.message}`, { component: 'Announce', user_id: userId, chat_id: chatId, err: error });
+        reply('settings.save_error');
+    }
+});
+
+// --- Admin Commands ---
+// Operator tools, answered in English. Only users listed in HELPER_DEJ_ADMIN_USER_IDS get a reply; everyone
+// else is ignored so the commands don't advertise themselves. Each use is written to de_jackpot_admin_audit.
+const ADMIN_FINALIZE_STATUSES = [
+    'completed_bust', 'completed_target_reached', 'completed_timeout_forfeit', 'completed_timeout_banked',
+    'completed_max_rolls', 'completed_player_stopped', 'error_admin_cancelled'
+];
+
+async function recordAdminAudit(msg, command, sessionId, succeeded, details) {
+    try {
+        await pool.query(
+            `INSERT INTO de_jackpot_admin_audit (admin_user_id, chat_id, command, session_id, succeeded, details, helper_instance_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [String(msg.from.id), String(msg.chat.id), command, sessionId, succeeded, JSON.stringify(details || {}), HELPER_INSTANCE_ID]
+        );
     } catch (dbError) {
-        console.error(`${logPrefixSession} Error updating de_jackpot_sessions table to final status: ${dbError.message}`);
-    } finally {
-        if (client) client.release();
+        log.error('admin.audit_failed', `Failed to write audit entry for /${command} by ${msg.from.id}: ${dbError.message}`,
+            { component: 'Admin', command, user_id: msg.from.id, chat_id: msg.chat.id, err: dbError });
     }
 }
 
-// --- Telegram Bot Event Handlers ---
-bot.onText(/\/start|\/help/i, async (msg) => {
-    const chatId = msg.chat.id;
-    let currentBotUsername = botUsername; 
-    const helpText = `I am @${currentBotUsername}, a dedicated helper bot for Dice Escalator Jackpot Runs for the main casino bot (@${escapeHTML(MAIN_BOT_USERNAME_FOR_HELPER)}).\n` +
-                     `I take over once you enter jackpot mode and manage your rolls for the big prize!\n` +
-                     `You typically don't need to interact with me directly via commands.`;
-    bot.sendMessage(chatId, helpText);
+// Registers an admin command. handler(msg, match) returns { sessionId, details } for the audit entry;
+// a thrown error is reported to the admin and audited as a failure.
+function registerAdminCommand(pattern, command, handler) {
+    bot.onText(pattern, async (msg, match) => {
+        if (!msg.from || !ADMIN_USER_IDS.has(String(msg.from.id))) return;
+        const adminLog = log.child({ component: 'Admin', command, user_id: msg.from.id, chat_id: msg.chat.id });
+        adminLog.info('admin.command', `/${command} by ${msg.from.id}: ${msg.text}`);
+        try {
+            const { sessionId = null, details = {} } = (await handler(msg, match)) || {};
+            await recordAdminAudit(msg, command, sessionId, true, { text: msg.text, ...details });
+        } catch (error) {
+            adminLog.error('admin.command_failed', `/${command} by ${msg.from.id} failed: ${error.message}`, { err: error });
+            await recordAdminAudit(msg, command, null, false, { text: msg.text, error: error.message });
+            bot.sendMessage(msg.chat.id, `⚠️ /${command} failed: ${escapeHTML(error.message)}`, { parse_mode: 'HTML' }).catch(() => {});
+        }
+    });
+}
+
+function formatAdminTimestamp(value) {
+    return value ? new Date(value).toISOString().replace('T', ' ').replace(/\.\d+Z$/, 'Z') : '-';
+}
+
+registerAdminCommand(/^\/sessions(?:@\w+)?\s*$/i, 'sessions', async (msg) => {
+    const [countsRes, liveRes, controlRes] = await Promise.all([
+        pool.query(`SELECT status, COUNT(*)::int AS session_count FROM de_jackpot_sessions GROUP BY status ORDER BY status`),
+        pool.query(
+            `SELECT session_id, status, user_id, chat_id, helper_instance_id, lease_expires_at, created_at
+             FROM de_jackpot_sessions WHERE status IN ('pending_pickup', 'pending_resume', 'active_by_helper')
+             ORDER BY status, created_at ASC LIMIT 20`
+        ),
+        pool.query(`SELECT claiming_paused, updated_by, reason, updated_at FROM de_jackpot_helper_control`)
+    ]);
+
+    const control = controlRes.rows[0] || {};
+    const localLines = Array.from(activeHelperSessions.values()).map(sData => {
+        const secondsLeft = sData.turnDeadlineAt ? Math.max(0, Math.ceil((sData.turnDeadlineAt - Date.now()) / 1000)) : '-';
+        return `• <code>${escapeHTML(sData.session_id)}</code> user ${escapeHTML(sData.user_id)} · score ${sData.current_total_score}/${sData.rules ? sData.rules.targetScore : '?'} · ` +
+               `${sData.jackpot_run_rolls.length} roll(s) · ${secondsLeft}s left${sData.isRollInProgress ? ' · rolling' : ''}`;
+    });
+    const liveLines = liveRes.rows.map(row =>
+        `• <code>${escapeHTML(row.session_id)}</code> ${escapeHTML(row.status)} · user ${escapeHTML(row.user_id)} · chat ${escapeHTML(row.chat_id)}` +
+        (row.helper_instance_id ? ` · ${escapeHTML(row.helper_instance_id)} until ${formatAdminTimestamp(row.lease_expires_at)}` : ` · since ${formatAdminTimestamp(row.created_at)}`)
+    );
+
+    const text = `🛠 <b>Jackpot sessions</b> (instance <code>${escapeHTML(HELPER_INSTANCE_ID)}</code>)\n` +
+                 `Claiming: <b>${control.claiming_paused ? `PAUSED by ${escapeHTML(control.updated_by)} (${escapeHTML(control.reason || 'no reason')})` : 'running'}</b>\n\n` +
+                 `<b>Held by this instance (${localLines.length}):</b>\n${localLines.join('\n') || '<i>none</i>'}\n\n` +
+                 `<b>By status:</b> ${countsRes.rows.map(row => `${escapeHTML(row.status)}: ${row.session_count}`).join(', ') || '<i>no rows</i>'}\n\n` +
+                 `<b>Pending / active (oldest 20):</b>\n${liveLines.join('\n') || '<i>none</i>'}`;
+    await bot.sendMessage(msg.chat.id, text, { parse_mode: 'HTML' });
+    return { details: { localSessions: localLines.length } };
+});
+
+registerAdminCommand(/^\/session(?:@\w+)?(?:\s+(\S+))?\s*$/i, 'session', async (msg, match) => {
+    const sessionIdArg = match[1];
+    if (!sessionIdArg) {
+        await bot.sendMessage(msg.chat.id, 'Usage: <code>/session &lt;session_id&gt;</code>', { parse_mode: 'HTML' });
+        return {};
+    }
+    const sessionRes = await pool.query(`SELECT * FROM de_jackpot_sessions WHERE session_id::text = $1`, [sessionIdArg]);
+    const row = sessionRes.rows[0];
+    if (!row) {
+        await bot.sendMessage(msg.chat.id, `No jackpot session <code>${escapeHTML(sessionIdArg)}</code>.`, { parse_mode: 'HTML' });
+        return { sessionId: sessionIdArg, details: { found: false } };
+    }
+    const rollEvents = await loadPersistedJackpotRunRolls(row.session_id);
+    const [, localData] = findActiveSessionById(String(row.session_id));
+
+    let rulesLine;
+    try {
+        const sessionRules = resolveJackpotRules(row);
+        rulesLine = `${row.rule_set || 'classic'} · target ${sessionRules.targetScore} · ${describeJackpotRules(sessionRules)}`;
+    } catch (rulesError) {
+        rulesLine = `invalid (${rulesError.message})`;
+    }
+    let turnLine;
+    try {
+        const turnSettings = resolveTurnSettings(row, DEFAULT_TURN_SETTINGS);
+        turnLine = `${turnSettings.timeoutMs / 1000}s · reminders at ${turnSettings.reminderPointsMs.map(point => `${point / 1000}s`).join(', ') || 'none'} · ` +
+                   `on timeout: ${turnSettings.policy} · deadline ${formatAdminTimestamp(row.turn_deadline_at)}`;
+    } catch (turnError) {
+        turnLine = `invalid (${turnError.message})`;
+    }
+
+    const text = `🛠 <b>Session</b> <code>${escapeHTML(row.session_id)}</code>\n` +
+                 `Status: <b>${escapeHTML(row.status)}</b>\n` +
+                 `User: ${escapeHTML(row.user_id)} · Chat: ${escapeHTML(row.chat_id)}\n` +
+                 `Helper: ${escapeHTML(row.helper_bot_id || '-')} / <code>${escapeHTML(row.helper_instance_id || '-')}</code> · lease until ${formatAdminTimestamp(row.lease_expires_at)}\n` +
+                 `Rules: ${escapeHTML(rulesLine)}\n` +
+                 `Turn: ${escapeHTML(turnLine)}\n` +
+                 `Initial score: ${escapeHTML(row.initial_score)} · Final score: ${escapeHTML(row.final_score ?? '-')}\n` +
+                 `Pool: ${escapeHTML(row.jackpot_pool_at_session_start)} (atomic${row.pool_asset_mint ? `, mint ${escapeHTML(row.pool_asset_mint)}` : ', SOL'})\n` +
+                 `Provably fair: ${row.provably_fair ? 'yes' : 'no'} · Run card: ${escapeHTML(row.run_card_message_id || '-')}\n` +
+                 `Rolls (${rollEvents.length}): ${rollEvents.map(rollEvent => rollEvent.roll_value).join(', ') || '-'}\n` +
+                 `Suspicious dice: ${row.suspicious_event_count || 0}\n` +
+                 `Created: ${formatAdminTimestamp(row.created_at)} · Updated: ${formatAdminTimestamp(row.updated_at)}\n` +
+                 `Notes: ${escapeHTML(row.outcome_notes || '-')}\n` +
+                 (localData ? `\nHeld here: score ${localData.current_total_score}, ${localData.isRollInProgress ? 'roll in progress' : 'waiting for roll'}` : '');
+    await bot.sendMessage(msg.chat.id, text, { parse_mode: 'HTML' });
+    return { sessionId: String(row.session_id), details: { status: row.status } };
 });
 
-bot.on('polling_error', (error) => console.error(`\n🚫 HelperDEJackpot TELEGRAM POLLING ERROR 🚫 Code: ${error.code || 'N/A'}, Msg: ${error.message}`));
-bot.on('error', (error) => console.error('\n🔥 HelperDEJackpot GENERAL TELEGRAM LIBRARY ERROR EVENT 🔥:', error));
+// Finalizes a session held here, a pending one, or one whose holder's lease ran out (taken over first, the same
+// way the recovery sweep would). A session another instance still holds under a live lease is refused: that
+// instance would keep playing the run until its next renewal. Once it stops or hands the run over, retry.
+registerAdminCommand(/^\/forcefinalize(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?(?:\s+(.+))?$/i, 'forcefinalize', async (msg, match) => {
+    const [, sessionIdArg, finalStatus, reason] = match;
+    if (!sessionIdArg || !ADMIN_FINALIZE_STATUSES.includes(finalStatus)) {
+        await bot.sendMessage(msg.chat.id, `Usage: <code>/forcefinalize &lt;session_id&gt; &lt;status&gt; [reason]</code>\nStatuses: ${ADMIN_FINALIZE_STATUSES.join(', ')}`, { parse_mode: 'HTML' });
+        return { sessionId: sessionIdArg || null, details: { rejected: 'usage' } };
+    }
+
+    let [sessionId, sessionData] = findActiveSessionById(sessionIdArg);
+    if (!sessionData) {
+        const takeoverRes = await pool.query(
+            `UPDATE de_jackpot_sessions
+             SET status = 'active_by_helper', helper_bot_id = $2, helper_instance_id = $3,
+                 lease_expires_at = NOW() + ($4::int * INTERVAL '1 millisecond'), updated_at = NOW()
+             WHERE session_id::text = $1
+               AND (status IN ('pending_pickup', 'pending_resume')
+                    OR (status = 'active_by_helper'
+                        AND COALESCE(lease_expires_at, updated_at + ($4::int * INTERVAL '1 millisecond')) < NOW()))
+             RETURNING *`,
+            [sessionIdArg, botUsername, HELPER_INSTANCE_ID, SESSION_LEASE_TTL_MS]
+        );
+        const takenOverRow = takeoverRes.rows[0];
+        if (!takenOverRow) {
+            const holderRes = await pool.query(
+                `SELECT helper_instance_id, lease_expires_at FROM de_jackpot_sessions WHERE session_id::text = $1 AND status = 'active_by_helper'`,
+                [sessionIdArg]
+            );
+            const holderRow = holderRes.rows[0];
+            if (holderRow) {
+                await bot.sendMessage(msg.chat.id,
+                    `Session <code>${escapeHTML(sessionIdArg)}</code> is held by instance <code>${escapeHTML(holderRow.helper_instance_id || 'unknown')}</code> ` +
+                    `(lease until ${escapeHTML(holderRow.lease_expires_at ? new Date(holderRow.lease_expires_at).toISOString() : '-')}). ` +
+                    `Retry once it has stopped or handed the run over, or the lease has run out.`, { parse_mode: 'HTML' });
+                return { sessionId: sessionIdArg, details: { rejected: 'held_elsewhere', holder: holderRow.helper_instance_id } };
+            }
+            await bot.sendMessage(msg.chat.id, `Session <code>${escapeHTML(sessionIdArg)}</code> is not pending or active, nothing to finalize.`, { parse_mode: 'HTML' });
+            return { sessionId: sessionIdArg, details: { rejected: 'not_live' } };
+        }
+        sessionId = takenOverRow.session_id;
+        sessionData = buildLocalSessionState(takenOverRow);
+        try {
+            applyPersistedRollsToSession(sessionData, await loadPersistedJackpotRunRolls(sessionId));
+        } catch (restoreError) {
+            sessionLogger('Admin', sessionData).warn('admin.restore_failed', `Could not restore rolls before forced finalization: ${restoreError.message}`, { err: restoreError });
+        }
+        activeHelperSessions.set(sessionId, sessionData);
+        helperMetrics.sessionsClaimed.inc({ via: 'admin' });
+    }
+
+    const auditNote = `Force-finalized by admin ${msg.from.id}${reason ? `: ${reason.trim()}` : '.'}`;
+    const finalized = await finalizeJackpotSession(sessionId, finalStatus, sessionData.current_total_score, sessionData.jackpot_run_rolls, auditNote,
+                                                   { messageKey: 'outcome.admin_finalized' });
+    if (!finalized) {
+        // Nothing was written (the lease moved or the update failed, see the session.finalize_* log); audited as a failure.
+        throw new Error(`session ${sessionId} was not finalized, nothing was written`);
+    }
+    await bot.sendMessage(msg.chat.id, `✅ Session <code>${escapeHTML(sessionId)}</code> finalized as <b>${escapeHTML(finalStatus)}</b> with score ${sessionData.current_total_score}.`, { parse_mode: 'HTML' });
+    return { sessionId: String(sessionId), details: { finalStatus, score: sessionData.current_total_score, reason: reason || null } };
+});
+
+async function setClaimingPaused(msg, paused, reason) {
+    await pool.query(
+        `UPDATE de_jackpot_helper_control SET claiming_paused = $1, updated_by = $2, reason = $3, updated_at = NOW()`,
+        [paused, String(msg.from.id), reason]
+    );
+}
+
+registerAdminCommand(/^\/pause(?:@\w+)?(?:\s+(.+))?$/i, 'pause', async (msg, match) => {
+    const reason = match[1] ? match[1].trim() : null;
+    await setClaimingPaused(msg, true, reason);
+    await bot.sendMessage(msg.chat.id, `⏸ Claiming of new jackpot sessions is paused on all helper instances. Runs already in progress continue.\nResume with /resume.`);
+    return { details: { reason } };
+});
+
+registerAdminCommand(/^\/resume(?:@\w+)?\s*$/i, 'resume', async (msg) => {
+    await setClaimingPaused(msg, false, null);
+    await bot.sendMessage(msg.chat.id, '▶️ Claiming of new jackpot sessions resumed.');
+    requestClaimCycle('resume');
+    return {};
+});
+
+bot.on('polling_error', (error) => log.error('telegram.polling_error', `🚫 TELEGRAM POLLING ERROR 🚫 Code: ${error.code || 'N/A'}, Msg: ${error.message}`, { code: error.code }));
+bot.on('error', (error) => log.error('telegram.library_error', `🔥 GENERAL TELEGRAM LIBRARY ERROR EVENT 🔥: ${error.message}`, { err: error }));
+
+// --- Telegram Webhook ---
+// With HELPER_DEJ_TELEGRAM_MODE=webhook, updates arrive on our own listener (see jackpot_webhook.js) and are
+// fed to the bot through processUpdate, so every bot.on/onText handler works as with polling. Telegram
+// redelivers an update it got no timely answer for, possibly to another replica behind the same URL, so
+// each update_id is recorded in de_jackpot_telegram_updates first and only the first delivery is handled.
+let telegramWebhookServer = null;
+let isTelegramWebhookRegistered = false;
+const recentTelegramUpdateIds = createRecentUpdateIds();
+
+async function claimTelegramUpdate(update) {
+    if (!recentTelegramUpdateIds.add(update.update_id)) return false;
+    try {
+        const insertRes = await pool.query(
+            `INSERT INTO de_jackpot_telegram_updates (update_id, helper_instance_id) VALUES ($1, $2) ON CONFLICT (update_id) DO NOTHING`,
+            [update.update_id, HELPER_INSTANCE_ID]
+        );
+        return insertRes.rowCount > 0;
+    } catch (dbError) {
+        recentTelegramUpdateIds.forget(update.update_id); // Let the redelivery try again
+        throw dbError;
+    }
+}
+
+// Telegram stops redelivering long before a day is up.
+async function pruneTelegramUpdateLog() {
+    await pool.query(`DELETE FROM de_jackpot_telegram_updates WHERE received_at < NOW() - INTERVAL '1 day'`);
+}
+
+async function startTelegramWebhook() {
+    const webhookLog = log.child({ component: 'Webhook' });
+    telegramWebhookServer = await startWebhookServer({
+        port: WEBHOOK_PORT,
+        host: WEBHOOK_HOST,
+        path: WEBHOOK_PATH,
+        secretToken: WEBHOOK_SECRET,
+        tlsKeyPath: WEBHOOK_TLS_KEY_PATH,
+        tlsCertPath: WEBHOOK_TLS_CERT_PATH,
+        acceptUpdate: claimTelegramUpdate,
+        onUpdate: (update) => bot.processUpdate(update),
+        logger: webhookLog
+    });
+    webhookLog.info('webhook.listening', `✅ Webhook listener on ${WEBHOOK_HOST}:${WEBHOOK_PORT}${WEBHOOK_PATH}.`);
+
+    const webhookOptions = { secret_token: WEBHOOK_SECRET };
+    if (WEBHOOK_UPLOAD_CERT) webhookOptions.certificate = WEBHOOK_TLS_CERT_PATH;
+    await bot.setWebHook(WEBHOOK_URL, webhookOptions);
+    isTelegramWebhookRegistered = true;
+    webhookLog.info('webhook.registered', `✅ Webhook registered with Telegram: ${WEBHOOK_URL}`);
+}
+
+async function stopTelegramWebhook() {
+    if (isTelegramWebhookRegistered && WEBHOOK_DELETE_ON_SHUTDOWN) {
+        await bot.deleteWebHook();
+        log.info('shutdown.webhook_deleted', "Webhook unregistered from Telegram.", { component: 'Webhook' });
+    }
+    isTelegramWebhookRegistered = false;
+    if (telegramWebhookServer) {
+        const server = telegramWebhookServer;
+        telegramWebhookServer = null;
+        await new Promise(resolve => server.close(() => resolve()));
+        log.info('shutdown.webhook_stopped', "Webhook listener closed.", { component: 'Webhook' });
+    }
+}
 
 // --- Startup Function ---
 let dbPollingIntervalId = null;
+let recoverySweepIntervalId = null;
+let leaseRenewIntervalId = null;
 let isShuttingDownHelper = false;
+let isHelperStartupComplete = false;
+
+// /readyz: ready once startup finished, while the DB answers, Telegram updates arrive (polling or a registered
+// webhook) and we aren't shutting down.
+async function checkHelperReadiness() {
+    const checks = {
+        startup: isHelperStartupComplete || 'starting',
+        shutdown: isShuttingDownHelper ? 'shutting down' : true,
+        telegram: TELEGRAM_MODE === 'webhook'
+            ? (isTelegramWebhookRegistered ? true : 'webhook not registered')
+            : (bot.isPolling() ? true : 'not polling'),
+        database: true
+    };
+    try {
+        let timeoutId;
+        const timeout = new Promise((resolve, reject) => {
+            timeoutId = setTimeout(() => reject(new Error(`no response within ${READINESS_DB_TIMEOUT_MS}ms`)), READINESS_DB_TIMEOUT_MS);
+        });
+        await Promise.race([pool.query('SELECT 1'), timeout]).finally(() => clearTimeout(timeoutId));
+    } catch (dbError) {
+        checks.database = dbError.message;
+    }
+    return { ready: Object.values(checks).every(result => result === true), checks };
+}
 
 async function startHelperBot() {
-    console.log(`\n🚀🚀🚀 Initializing HelperDEJackpot Bot (v2 Price Logic with Retries) 🚀🚀🚀`);
-    console.log(`Timestamp: ${new Date().toISOString()}`);
+    log.info('startup.begin', `🚀🚀🚀 Initializing HelperDEJackpot Bot (v2 Price Logic with Retries) 🚀🚀🚀`);
     try {
+        if (HTTP_PORT) {
+            // Started first so /healthz answers (and /readyz reports "starting") while the rest comes up.
+            await startHealthServer({ port: HTTP_PORT, host: HTTP_HOST, registry: helperMetrics.registry, checkReadiness: checkHelperReadiness });
+            log.info('startup.http_server', `✅ Health and metrics server listening on ${HTTP_HOST}:${HTTP_PORT} (/healthz, /readyz, /metrics).`);
+        }
+
         const dbClient = await pool.connect();
-        console.log("HelperDEJackpot: ✅ DB connected for startup test.");
+        log.info('startup.db_connected', "✅ DB connected for startup test.");
         await dbClient.query('SELECT NOW()');
         dbClient.release();
+        await ensureHelperSchema();
+        // Running before recovery, so runs resumed at startup are timed from their first prompt.
+        startTurnDeadlineTicker();
+        log.info('startup.turn_ticker', `✅ Turn deadline ticker started (Interval: ${TURN_TICK_INTERVAL_MS}ms).`);
+
+        if (announcer) {
+            try {
+                const announceChat = await bot.getChat(ANNOUNCE_CHAT_ID);
+                log.info('startup.announce_channel', `✅ Announcing jackpot runs in "${announceChat.title || announceChat.username || ANNOUNCE_CHAT_ID}".`);
+            } catch (announceChatError) {
+                log.warn('startup.announce_channel_failed', `⚠️ Announcement channel ${ANNOUNCE_CHAT_ID} is not reachable (${announceChatError.message}). Is the bot an admin there? Announcements will fail until it is.`, { err: announceChatError });
+            }
+        }
 
+        await botInfoPromise; // helper_bot_id must be our real username before recovery and claiming
+        await recoverOrphanedJackpotSessions(true);
+
+        const initialPair = { ...SOL_USD_PAIR, fiat: DEFAULT_DISPLAY_CURRENCY };
         try {
-            const initialPrice = await getSolUsdPriceForHelper();
-            console.log(`HelperDEJackpot: ✅ Initial SOL/USD Price fetched: $${initialPrice.toFixed(2)}`);
+            const initialQuote = await getPriceQuoteForHelper(initialPair);
+            log.info('startup.initial_price', `✅ Initial SOL/${initialPair.fiat} Price fetched: ${initialQuote.price.toFixed(2)}`);
         } catch(priceErr) {
-            console.warn(`HelperDEJackpot: ⚠️ Could not fetch initial SOL/USD price at startup: ${priceErr.message}. USD conversions might be delayed or show N/A initially.`);
+            log.warn('startup.initial_price_failed', `⚠️ Could not fetch initial SOL/${initialPair.fiat} price at startup: ${priceErr.message}. Pool conversions might be delayed or show the token amount initially.`);
+        }
+
+        if (TELEGRAM_MODE === 'webhook') {
+            await startTelegramWebhook();
         }
 
-        dbPollingIntervalId = setInterval(() => {
+        if (USE_LISTEN_NOTIFY_PICKUP) {
+            await startPickupListener();
+        }
+
+        if (resultWebhook) {
+            resultWebhook.start(RESULT_OUTBOX_SWEEP_MS); // Also sends what earlier runs of the fleet left undelivered
+            log.info('startup.result_webhook', `✅ Result webhook dispatcher started (outbox sweep every ${RESULT_OUTBOX_SWEEP_MS}ms).`);
+        }
+
+        dbPollingIntervalId = setInterval(() => requestClaimCycle('poll'), POLLING_INTERVAL_MS);
+        log.info('startup.polling', `✅ DB polling for jackpot sessions started (Interval: ${POLLING_INTERVAL_MS}ms${USE_LISTEN_NOTIFY_PICKUP ? ', fallback for LISTEN/NOTIFY' : ''}).`);
+
+        recoverySweepIntervalId = setInterval(() => {
             if (!isShuttingDownHelper) {
-                checkAndInitiateJackpotSessions().catch(err => {
-                    console.error(`[HelperDEJackpot] Uncaught error in checkAndInitiateJackpotSessions interval:`, err);
+                recoverOrphanedJackpotSessions().catch(err => {
+                    log.error('recovery.sweep_failed', `Uncaught error in recoverOrphanedJackpotSessions interval: ${err.message}`, { component: 'Recovery', err });
                 });
+                if (TELEGRAM_MODE === 'webhook') {
+                    pruneTelegramUpdateLog().catch(err => {
+                        log.error('webhook.prune_failed', `Could not prune de_jackpot_telegram_updates: ${err.message}`, { component: 'Webhook', err });
+                    });
+                }
             }
-        }, POLLING_INTERVAL_MS);
-        console.log(`HelperDEJackpot: ✅ DB polling for jackpot sessions started (Interval: ${POLLING_INTERVAL_MS}ms).`);
-        console.log(`\n🎉 HelperDEJackpot Bot operational! Listening for jackpot sessions...`);
+        }, RECOVERY_SWEEP_INTERVAL_MS);
+        log.info('startup.recovery_sweep', `✅ Orphaned session recovery sweep started (Interval: ${RECOVERY_SWEEP_INTERVAL_MS}ms).`);
+
+        // Keeps running while a shutdown drains, so runs that are still finishing don't look orphaned.
+        leaseRenewIntervalId = setInterval(() => {
+            renewSessionLeases().catch(err => {
+                log.error('lease.renew_cycle_failed', `Uncaught error in renewSessionLeases interval: ${err.message}`, { component: 'Lease', err });
+            });
+        }, LEASE_RENEW_INTERVAL_MS);
+        log.info('startup.lease_renewal', `✅ Session lease renewal started for instance ${HELPER_INSTANCE_ID} (Interval: ${LEASE_RENEW_INTERVAL_MS}ms).`);
+        isHelperStartupComplete = true;
+        log.info('startup.complete', `🎉 HelperDEJackpot Bot operational! Listening for jackpot sessions...`);
     } catch (error) {
-        console.error("❌ CRITICAL STARTUP ERROR (HelperDEJackpot Bot):", error);
+        log.error('startup.failed', `❌ CRITICAL STARTUP ERROR (HelperDEJackpot Bot): ${error.message}`, { err: error });
         if (pool) { try { await pool.end(); } catch (e) { /* ignore */ } }
         process.exit(1);
     }
 }
 
 // --- Shutdown Handling ---
-async function shutdownHelper(signal) {
+// Runs held here when a shutdown starts get SHUTDOWN_DRAIN_MS to finish: rolls and turn timeouts keep
+// working and leases keep being renewed, but nothing new is claimed. Runs still going at the deadline are
+// handed over: set to 'pending_resume' with their lease cleared, so the next claim cycle on any instance
+// rebuilds them from de_jackpot_roll_events (every roll is persisted as it happens) and carries on.
+// For the main bot, 'pending_resume' means the same as 'active_by_helper': the run is not over yet.
+async function notifyJackpotPlayer(sessionData, messageKey, params = {}) {
+    try {
+        await telegramQueue.client.sendMessage(sessionData.chat_id, messages.render(sessionLanguage(sessionData), messageKey, params), { parse_mode: 'HTML' });
+    } catch (sendErr) {
+        recordTelegramSendError('sendMessage', sendErr);
+        sessionLogger('Drain', sessionData).warn('handover.notify_failed', `Could not send ${messageKey} to the player: ${sendErr.message}`, { err: sendErr });
+    }
+}
+
+async function releaseJackpotSessionForResume(sessionData) {
+    const sessionLog = sessionLogger('Drain', sessionData);
+    // A roll already being applied is let through first, so its persisted event and the score agree.
+    const rollSettleDeadline = Date.now() + DICE_ANIMATION_DELAY_MS + 5000;
+    while (sessionData.isRollInProgress && Date.now() < rollSettleDeadline) await sleep(100);
+    if (!activeHelperSessions.has(sessionData.session_id)) return; // The roll ended the run
+
+    endJackpotRunTurn(sessionData);
+    forgetRunAnnouncement(sessionData); // The instance that resumes the run edits announce_message_id from here on
+    activeHelperSessions.delete(sessionData.session_id);
+    await notifyJackpotPlayer(sessionData, 'handover.released', { roll_count: sessionData.jackpot_run_rolls.length });
+    try {
+        const releaseRes = await pool.query(
+            `UPDATE de_jackpot_sessions
+             SET status = 'pending_resume', helper_instance_id = NULL, lease_expires_at = NULL, updated_at = NOW()
+             WHERE session_id = $1 AND status = 'active_by_helper' AND helper_instance_id = $2`,
+            [sessionData.session_id, HELPER_INSTANCE_ID]
+        );
+        if (releaseRes.rowCount > 0) {
+            sessionLog.info('session.released', `Handed over for resumption with ${sessionData.jackpot_run_rolls.length} roll(s). Score: ${sessionData.current_total_score}`,
+                { roll_count: sessionData.jackpot_run_rolls.length, score: sessionData.current_total_score });
+        } else {
+            sessionLog.warn('session.release_skipped', "Session was no longer held by this instance; nothing to hand over.");
+        }
+    } catch (dbError) {
+        // The lease simply runs out instead, and the recovery sweep of another instance resumes the run.
+        sessionLog.error('session.release_failed', `Could not release session for resumption: ${dbError.message}`, { err: dbError });
+    }
+}
+
+async function drainActiveJackpotSessions(drainMs) {
+    const drainLog = log.child({ component: 'Drain' });
+    if (activeHelperSessions.size === 0) return;
+
+    if (drainMs > 0) {
+        drainLog.info('shutdown.draining', `Letting ${activeHelperSessions.size} active run(s) finish within ${drainMs}ms.`, { session_count: activeHelperSessions.size, drain_ms: drainMs });
+        await Promise.all(Array.from(activeHelperSessions.values()).map(sessionData =>
+            notifyJackpotPlayer(sessionData, 'handover.draining', { seconds: Math.ceil(drainMs / 1000) })));
+        const drainDeadline = Date.now() + drainMs;
+        while (activeHelperSessions.size > 0 && Date.now() < drainDeadline) await sleep(250);
+    }
+
+    if (activeHelperSessions.size === 0) {
+        drainLog.info('shutdown.drained', "All active runs finished before the drain deadline.");
+        return;
+    }
+    drainLog.warn('shutdown.handing_over', `Handing ${activeHelperSessions.size} unfinished run(s) over for resumption.`, { session_count: activeHelperSessions.size });
+    await Promise.all(Array.from(activeHelperSessions.values()).map(releaseJackpotSessionForResume));
+}
+
+async function shutdownHelper(signal, { drainMs = SHUTDOWN_DRAIN_MS } = {}) {
     if (isShuttingDownHelper) {
-        console.log("HelperDEJackpot: Shutdown already in progress."); return;
+        log.info('shutdown.already_running', "Shutdown already in progress."); return;
     }
     isShuttingDownHelper = true;
-    console.log(`\n🚦 Received ${signal}. Shutting down HelperDEJackpot Bot...`);
+    log.info('shutdown.begin', `🚦 Received ${signal}. Shutting down HelperDEJackpot Bot...`, { signal });
     if (dbPollingIntervalId) clearInterval(dbPollingIntervalId);
-    console.log("HelperDEJackpot: DB polling stopped.");
-
-    activeHelperSessions.forEach(sessionData => {
-        if (sessionData.turnTimeoutId) clearTimeout(sessionData.turnTimeoutId);
-    });
-    console.log("HelperDEJackpot: Cleared active session timeouts.");
+    if (recoverySweepIntervalId) clearInterval(recoverySweepIntervalId);
+    log.info('shutdown.timers_stopped', "DB polling and recovery sweep stopped; no new sessions will be claimed.");
+    try { await stopPickupListener(); log.info('shutdown.listener_stopped', "Pickup listener stopped."); }
+    catch(e) { log.error('shutdown.listener_stop_failed', `Error stopping pickup listener: ${e.message}`, { err: e }); }
+
+    try { await drainActiveJackpotSessions(drainMs); }
+    catch(e) { log.error('shutdown.drain_failed', `Error draining active sessions: ${e.message}`, { err: e }); }
+    if (leaseRenewIntervalId) clearInterval(leaseRenewIntervalId);
+
+    stopTurnDeadlineTicker();
+    if (announcer) announcer.stop(); // Unsent announcements are dropped; they are not worth delaying the exit for
+    // Final results and handover notices still queued (e.g. behind a 429) get a last chance to go out.
+    if (!(await telegramQueue.drain(TELEGRAM_SHUTDOWN_FLUSH_MS))) {
+        log.warn('shutdown.telegram_unflushed', `${telegramQueue.pendingCount} Telegram call(s) still queued after ${TELEGRAM_SHUTDOWN_FLUSH_MS}ms; dropping them.`, { pending_count: telegramQueue.pendingCount });
+    }
+    telegramQueue.stop();
+    if (resultWebhook) {
+        // Results finalized during the drain are in the outbox either way; this only saves the next instance a wait.
+        const resultFlushTimedOut = await Promise.race([
+            resultWebhook.stop().then(() => false),
+            sleep(RESULT_SHUTDOWN_FLUSH_MS).then(() => true)
+        ]);
+        if (resultFlushTimedOut) log.warn('shutdown.result_webhook_unflushed', `Result webhook still sending after ${RESULT_SHUTDOWN_FLUSH_MS}ms; undelivered results stay in the outbox.`);
+    }
+    log.info('shutdown.session_timers_cleared', "Turn deadline ticker stopped.", { session_count: activeHelperSessions.size });
 
-    if (bot && typeof bot.stopPolling === 'function') {
+    if (TELEGRAM_MODE === 'webhook') {
+        try { await stopTelegramWebhook(); }
+        catch(e) { log.error('shutdown.telegram_stop_failed', `Error stopping Telegram webhook: ${e.message}`, { err: e }); }
+    } else if (bot && typeof bot.stopPolling === 'function') {
         try {
             if (bot.isPolling()) { 
-                await bot.stopPolling({ cancel: true }); console.log("HelperDEJackpot: Telegram polling stopped.");
+                await bot.stopPolling({ cancel: true }); log.info('shutdown.telegram_stopped', "Telegram polling stopped.");
             } else {
-                console.log("HelperDEJackpot: Telegram bot was not polling.");
+                log.info('shutdown.telegram_stopped', "Telegram bot was not polling.");
             }
         }
-        catch(e) { console.error("HelperDEJackpot: Error stopping Telegram polling:", e.message); }
+        catch(e) { log.error('shutdown.telegram_stop_failed', `Error stopping Telegram polling: ${e.message}`, { err: e }); }
     } else if (bot && typeof bot.close === 'function') { // Fallback, less ideal for polling bots
-        try { await bot.close(); console.log("HelperDEJackpot: Telegram bot connection closed (via close method)."); }
-        catch(e) { console.error("HelperDEJackpot: Error closing Telegram bot connection:", e.message); }
+        try { await bot.close(); log.info('shutdown.telegram_stopped', "Telegram bot connection closed (via close method)."); }
+        catch(e) { log.error('shutdown.telegram_stop_failed', `Error closing Telegram bot connection: ${e.message}`, { err: e }); }
     }
 
     if (pool) {
-        try { await pool.end(); console.log("HelperDEJackpot: PostgreSQL pool closed."); }
-        catch(e) { console.error("HelperDEJackpot: Error closing PostgreSQL pool:", e.message); }
+        try { await pool.end(); log.info('shutdown.db_closed', "PostgreSQL pool closed."); }
+        catch(e) { log.error('shutdown.db_close_failed', `Error closing PostgreSQL pool: ${e.message}`, { err: e }); }
     }
-    console.log("HelperDEJackpot: ✅ Shutdown complete. Exiting.");
+    log.info('shutdown.complete', "✅ Shutdown complete. Exiting.");
     process.exit(0);
 }
 
 process.on('SIGINT', async () => await shutdownHelper('SIGINT'));
 process.on('SIGTERM', async () => await shutdownHelper('SIGTERM'));
 process.on('uncaughtException', (error, origin) => {
-    console.error(`\n🚨🚨 HelperDEJackpot UNCAUGHT EXCEPTION AT: ${origin} 🚨🚨`, error);
+    log.error('process.uncaught_exception', `🚨🚨 UNCAUGHT EXCEPTION AT: ${origin} 🚨🚨 ${error && error.message}`, { origin, err: error });
     if (!isShuttingDownHelper) {
-      shutdownHelper('uncaughtException_exit').catch(() => process.exit(1)); 
+      shutdownHelper('uncaughtException_exit', { drainMs: 0 }).catch(() => process.exit(1)); // Hand runs over straight away
       setTimeout(() => process.exit(1), 5000); 
     } else { process.exit(1); } 
 });
 process.on('unhandledRejection', (reason, promise) => {
-    console.error(`\n🔥🔥 HelperDEJackpot UNHANDLED REJECTION 🔥🔥 At Promise:`, promise, `Reason:`, reason);
+    log.error('process.unhandled_rejection', `🔥🔥 UNHANDLED REJECTION 🔥🔥 Reason: ${reason instanceof Error ? reason.message : String(reason)}`,
+        { err: reason instanceof Error ? reason : undefined });
     // Consider if critical unhandled rejections should also trigger shutdown
     // if (!isShuttingDownHelper) {
-    //   console.log("HelperDEJackpot: Initiating shutdown due to unhandled promise rejection.");
+    //   log.info('shutdown.unhandled_rejection', "Initiating shutdown due to unhandled promise rejection.");
     //   shutdownHelper('unhandledRejection_exit').catch(() => process.exit(1));
     //   setTimeout(() => process.exit(1), 5000);
     // }
@@ -586,4 +2010,4 @@ process.on('unhandledRejection', (reason, promise) => {
 // --- Start the Bot ---
 startHelperBot();
 
-console.log("HelperDEJackpot Bot: End of script. Startup process initiated.");
+log.info('startup.initiated', "End of script. Startup process initiated.");
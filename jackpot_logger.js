@@ -0,0 +1,105 @@
+// jackpot_logger.js - Levelled, structured logging for the HelperDEJackpot bot
+//
+// Every entry has a level, an event name (e.g. "roll.received") and a message, plus correlation fields such
+// as session_id, user_id, chat_id and helper_instance. In "json" format each entry is one JSON line for the
+// log stack; "pretty" keeps the familiar "[HelperDEJackpot_<component> SID:<id>] message" lines for local
+// development. Secrets passed as `redact` (bot token, DATABASE_URL, ...) are masked wherever they appear.
+
+export const LOG_LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40 });
+
+const REDACTED = '[REDACTED]';
+
+function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+    const serialized = { name: error.name, message: error.message, stack: error.stack };
+    if (error.code !== undefined) serialized.code = error.code;
+    return serialized;
+}
+
+// Secrets shorter than this are ignored; masking "1" or "db" everywhere would wreck the output.
+const MIN_REDACTED_LENGTH = 6;
+
+// The password inside a connection string is redacted on its own as well, since drivers log URLs without it
+// in many shapes (host-only, user@host, ...).
+function expandSecrets(secrets) {
+    const expanded = new Set();
+    for (const secret of secrets) {
+        if (!secret || String(secret).length < MIN_REDACTED_LENGTH) continue;
+        expanded.add(String(secret));
+        try {
+            const url = new URL(String(secret));
+            if (url.password && url.password.length >= MIN_REDACTED_LENGTH) expanded.add(decodeURIComponent(url.password));
+        } catch (notAUrl) { /* plain secret */ }
+    }
+    return [...expanded].sort((a, b) => b.length - a.length); // Longest first so a secret's prefix can't leave a tail behind
+}
+
+function formatPretty(entry) {
+    const { time, level, event, msg, component, session_id: sessionId, err, ...rest } = entry;
+    const prefix = `[HelperDEJackpot${component ? `_${component}` : ''}${sessionId !== undefined ? ` SID:${sessionId}` : ''}]`;
+    let line = `${time} ${level.toUpperCase().padEnd(5)} ${prefix} ${msg}`;
+    if (err && level === 'error' && err.stack) line += `\n${err.stack}`;
+    return line;
+}
+
+//   level: minimum level written (debug, info, warn, error).
+//   format: "json" or "pretty".
+//   base: fields added to every entry (e.g. { helper_instance }).
+//   redact: secret strings to mask in every line.
+//   write(line, level): output sink; defaults to stdout, with warn and error on stderr.
+export function createLogger({ level = 'info', format = 'json', base = {}, redact = [], write } = {}) {
+    if (!LOG_LEVELS[level]) throw new Error(`Unknown log level "${level}". Use one of: ${Object.keys(LOG_LEVELS).join(', ')}.`);
+    if (!['json', 'pretty'].includes(format)) throw new Error(`Unknown log format "${format}". Use "json" or "pretty".`);
+
+    const minimumLevel = LOG_LEVELS[level];
+    const secrets = expandSecrets(redact);
+    const sink = write || ((line, entryLevel) => {
+        (LOG_LEVELS[entryLevel] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+    });
+
+    function redactLine(line) {
+        let redacted = line;
+        for (const secret of secrets) redacted = redacted.split(secret).join(REDACTED);
+        return redacted;
+    }
+
+    function emit(entryLevel, boundFields, event, message, fields = {}) {
+        if (LOG_LEVELS[entryLevel] < minimumLevel) return;
+        const entry = { time: new Date().toISOString(), level: entryLevel, event, msg: message, ...base, ...boundFields };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) entry[key] = key === 'err' ? serializeError(value) : value;
+        }
+        let line;
+        try {
+            line = format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+        } catch (serializeFailure) {
+            line = JSON.stringify({ time: entry.time, level: entryLevel, event, msg: message, logError: serializeFailure.message });
+        }
+        sink(redactLine(line), entryLevel);
+    }
+
+    function build(boundFields) {
+        return {
+            debug: (event, message, fields) => emit('debug', boundFields, event, message, fields),
+            info: (event, message, fields) => emit('info', boundFields, event, message, fields),
+            warn: (event, message, fields) => emit('warn', boundFields, event, message, fields),
+            error: (event, message, fields) => emit('error', boundFields, event, message, fields),
+            // A logger that adds `fields` to every entry, e.g. log.child({ component: 'Roll', session_id }).
+            child: (fields) => build({ ...boundFields, ...fields }),
+            isLevelEnabled: (checkLevel) => LOG_LEVELS[checkLevel] >= minimumLevel,
+        };
+    }
+
+    return build({});
+}
+
+// HELPER_DEJ_LOG_LEVEL (default info) and HELPER_DEJ_LOG_FORMAT (default: pretty on a terminal, json otherwise).
+// The bot token, DATABASE_URL, the webhook secret and the result webhook's signing key are always redacted.
+export function createLoggerFromEnv(env = process.env, base = {}) {
+    return createLogger({
+        level: (env.HELPER_DEJ_LOG_LEVEL || 'info').toLowerCase(),
+        format: (env.HELPER_DEJ_LOG_FORMAT || (process.stdout.isTTY ? 'pretty' : 'json')).toLowerCase(),
+        base,
+        redact: [env.HELPER_DE_JACKPOT_BOT_TOKEN, env.DATABASE_URL, env.HELPER_DEJ_WEBHOOK_SECRET, env.HELPER_DEJ_RESULT_WEBHOOK_SECRET]
+    });
+}
@@ -0,0 +1,605 @@
+// jackpot_messages.js - Message catalogs and templating for player-facing helper messages
+//
+// Every text the helper shows a player is a template keyed like "final.completed_bust.title" in a
+// per-language catalog. Templates are Telegram HTML written by us or the operator, so they are inserted
+// as-is; placeholder values ({score}, {pool}, ...) are escaped unless wrapped in trustedHTML().
+// Lookups fall back from the requested language ("pt-BR") to its base language ("pt") and then to the
+// default language, so an override or a new catalog only needs the keys it actually changes.
+
+import fs from 'fs';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const TRUSTED_HTML = Symbol('trustedHTML');
+
+export function escapeHTML(text) {
+    if (text === null || typeof text === 'undefined') return '';
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#039;');
+}
+
+// Marks an already-built HTML fragment (e.g. the formatted rolls) so interpolation doesn't escape it again.
+export function trustedHTML(html) {
+    return { [TRUSTED_HTML]: String(html) };
+}
+
+export const BUILT_IN_CATALOGS = Object.freeze({
+    en: {
+        'run_card.title': '🏆 <b>Jackpot Run!</b> (Dice by @{bot_username})',
+        'run_card.initial_score': 'Your score entering this run: <b>{initial_score}</b>',
+        'run_card.rolls': 'Rolls during this Jackpot Run: {rolls}',
+        'run_card.no_rolls': '<i>None yet</i>',
+        'run_card.total_score': '🔥 Combined Total Score: <b>{total_score}</b>',
+        'run_card.target': '🎯 Target for Jackpot: <b>{target}+</b> ({rules})',
+        'run_card.pool': '💰 Jackpot Pool: <b>{pool}</b>',
+        'run_card.pool_calculating': 'Calculating...',
+        'run_card.pool_price_unavailable': '~{amount} ({currency} price unavailable)',
+        'run_card.pool_unavailable': 'N/A',
+        'run_card.provably_fair': '🔐 <b>Provably fair</b>\nServer seed hash: <code>{server_seed_hash}</code>\nClient seed: <code>{client_seed}</code> · Next nonce: <b>{nonce}</b>',
+        'run_card.last_roll': 'You just rolled: {emoji}<b>{roll}</b>!',
+        'run_card.auto_rolled': '⏱️ Time ran out, so I rolled for you: {emoji}<b>{roll}</b>',
+        'run_card.prompt': 'Tap <b>Roll</b> or send {emoji} to roll again!\n⏱️ Time left: <b>{seconds_left}s</b>',
+        'run_card.ended': '<b>{notes}</b>\nReporting result to Main Bot...',
+        'run_card.ended_default_notes': 'Jackpot run segment ended.',
+
+        'rules.bust_on': 'Bust on {values}',
+        'rules.bust_on_repeats': 'bust on {count} repeats in a row',
+        'rules.repeats_multiplier': 'repeats score x{multiplier}',
+        'rules.max_rolls': 'max {count} rolls',
+        'rules.none': 'No bust values',
+
+        'button.roll': '{emoji} Roll',
+        'button.stop': '✋ Stop here',
+        'button.prev': '‹ Prev',
+        'button.next': 'Next ›',
+        'callback.restarting': 'The jackpot helper is restarting. Please wait a moment.',
+        'callback.not_active': 'This jackpot run is no longer active.',
+        'callback.not_your_run': "This isn't your jackpot run. Only the player can use these buttons.",
+        'callback.roll_in_progress': 'Your roll is still in progress...',
+        'callback.rolling': 'Rolling... {emoji}',
+        'callback.stopping': 'Stopping your jackpot run here.',
+        'callback.unknown_action': 'Unknown action.',
+
+        'dice_rejected.forwarded': "🚫 Forwarded dice don't count. Throw your own {emoji} to roll.",
+        'dice_rejected.wrong_emoji': "🚫 That dice doesn't count: this jackpot run is played with {emoji}.",
+        'dice_rejected.before_prompt': "🚫 That dice was thrown before your turn started, so it doesn't count. Throw {emoji} again.",
+
+        'handover.draining': "⏳ The jackpot helper is restarting. Keep rolling: if your run isn't over within {seconds}s it is paused and handed to another helper, with every roll kept.",
+        'handover.released': '⏸ Your jackpot run is paused while the helper restarts. All {roll_count} roll(s) are saved; the run card comes back here in a moment so you can continue.',
+
+        'turn.reminder.forfeit': '⏰ <b>{seconds}s left!</b> Tap <b>Roll</b> or send {emoji}, or this jackpot run is forfeited.',
+        'turn.reminder.auto_roll': "⏰ <b>{seconds}s left!</b> Tap <b>Roll</b> or send {emoji}, or I'll roll for you.",
+        'turn.reminder.bank': '⏰ <b>{seconds}s left!</b> Tap <b>Roll</b> or send {emoji}, or your current score is banked and the run ends.',
+
+        'outcome.bust_value': 'Busted on a {roll} during jackpot run!',
+        'outcome.bust_repeats': 'Busted on {count} {roll}s in a row during jackpot run!',
+        'outcome.target_reached': 'Target {target}+ reached with score {score}!',
+        'outcome.max_rolls': 'Roll limit of {max_rolls} reached with score {score}, short of the {target} target.',
+        'outcome.timeout': 'Turn timed out during jackpot run.',
+        'outcome.timeout_banked': 'Turn timed out; the score of {score} was banked.',
+        'outcome.player_stopped': 'Stopped voluntarily with a score of {score}.',
+        'outcome.admin_finalized': 'This run was closed by an operator.',
+
+        'final.score': 'Your final score for this jackpot attempt: <b>{score}</b>.',
+        'final.completed_bust.title': '💥 Oops! Jackpot Run Halted (Session {session_id}) 💥',
+        'final.completed_bust.body': '{score_line}\n{notes} Tough break! Maybe next time the dice will be kinder.',
+        'final.completed_target_reached.title': '🎉🎯 Jackpot Target Smashed! (Session {session_id}) 🎯🎉',
+        'final.completed_target_reached.body': "{score_line}\n{notes} Absolutely legendary rolling! You've done it!",
+        'final.completed_timeout_forfeit.title': "⏳ Time's Up! (Session {session_id}) ⏳",
+        'final.completed_timeout_forfeit.body': '{score_line}\n{notes} The clock ran out on this jackpot attempt.',
+        'final.completed_timeout_banked.title': "⏳ Time's Up, Score Banked (Session {session_id}) ⏳",
+        'final.completed_timeout_banked.body': '{score_line}\n{notes} The clock ran out, so the run stopped where you left it.',
+        'final.completed_max_rolls.title': '🧮 Out of Rolls! (Session {session_id}) 🧮',
+        'final.completed_max_rolls.body': '{score_line}\n{notes} So close - the roll limit for this run has been reached.',
+        'final.completed_player_stopped.title': '✋ Run Banked (Session {session_id}) ✋',
+        'final.completed_player_stopped.body': '{score_line}\n{notes} You called it a day before the dice could bite.',
+        'final.error_helper_recovery.title': '🔄 Jackpot Run Interrupted (Session {session_id}) 🔄',
+        'final.error_helper_recovery.body': 'The jackpot helper restarted while your run was in progress.\nDetails: {notes}',
+        'final.error.title': '⚠️ Jackpot Run Update (Session {session_id}) ⚠️',
+        'final.error.body': 'There was an issue with your jackpot run.\nDetails: {notes}',
+        'final.provably_fair_reveal': '🔐 <b>Provably fair reveal</b>\nServer seed: <code>{server_seed}</code>\nServer seed hash: <code>{server_seed_hash}</code>\nClient seed: <code>{client_seed}</code>\nCheck every roll with <code>/verify {session_id}</code>',
+        'final.footer': 'The Main Casino Bot (@{main_bot}) will now process the final game result. Stand by!',
+
+        'help.text': "I am @{bot_username}, a dedicated helper bot for Dice Escalator Jackpot Runs for the main casino bot (@{main_bot}).\nI take over once you enter jackpot mode and manage your rolls for the big prize!\nYou typically don't need to interact with me directly via commands. See your past runs with /myjackpots and this chat's leaderboard with /jackpotboard. Use /jackpotprivacy to keep your name out of jackpot announcements.",
+
+        'verify.usage': 'Usage: <code>/verify &lt;session_id&gt;</code>',
+        'verify.not_found': 'No jackpot session found with id <code>{session_id}</code>.',
+        'verify.not_provably_fair': 'Session <code>{session_id}</code> was not played in provably fair mode.',
+        'verify.in_progress': 'Session <code>{session_id}</code> is still in progress. The server seed is revealed once the run ends.',
+        'verify.title': '🔐 <b>Provably Fair Check</b> (Session <code>{session_id}</code>)',
+        'verify.seeds': 'Server seed: <code>{server_seed}</code>\nCommitted hash: <code>{server_seed_hash}</code> {hash_verdict}\nClient seed: <code>{client_seed}</code>',
+        'verify.roll_line': '{verdict} Nonce {nonce}: recorded <b>{recorded}</b>, recomputed <b>{expected}</b>',
+        'verify.no_rolls': '<i>No jackpot-run rolls recorded.</i>',
+        'verify.passed': '✅ <b>All rolls verified.</b>',
+        'verify.failed': '❌ <b>Verification FAILED.</b>',
+        'verify.formula': '<i>roll = HMAC-SHA256(server_seed, "client_seed:nonce"), first unbiased 32-bit chunk mod {faces} + {min_value}</i>',
+        'verify.error': 'Sorry, the verification could not be completed right now. Please try again later.',
+
+        'clientseed.no_session': 'You have no provably fair jackpot run in progress here.',
+        'clientseed.not_ready': 'Your run is still being set up. Try again in a moment.',
+        'clientseed.current': 'Your client seed: <code>{client_seed}</code>\nUsage: <code>/clientseed &lt;seed&gt;</code>',
+        'clientseed.too_late': 'The client seed can only be changed before your first jackpot roll.',
+        'clientseed.saved': '🔐 Client seed set to <code>{client_seed}</code>.',
+        'clientseed.error': 'Sorry, your client seed could not be saved. Please try again.',
+
+        'settings.admins_only': 'Only chat admins can change the jackpot display settings.',
+        'settings.load_error': 'Sorry, the display settings could not be loaded right now.',
+        'settings.save_error': 'Sorry, the setting could not be saved. Please try again.',
+        'currency.current': 'Jackpot pools here are shown in <b>{currency}</b> ({locale}).\nUsage: <code>/jackpotcurrency &lt;CODE&gt; [locale]</code>, e.g. <code>/jackpotcurrency EUR de-DE</code>',
+        'currency.invalid': 'Unknown currency or locale: {value}.',
+        'currency.saved': '💱 Jackpot pools in this chat will now be shown in <b>{currency}</b>{locale_suffix}.',
+        'language.current': 'Jackpot messages here are in <b>{language}</b>. Available: {available}\nUsage: <code>/jackpotlanguage &lt;code&gt;</code> or <code>/jackpotlanguage auto</code>',
+        'language.invalid': 'There are no jackpot messages for "{language}". Available: {available}',
+        'language.saved': '🌐 Jackpot messages in this chat will now be in <b>{language}</b>.',
+        'language.auto': "🌐 Jackpot messages in this chat will follow each player's Telegram language.",
+
+        'history.title': '📜 <b>Your jackpot runs</b>',
+        'history.none': "You haven't played any jackpot runs here yet.",
+        'history.run': '{status} · 🎯 <b>{score}</b> / {target}\n{rolls} · 💰 {pool}\n<i>{date}</i> · <code>{session_id}</code>',
+        'history.page': '<i>Page {page}</i>',
+        'history.status.in_progress': '⏳ In progress',
+        'history.status.completed_bust': '💥 Bust',
+        'history.status.completed_target_reached': '🎉 Target hit',
+        'history.status.completed_timeout_forfeit': '⌛ Timed out',
+        'history.status.completed_timeout_banked': '⌛ Timed out, banked',
+        'history.status.completed_max_rolls': '🧮 Out of rolls',
+        'history.status.completed_player_stopped': '✋ Banked',
+        'history.status.error': '⚠️ Not completed',
+        'history.not_yours': 'These are not your runs. Send /myjackpots to see yours.',
+        'history.error': 'Sorry, the jackpot history could not be loaded right now. Please try again later.',
+        'board.title.scores': '🏆 <b>Top jackpot scores</b> · {period}',
+        'board.title.hits': '🎯 <b>Jackpot target hits</b> · {period}',
+        'board.title.streaks': '🔥 <b>Longest jackpot runs</b> · {period}',
+        'board.line.scores': '{rank} {player}: <b>{value}</b>',
+        'board.line.hits': '{rank} {player}: <b>{value}</b> hit(s)',
+        'board.line.streaks': '{rank} {player}: <b>{value}</b> rolls in one run',
+        'board.empty': '<i>No finished jackpot runs in this chat for this period yet.</i>',
+        'board.unknown_player': 'Player …{hint}',
+        'board.period.day': 'last 24 hours',
+        'board.period.week': 'last 7 days',
+        'board.period.all': 'all time',
+        'board.button.scores': '🏆 Scores',
+        'board.button.hits': '🎯 Hits',
+        'board.button.streaks': '🔥 Streaks',
+        'board.button.day': '24h',
+        'board.button.week': '7 days',
+        'board.button.all': 'All time',
+
+        'announce.started': '🎲 <b>{player}</b> just started a jackpot run in {chat}!\n🎯 Target: <b>{target}</b> · 💰 Pool: {pool}',
+        'announce.running': '🎲 <b>{player}</b> is on a jackpot run in {chat}\n{rolls}\nScore: <b>{score}</b> / {target} · 💰 Pool: {pool}',
+        'announce.tension': '🔥 <b>{player}</b> is only <b>{remaining}</b> away from the jackpot in {chat}!\n{rolls}\nScore: <b>{score}</b> / {target} · 💰 Pool: {pool}',
+        'announce.ended': '{outcome}: <b>{player}</b> in {chat}\n{rolls}\nFinal score: <b>{score}</b> / {target} · 💰 Pool: {pool}',
+        'announce.celebration': '🎉🏆 <b>JACKPOT!</b> {player} hit the target in {chat} with <b>{score}</b> and wins {pool}! 🏆🎉',
+        'announce.anonymous_player': 'A player',
+        'announce.unnamed_chat': 'a group',
+        'announce.current': '📣 Announcing runs from this chat: <b>{runs}</b> · Names shown: <b>{names}</b>\nUsage: <code>/jackpotannounce on|off</code> or <code>/jackpotannounce names on|off</code>',
+        'announce.saved': '📣 Saved. Announcing runs from this chat: <b>{runs}</b> · Names shown: <b>{names}</b>',
+        'announce.unavailable': 'There is no jackpot announcement channel set up for this bot.',
+        'announce.state_on': 'on',
+        'announce.state_off': 'off',
+        'announce.privacy_current': '🙈 Hide my name in announcements: <b>{state}</b>\nUsage: <code>/jackpotprivacy on|off</code>',
+        'announce.privacy_saved': '🙈 Hide my name in announcements: <b>{state}</b>. This applies from your next roll.',
+    },
+
+    pt: {
+        'run_card.title': '🏆 <b>Rodada Jackpot!</b> (Dados por @{bot_username})',
+        'run_card.initial_score': 'Sua pontuação ao entrar nesta rodada: <b>{initial_score}</b>',
+        'run_card.rolls': 'Lançamentos nesta Rodada Jackpot: {rolls}',
+        'run_card.no_rolls': '<i>Nenhum ainda</i>',
+        'run_card.total_score': '🔥 Pontuação Total: <b>{total_score}</b>',
+        'run_card.target': '🎯 Meta do Jackpot: <b>{target}+</b> ({rules})',
+        'run_card.pool': '💰 Prêmio do Jackpot: <b>{pool}</b>',
+        'run_card.pool_calculating': 'Calculando...',
+        'run_card.pool_price_unavailable': '~{amount} (cotação em {currency} indisponível)',
+        'run_card.pool_unavailable': 'Indisponível',
+        'run_card.provably_fair': '🔐 <b>Provavelmente justo</b>\nHash da seed do servidor: <code>{server_seed_hash}</code>\nSeed do cliente: <code>{client_seed}</code> · Próximo nonce: <b>{nonce}</b>',
+        'run_card.last_roll': 'Você tirou: {emoji}<b>{roll}</b>!',
+        'run_card.auto_rolled': '⏱️ O tempo acabou, então eu rolei por você: {emoji}<b>{roll}</b>',
+        'run_card.prompt': 'Toque em <b>Rolar</b> ou envie {emoji} para rolar de novo!\n⏱️ Tempo restante: <b>{seconds_left}s</b>',
+        'run_card.ended': '<b>{notes}</b>\nEnviando o resultado ao bot principal...',
+        'run_card.ended_default_notes': 'Etapa da rodada jackpot encerrada.',
+
+        'rules.bust_on': 'Perde com {values}',
+        'rules.bust_on_repeats': 'perde com {count} repetições seguidas',
+        'rules.repeats_multiplier': 'repetições valem x{multiplier}',
+        'rules.max_rolls': 'máx. {count} lançamentos',
+        'rules.none': 'Sem valores de perda',
+
+        'button.roll': '{emoji} Rolar',
+        'button.stop': '✋ Parar aqui',
+        'button.prev': '‹ Anterior',
+        'button.next': 'Próxima ›',
+        'callback.restarting': 'O bot do jackpot está reiniciando. Aguarde um momento.',
+        'callback.not_active': 'Esta rodada jackpot não está mais ativa.',
+        'callback.not_your_run': 'Esta não é a sua rodada jackpot. Só o jogador pode usar estes botões.',
+        'callback.roll_in_progress': 'Seu lançamento ainda está em andamento...',
+        'callback.rolling': 'Rolando... {emoji}',
+        'callback.stopping': 'Encerrando sua rodada jackpot aqui.',
+        'callback.unknown_action': 'Ação desconhecida.',
+
+        'dice_rejected.forwarded': '🚫 Dados encaminhados não valem. Jogue o seu próprio {emoji} para rolar.',
+        'dice_rejected.wrong_emoji': '🚫 Esse dado não vale: esta rodada jackpot é jogada com {emoji}.',
+        'dice_rejected.before_prompt': '🚫 Esse dado foi jogado antes de começar a sua vez, então não vale. Jogue {emoji} de novo.',
+
+        'handover.draining': '⏳ O bot do jackpot está reiniciando. Continue rolando: se a sua rodada não terminar em {seconds}s, ela será pausada e passada para outro bot, com todos os lançamentos guardados.',
+        'handover.released': '⏸ Sua rodada jackpot está pausada enquanto o bot reinicia. Todos os {roll_count} lançamento(s) estão salvos; o cartão da rodada volta aqui em instantes para você continuar.',
+
+        'turn.reminder.forfeit': '⏰ <b>Faltam {seconds}s!</b> Toque em <b>Rolar</b> ou envie {emoji}, ou esta rodada jackpot será perdida.',
+        'turn.reminder.auto_roll': '⏰ <b>Faltam {seconds}s!</b> Toque em <b>Rolar</b> ou envie {emoji}, ou eu rolo por você.',
+        'turn.reminder.bank': '⏰ <b>Faltam {seconds}s!</b> Toque em <b>Rolar</b> ou envie {emoji}, ou a sua pontuação atual é guardada e a rodada termina.',
+
+        'outcome.bust_value': 'Perdeu com um {roll} na rodada jackpot!',
+        'outcome.bust_repeats': 'Perdeu com {count} {roll}s seguidos na rodada jackpot!',
+        'outcome.target_reached': 'Meta de {target}+ alcançada com {score} pontos!',
+        'outcome.max_rolls': 'Limite de {max_rolls} lançamentos atingido com {score} pontos, abaixo da meta de {target}.',
+        'outcome.timeout': 'O tempo da jogada acabou durante a rodada jackpot.',
+        'outcome.timeout_banked': 'O tempo da jogada acabou; a pontuação de {score} foi guardada.',
+        'outcome.player_stopped': 'Parou voluntariamente com {score} pontos.',
+        'outcome.admin_finalized': 'Esta rodada foi encerrada por um operador.',
+
+        'final.score': 'Sua pontuação final nesta tentativa: <b>{score}</b>.',
+        'final.completed_bust.title': '💥 Ops! Rodada Jackpot Encerrada (Sessão {session_id}) 💥',
+        'final.completed_bust.body': '{score_line}\n{notes} Que azar! Quem sabe os dados sejam mais gentis da próxima vez.',
+        'final.completed_target_reached.title': '🎉🎯 Meta do Jackpot Alcançada! (Sessão {session_id}) 🎯🎉',
+        'final.completed_target_reached.body': '{score_line}\n{notes} Que rodada lendária! Você conseguiu!',
+        'final.completed_timeout_forfeit.title': '⏳ Tempo Esgotado! (Sessão {session_id}) ⏳',
+        'final.completed_timeout_forfeit.body': '{score_line}\n{notes} O relógio zerou nesta tentativa de jackpot.',
+        'final.completed_timeout_banked.title': '⏳ Tempo Esgotado, Pontuação Guardada (Sessão {session_id}) ⏳',
+        'final.completed_timeout_banked.body': '{score_line}\n{notes} O relógio zerou, então a rodada parou onde você a deixou.',
+        'final.completed_max_rolls.title': '🧮 Sem Lançamentos! (Sessão {session_id}) 🧮',
+        'final.completed_max_rolls.body': '{score_line}\n{notes} Quase lá - o limite de lançamentos desta rodada foi atingido.',
+        'final.completed_player_stopped.title': '✋ Rodada Garantida (Sessão {session_id}) ✋',
+        'final.completed_player_stopped.body': '{score_line}\n{notes} Você parou antes que os dados mordessem.',
+        'final.error_helper_recovery.title': '🔄 Rodada Jackpot Interrompida (Sessão {session_id}) 🔄',
+        'final.error_helper_recovery.body': 'O bot do jackpot reiniciou durante a sua rodada.\nDetalhes: {notes}',
+        'final.error.title': '⚠️ Atualização da Rodada Jackpot (Sessão {session_id}) ⚠️',
+        'final.error.body': 'Houve um problema com a sua rodada jackpot.\nDetalhes: {notes}',
+        'final.provably_fair_reveal': '🔐 <b>Revelação provavelmente justa</b>\nSeed do servidor: <code>{server_seed}</code>\nHash da seed do servidor: <code>{server_seed_hash}</code>\nSeed do cliente: <code>{client_seed}</code>\nConfira cada lançamento com <code>/verify {session_id}</code>',
+        'final.footer': 'O bot principal do cassino (@{main_bot}) vai processar o resultado final agora. Aguarde!',
+
+        'help.text': 'Eu sou @{bot_username}, um bot auxiliar dedicado às Rodadas Jackpot do Dice Escalator do bot principal do cassino (@{main_bot}).\nEu assumo quando você entra no modo jackpot e cuido dos seus lançamentos pelo grande prêmio!\nNormalmente você não precisa usar comandos comigo. Veja suas rodadas com /myjackpots e o ranking deste chat com /jackpotboard. Use /jackpotprivacy para manter seu nome fora dos anúncios do jackpot.',
+
+        'verify.usage': 'Uso: <code>/verify &lt;session_id&gt;</code>',
+        'verify.not_found': 'Nenhuma sessão de jackpot encontrada com o id <code>{session_id}</code>.',
+        'verify.not_provably_fair': 'A sessão <code>{session_id}</code> não foi jogada no modo provavelmente justo.',
+        'verify.in_progress': 'A sessão <code>{session_id}</code> ainda está em andamento. A seed do servidor é revelada quando a rodada termina.',
+        'verify.title': '🔐 <b>Verificação Provavelmente Justa</b> (Sessão <code>{session_id}</code>)',
+        'verify.seeds': 'Seed do servidor: <code>{server_seed}</code>\nHash publicado: <code>{server_seed_hash}</code> {hash_verdict}\nSeed do cliente: <code>{client_seed}</code>',
+        'verify.roll_line': '{verdict} Nonce {nonce}: registrado <b>{recorded}</b>, recalculado <b>{expected}</b>',
+        'verify.no_rolls': '<i>Nenhum lançamento da rodada jackpot registrado.</i>',
+        'verify.passed': '✅ <b>Todos os lançamentos conferem.</b>',
+        'verify.failed': '❌ <b>A verificação FALHOU.</b>',
+        'verify.error': 'Desculpe, não foi possível concluir a verificação agora. Tente novamente mais tarde.',
+
+        'clientseed.no_session': 'Você não tem uma rodada jackpot provavelmente justa em andamento aqui.',
+        'clientseed.not_ready': 'Sua rodada ainda está sendo preparada. Tente novamente em instantes.',
+        'clientseed.current': 'Sua seed do cliente: <code>{client_seed}</code>\nUso: <code>/clientseed &lt;seed&gt;</code>',
+        'clientseed.too_late': 'A seed do cliente só pode ser alterada antes do seu primeiro lançamento.',
+        'clientseed.saved': '🔐 Seed do cliente definida como <code>{client_seed}</code>.',
+        'clientseed.error': 'Desculpe, não foi possível salvar sua seed do cliente. Tente novamente.',
+
+        'settings.admins_only': 'Só administradores do chat podem alterar as configurações do jackpot.',
+        'settings.load_error': 'Desculpe, não foi possível carregar as configurações agora.',
+        'settings.save_error': 'Desculpe, não foi possível salvar a configuração. Tente novamente.',
+        'currency.current': 'Os prêmios do jackpot aqui são exibidos em <b>{currency}</b> ({locale}).\nUso: <code>/jackpotcurrency &lt;CÓDIGO&gt; [locale]</code>, ex. <code>/jackpotcurrency BRL pt-BR</code>',
+        'currency.invalid': 'Moeda ou locale desconhecido: {value}.',
+        'currency.saved': '💱 Os prêmios do jackpot neste chat agora serão exibidos em <b>{currency}</b>{locale_suffix}.',
+        'language.current': 'As mensagens do jackpot aqui estão em <b>{language}</b>. Disponíveis: {available}\nUso: <code>/jackpotlanguage &lt;código&gt;</code> ou <code>/jackpotlanguage auto</code>',
+        'language.invalid': 'Não há mensagens do jackpot em "{language}". Disponíveis: {available}',
+        'language.saved': '🌐 As mensagens do jackpot neste chat agora serão em <b>{language}</b>.',
+        'language.auto': '🌐 As mensagens do jackpot neste chat vão seguir o idioma do Telegram de cada jogador.',
+
+        'history.title': '📜 <b>Suas rodadas jackpot</b>',
+        'history.none': 'Você ainda não jogou nenhuma rodada jackpot aqui.',
+        'history.run': '{status} · 🎯 <b>{score}</b> / {target}\n{rolls} · 💰 {pool}\n<i>{date}</i> · <code>{session_id}</code>',
+        'history.page': '<i>Página {page}</i>',
+        'history.status.in_progress': '⏳ Em andamento',
+        'history.status.completed_bust': '💥 Estourou',
+        'history.status.completed_target_reached': '🎉 Meta atingida',
+        'history.status.completed_timeout_forfeit': '⌛ Tempo esgotado',
+        'history.status.completed_timeout_banked': '⌛ Tempo esgotado, guardada',
+        'history.status.completed_max_rolls': '🧮 Sem lançamentos',
+        'history.status.completed_player_stopped': '✋ Guardada',
+        'history.status.error': '⚠️ Não concluída',
+        'history.not_yours': 'Estas rodadas não são suas. Envie /myjackpots para ver as suas.',
+        'history.error': 'O histórico do jackpot não pôde ser carregado agora. Tente novamente mais tarde.',
+        'board.title.scores': '🏆 <b>Maiores pontuações do jackpot</b> · {period}',
+        'board.title.hits': '🎯 <b>Metas de jackpot atingidas</b> · {period}',
+        'board.title.streaks': '🔥 <b>Rodadas jackpot mais longas</b> · {period}',
+        'board.line.scores': '{rank} {player}: <b>{value}</b>',
+        'board.line.hits': '{rank} {player}: <b>{value}</b> meta(s)',
+        'board.line.streaks': '{rank} {player}: <b>{value}</b> lançamentos em uma rodada',
+        'board.empty': '<i>Ainda não há rodadas jackpot concluídas neste chat neste período.</i>',
+        'board.unknown_player': 'Jogador …{hint}',
+        'board.period.day': 'últimas 24 horas',
+        'board.period.week': 'últimos 7 dias',
+        'board.period.all': 'todos os tempos',
+        'board.button.scores': '🏆 Pontuações',
+        'board.button.hits': '🎯 Metas',
+        'board.button.streaks': '🔥 Sequências',
+        'board.button.day': '24h',
+        'board.button.week': '7 dias',
+        'board.button.all': 'Sempre',
+
+        'announce.started': '🎲 <b>{player}</b> acabou de começar uma rodada jackpot em {chat}!\n🎯 Meta: <b>{target}</b> · 💰 Prêmio: {pool}',
+        'announce.running': '🎲 <b>{player}</b> está numa rodada jackpot em {chat}\n{rolls}\nPontuação: <b>{score}</b> / {target} · 💰 Prêmio: {pool}',
+        'announce.tension': '🔥 <b>{player}</b> está a apenas <b>{remaining}</b> do jackpot em {chat}!\n{rolls}\nPontuação: <b>{score}</b> / {target} · 💰 Prêmio: {pool}',
+        'announce.ended': '{outcome}: <b>{player}</b> em {chat}\n{rolls}\nPontuação final: <b>{score}</b> / {target} · 💰 Prêmio: {pool}',
+        'announce.celebration': '🎉🏆 <b>JACKPOT!</b> {player} atingiu a meta em {chat} com <b>{score}</b> e ganha {pool}! 🏆🎉',
+        'announce.anonymous_player': 'Um jogador',
+        'announce.unnamed_chat': 'um grupo',
+        'announce.current': '📣 Anunciar rodadas deste chat: <b>{runs}</b> · Mostrar nomes: <b>{names}</b>\nUso: <code>/jackpotannounce on|off</code> ou <code>/jackpotannounce names on|off</code>',
+        'announce.saved': '📣 Salvo. Anunciar rodadas deste chat: <b>{runs}</b> · Mostrar nomes: <b>{names}</b>',
+        'announce.unavailable': 'Nenhum canal de anúncios do jackpot foi configurado para este bot.',
+        'announce.state_on': 'ligado',
+        'announce.state_off': 'desligado',
+        'announce.privacy_current': '🙈 Ocultar meu nome nos anúncios: <b>{state}</b>\nUso: <code>/jackpotprivacy on|off</code>',
+        'announce.privacy_saved': '🙈 Ocultar meu nome nos anúncios: <b>{state}</b>. Vale a partir do seu próximo lançamento.',
+    },
+
+    de: {
+        'run_card.title': '🏆 <b>Jackpot-Runde!</b> (Würfel von @{bot_username})',
+        'run_card.initial_score': 'Dein Punktestand zu Beginn dieser Runde: <b>{initial_score}</b>',
+        'run_card.rolls': 'Würfe in dieser Jackpot-Runde: {rolls}',
+        'run_card.no_rolls': '<i>Noch keine</i>',
+        'run_card.total_score': '🔥 Gesamtpunktzahl: <b>{total_score}</b>',
+        'run_card.target': '🎯 Ziel für den Jackpot: <b>{target}+</b> ({rules})',
+        'run_card.pool': '💰 Jackpot-Topf: <b>{pool}</b>',
+        'run_card.pool_calculating': 'Wird berechnet...',
+        'run_card.pool_price_unavailable': '~{amount} ({currency}-Kurs nicht verfügbar)',
+        'run_card.pool_unavailable': 'k. A.',
+        'run_card.provably_fair': '🔐 <b>Nachweislich fair</b>\nServer-Seed-Hash: <code>{server_seed_hash}</code>\nClient-Seed: <code>{client_seed}</code> · Nächste Nonce: <b>{nonce}</b>',
+        'run_card.last_roll': 'Du hast gewürfelt: {emoji}<b>{roll}</b>!',
+        'run_card.auto_rolled': '⏱️ Die Zeit war um, also habe ich für dich gewürfelt: {emoji}<b>{roll}</b>',
+        'run_card.prompt': 'Tippe auf <b>Würfeln</b> oder sende {emoji}, um erneut zu würfeln!\n⏱️ Verbleibende Zeit: <b>{seconds_left}s</b>',
+        'run_card.ended': '<b>{notes}</b>\nErgebnis wird an den Haupt-Bot gemeldet...',
+        'run_card.ended_default_notes': 'Abschnitt der Jackpot-Runde beendet.',
+
+        'rules.bust_on': 'Verloren bei {values}',
+        'rules.bust_on_repeats': 'verloren bei {count} gleichen Würfen in Folge',
+        'rules.repeats_multiplier': 'Wiederholungen zählen x{multiplier}',
+        'rules.max_rolls': 'max. {count} Würfe',
+        'rules.none': 'Keine Verlustwerte',
+
+        'button.roll': '{emoji} Würfeln',
+        'button.stop': '✋ Hier aufhören',
+        'button.prev': '‹ Zurück',
+        'button.next': 'Weiter ›',
+        'callback.restarting': 'Der Jackpot-Helfer startet neu. Bitte einen Moment Geduld.',
+        'callback.not_active': 'Diese Jackpot-Runde ist nicht mehr aktiv.',
+        'callback.not_your_run': 'Das ist nicht deine Jackpot-Runde. Nur der Spieler kann diese Knöpfe benutzen.',
+        'callback.roll_in_progress': 'Dein Wurf wird noch verarbeitet...',
+        'callback.rolling': 'Würfle... {emoji}',
+        'callback.stopping': 'Deine Jackpot-Runde endet hier.',
+        'callback.unknown_action': 'Unbekannte Aktion.',
+
+        'dice_rejected.forwarded': '🚫 Weitergeleitete Würfel zählen nicht. Wirf deinen eigenen {emoji}.',
+        'dice_rejected.wrong_emoji': '🚫 Dieser Würfel zählt nicht: Diese Jackpot-Runde wird mit {emoji} gespielt.',
+        'dice_rejected.before_prompt': '🚫 Dieser Würfel wurde vor Beginn deines Zugs geworfen und zählt nicht. Wirf {emoji} noch einmal.',
+
+        'handover.draining': '⏳ Der Jackpot-Helfer startet neu. Würfle ruhig weiter: Ist deine Runde nicht in {seconds}s vorbei, wird sie pausiert und mit allen Würfen an einen anderen Helfer übergeben.',
+        'handover.released': '⏸ Deine Jackpot-Runde ist pausiert, während der Helfer neu startet. Alle {roll_count} Würfe sind gespeichert; die Rundenkarte erscheint gleich wieder hier, damit du weitermachen kannst.',
+
+        'turn.reminder.forfeit': '⏰ <b>Noch {seconds}s!</b> Tippe auf <b>Würfeln</b> oder sende {emoji}, sonst verfällt diese Jackpot-Runde.',
+        'turn.reminder.auto_roll': '⏰ <b>Noch {seconds}s!</b> Tippe auf <b>Würfeln</b> oder sende {emoji}, sonst würfle ich für dich.',
+        'turn.reminder.bank': '⏰ <b>Noch {seconds}s!</b> Tippe auf <b>Würfeln</b> oder sende {emoji}, sonst wird dein aktueller Punktestand gesichert und die Runde endet.',
+
+        'outcome.bust_value': 'Mit einer {roll} in der Jackpot-Runde verloren!',
+        'outcome.bust_repeats': 'Mit {count}x {roll} in Folge in der Jackpot-Runde verloren!',
+        'outcome.target_reached': 'Ziel {target}+ mit {score} Punkten erreicht!',
+        'outcome.max_rolls': 'Limit von {max_rolls} Würfen mit {score} Punkten erreicht, Ziel {target} verfehlt.',
+        'outcome.timeout': 'Die Zugzeit in der Jackpot-Runde ist abgelaufen.',
+        'outcome.timeout_banked': 'Die Zugzeit ist abgelaufen; der Punktestand von {score} wurde gesichert.',
+        'outcome.player_stopped': 'Freiwillig mit {score} Punkten aufgehört.',
+        'outcome.admin_finalized': 'Diese Runde wurde von einem Betreiber beendet.',
+
+        'final.score': 'Dein Endstand für diesen Jackpot-Versuch: <b>{score}</b>.',
+        'final.completed_bust.title': '💥 Hoppla! Jackpot-Runde beendet (Sitzung {session_id}) 💥',
+        'final.completed_bust.body': '{score_line}\n{notes} Pech gehabt! Vielleicht sind die Würfel beim nächsten Mal gnädiger.',
+        'final.completed_target_reached.title': '🎉🎯 Jackpot-Ziel geknackt! (Sitzung {session_id}) 🎯🎉',
+        'final.completed_target_reached.body': '{score_line}\n{notes} Legendär gewürfelt! Du hast es geschafft!',
+        'final.completed_timeout_forfeit.title': '⏳ Zeit abgelaufen! (Sitzung {session_id}) ⏳',
+        'final.completed_timeout_forfeit.body': '{score_line}\n{notes} Für diesen Jackpot-Versuch ist die Zeit abgelaufen.',
+        'final.completed_timeout_banked.title': '⏳ Zeit abgelaufen, Punkte gesichert (Sitzung {session_id}) ⏳',
+        'final.completed_timeout_banked.body': '{score_line}\n{notes} Die Zeit war um, also endet die Runde dort, wo du sie verlassen hast.',
+        'final.completed_max_rolls.title': '🧮 Keine Würfe mehr! (Sitzung {session_id}) 🧮',
+        'final.completed_max_rolls.body': '{score_line}\n{notes} Knapp - das Wurflimit dieser Runde ist erreicht.',
+        'final.completed_player_stopped.title': '✋ Runde gesichert (Sitzung {session_id}) ✋',
+        'final.completed_player_stopped.body': '{score_line}\n{notes} Du hast aufgehört, bevor die Würfel zubeißen konnten.',
+        'final.error_helper_recovery.title': '🔄 Jackpot-Runde unterbrochen (Sitzung {session_id}) 🔄',
+        'final.error_helper_recovery.body': 'Der Jackpot-Helfer wurde während deiner Runde neu gestartet.\nDetails: {notes}',
+        'final.error.title': '⚠️ Jackpot-Runde: Hinweis (Sitzung {session_id}) ⚠️',
+        'final.error.body': 'Bei deiner Jackpot-Runde ist ein Problem aufgetreten.\nDetails: {notes}',
+        'final.provably_fair_reveal': '🔐 <b>Aufdeckung (nachweislich fair)</b>\nServer-Seed: <code>{server_seed}</code>\nServer-Seed-Hash: <code>{server_seed_hash}</code>\nClient-Seed: <code>{client_seed}</code>\nPrüfe jeden Wurf mit <code>/verify {session_id}</code>',
+        'final.footer': 'Der Haupt-Casino-Bot (@{main_bot}) verarbeitet jetzt das Endergebnis. Bitte warten!',
+
+        'help.text': 'Ich bin @{bot_username}, ein Helfer-Bot für die Dice-Escalator-Jackpot-Runden des Haupt-Casino-Bots (@{main_bot}).\nIch übernehme, sobald du in den Jackpot-Modus wechselst, und verwalte deine Würfe um den großen Preis!\nNormalerweise musst du mir keine Befehle schicken. Deine bisherigen Runden siehst du mit /myjackpots, die Bestenliste dieses Chats mit /jackpotboard. Mit /jackpotprivacy bleibt dein Name aus Jackpot-Ankündigungen heraus.',
+
+        'verify.usage': 'Verwendung: <code>/verify &lt;session_id&gt;</code>',
+        'verify.not_found': 'Keine Jackpot-Sitzung mit der ID <code>{session_id}</code> gefunden.',
+        'verify.not_provably_fair': 'Sitzung <code>{session_id}</code> wurde nicht im nachweislich fairen Modus gespielt.',
+        'verify.in_progress': 'Sitzung <code>{session_id}</code> läuft noch. Der Server-Seed wird nach dem Ende der Runde aufgedeckt.',
+        'verify.title': '🔐 <b>Fairness-Prüfung</b> (Sitzung <code>{session_id}</code>)',
+        'verify.seeds': 'Server-Seed: <code>{server_seed}</code>\nVeröffentlichter Hash: <code>{server_seed_hash}</code> {hash_verdict}\nClient-Seed: <code>{client_seed}</code>',
+        'verify.roll_line': '{verdict} Nonce {nonce}: gespeichert <b>{recorded}</b>, nachgerechnet <b>{expected}</b>',
+        'verify.no_rolls': '<i>Keine Würfe der Jackpot-Runde gespeichert.</i>',
+        'verify.passed': '✅ <b>Alle Würfe bestätigt.</b>',
+        'verify.failed': '❌ <b>Prüfung FEHLGESCHLAGEN.</b>',
+        'verify.error': 'Die Prüfung konnte gerade nicht abgeschlossen werden. Bitte versuche es später erneut.',
+
+        'clientseed.no_session': 'Du hast hier keine laufende nachweislich faire Jackpot-Runde.',
+        'clientseed.not_ready': 'Deine Runde wird noch vorbereitet. Versuche es gleich noch einmal.',
+        'clientseed.current': 'Dein Client-Seed: <code>{client_seed}</code>\nVerwendung: <code>/clientseed &lt;seed&gt;</code>',
+        'clientseed.too_late': 'Der Client-Seed kann nur vor deinem ersten Jackpot-Wurf geändert werden.',
+        'clientseed.saved': '🔐 Client-Seed auf <code>{client_seed}</code> gesetzt.',
+        'clientseed.error': 'Dein Client-Seed konnte nicht gespeichert werden. Bitte versuche es erneut.',
+
+        'settings.admins_only': 'Nur Chat-Admins können die Jackpot-Anzeige ändern.',
+        'settings.load_error': 'Die Anzeigeeinstellungen konnten gerade nicht geladen werden.',
+        'settings.save_error': 'Die Einstellung konnte nicht gespeichert werden. Bitte versuche es erneut.',
+        'currency.current': 'Jackpot-Töpfe werden hier in <b>{currency}</b> ({locale}) angezeigt.\nVerwendung: <code>/jackpotcurrency &lt;CODE&gt; [locale]</code>, z. B. <code>/jackpotcurrency EUR de-DE</code>',
+        'currency.invalid': 'Unbekannte Währung oder Locale: {value}.',
+        'currency.saved': '💱 Jackpot-Töpfe werden in diesem Chat jetzt in <b>{currency}</b>{locale_suffix} angezeigt.',
+        'language.current': 'Jackpot-Nachrichten sind hier auf <b>{language}</b>. Verfügbar: {available}\nVerwendung: <code>/jackpotlanguage &lt;code&gt;</code> oder <code>/jackpotlanguage auto</code>',
+        'language.invalid': 'Für "{language}" gibt es keine Jackpot-Nachrichten. Verfügbar: {available}',
+        'language.saved': '🌐 Jackpot-Nachrichten in diesem Chat sind jetzt auf <b>{language}</b>.',
+        'language.auto': '🌐 Jackpot-Nachrichten in diesem Chat folgen jetzt der Telegram-Sprache des jeweiligen Spielers.',
+
+        'history.title': '📜 <b>Deine Jackpot-Runden</b>',
+        'history.none': 'Du hast hier noch keine Jackpot-Runde gespielt.',
+        'history.run': '{status} · 🎯 <b>{score}</b> / {target}\n{rolls} · 💰 {pool}\n<i>{date}</i> · <code>{session_id}</code>',
+        'history.page': '<i>Seite {page}</i>',
+        'history.status.in_progress': '⏳ Läuft',
+        'history.status.completed_bust': '💥 Bust',
+        'history.status.completed_target_reached': '🎉 Ziel erreicht',
+        'history.status.completed_timeout_forfeit': '⌛ Zeit abgelaufen',
+        'history.status.completed_timeout_banked': '⌛ Zeit abgelaufen, gesichert',
+        'history.status.completed_max_rolls': '🧮 Keine Würfe mehr',
+        'history.status.completed_player_stopped': '✋ Gesichert',
+        'history.status.error': '⚠️ Nicht abgeschlossen',
+        'history.not_yours': 'Das sind nicht deine Runden. Sende /myjackpots, um deine zu sehen.',
+        'history.error': 'Der Jackpot-Verlauf konnte gerade nicht geladen werden. Bitte versuche es später erneut.',
+        'board.title.scores': '🏆 <b>Höchste Jackpot-Punktzahlen</b> · {period}',
+        'board.title.hits': '🎯 <b>Erreichte Jackpot-Ziele</b> · {period}',
+        'board.title.streaks': '🔥 <b>Längste Jackpot-Runden</b> · {period}',
+        'board.line.scores': '{rank} {player}: <b>{value}</b>',
+        'board.line.hits': '{rank} {player}: <b>{value}</b> Treffer',
+        'board.line.streaks': '{rank} {player}: <b>{value}</b> Würfe in einer Runde',
+        'board.empty': '<i>In diesem Zeitraum gibt es in diesem Chat noch keine beendeten Jackpot-Runden.</i>',
+        'board.unknown_player': 'Spieler …{hint}',
+        'board.period.day': 'letzte 24 Stunden',
+        'board.period.week': 'letzte 7 Tage',
+        'board.period.all': 'gesamte Zeit',
+        'board.button.scores': '🏆 Punkte',
+        'board.button.hits': '🎯 Treffer',
+        'board.button.streaks': '🔥 Serien',
+        'board.button.day': '24 Std.',
+        'board.button.week': '7 Tage',
+        'board.button.all': 'Gesamt',
+
+        'announce.started': '🎲 <b>{player}</b> hat gerade eine Jackpot-Runde in {chat} gestartet!\n🎯 Ziel: <b>{target}</b> · 💰 Pool: {pool}',
+        'announce.running': '🎲 <b>{player}</b> spielt eine Jackpot-Runde in {chat}\n{rolls}\nPunkte: <b>{score}</b> / {target} · 💰 Pool: {pool}',
+        'announce.tension': '🔥 <b>{player}</b> fehlen in {chat} nur noch <b>{remaining}</b> bis zum Jackpot!\n{rolls}\nPunkte: <b>{score}</b> / {target} · 💰 Pool: {pool}',
+        'announce.ended': '{outcome}: <b>{player}</b> in {chat}\n{rolls}\nEndstand: <b>{score}</b> / {target} · 💰 Pool: {pool}',
+        'announce.celebration': '🎉🏆 <b>JACKPOT!</b> {player} hat in {chat} mit <b>{score}</b> das Ziel erreicht und gewinnt {pool}! 🏆🎉',
+        'announce.anonymous_player': 'Ein Spieler',
+        'announce.unnamed_chat': 'einer Gruppe',
+        'announce.current': '📣 Runden aus diesem Chat ankündigen: <b>{runs}</b> · Namen zeigen: <b>{names}</b>\nVerwendung: <code>/jackpotannounce on|off</code> oder <code>/jackpotannounce names on|off</code>',
+        'announce.saved': '📣 Gespeichert. Runden aus diesem Chat ankündigen: <b>{runs}</b> · Namen zeigen: <b>{names}</b>',
+        'announce.unavailable': 'Für diesen Bot ist kein Jackpot-Ankündigungskanal eingerichtet.',
+        'announce.state_on': 'an',
+        'announce.state_off': 'aus',
+        'announce.privacy_current': '🙈 Meinen Namen in Ankündigungen verbergen: <b>{state}</b>\nVerwendung: <code>/jackpotprivacy on|off</code>',
+        'announce.privacy_saved': '🙈 Meinen Namen in Ankündigungen verbergen: <b>{state}</b>. Gilt ab deinem nächsten Wurf.',
+    },
+});
+
+// Replaces {name} placeholders. Values are escaped unless wrapped in trustedHTML(), or not at all for
+// plain-text targets (button labels, callback answers). Unknown placeholders are left in place so a typo
+// in an override is visible rather than silently blank.
+export function interpolateTemplate(template, params = {}, { plainText = false } = {}) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!Object.prototype.hasOwnProperty.call(params, name) || params[name] === undefined) return placeholder;
+        const value = params[name];
+        if (value !== null && typeof value === 'object' && TRUSTED_HTML in value) return value[TRUSTED_HTML];
+        return plainText ? String(value) : escapeHTML(value);
+    });
+}
+
+// "pt-BR" / "pt_br" -> "pt-br"; anything else falsy -> null.
+function normalizeLanguageTag(tag) {
+    return tag ? String(tag).trim().toLowerCase().replace(/_/g, '-') : null;
+}
+
+// Reads an operator override file: { "<language>": { "<key>": "<template>", ... }, ... }. New languages
+// are allowed; keys the built-in catalogs don't know are reported so typos don't go unnoticed.
+export function loadCatalogOverrides(filePath) {
+    const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error(`${filePath} must contain an object keyed by language.`);
+    }
+    const knownKeys = new Set(Object.keys(BUILT_IN_CATALOGS[DEFAULT_LANGUAGE]));
+    const unknownKeys = [];
+    for (const [language, templates] of Object.entries(overrides)) {
+        if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+            throw new Error(`Overrides for "${language}" in ${filePath} must be an object of templates.`);
+        }
+        for (const [key, template] of Object.entries(templates)) {
+            if (typeof template !== 'string') throw new Error(`Template ${language}/${key} in ${filePath} must be a string.`);
+            if (!knownKeys.has(key)) unknownKeys.push(`${language}/${key}`);
+        }
+    }
+    return { overrides, unknownKeys };
+}
+
+// Builds the catalog set the helper renders from: built-ins, then operator overrides on top.
+//   defaultLanguage: used when none of the candidates passed to resolveLanguage has a catalog.
+//   globals: placeholder values available to every template (e.g. { main_bot }); may be a function so
+//            values that change after startup (the bot's username) stay current.
+export function createMessageCatalog({ overrides = {}, defaultLanguage = DEFAULT_LANGUAGE, globals = {} } = {}) {
+    const catalogs = {};
+    for (const [language, templates] of Object.entries(BUILT_IN_CATALOGS)) {
+        catalogs[language] = { ...templates };
+    }
+    for (const [language, templates] of Object.entries(overrides)) {
+        const normalizedLanguage = normalizeLanguageTag(language);
+        catalogs[normalizedLanguage] = { ...(catalogs[normalizedLanguage] || {}), ...templates };
+    }
+    const fallbackLanguage = normalizeLanguageTag(defaultLanguage);
+    if (!catalogs[fallbackLanguage]) {
+        throw new Error(`Default language "${defaultLanguage}" has no catalog. Available: ${Object.keys(catalogs).join(', ')}.`);
+    }
+
+    // Exact tag first ("pt-br"), then its base language ("pt").
+    function findCatalogLanguage(tag) {
+        const normalizedTag = normalizeLanguageTag(tag);
+        if (!normalizedTag) return null;
+        if (catalogs[normalizedTag]) return normalizedTag;
+        const baseLanguage = normalizedTag.split('-')[0];
+        return catalogs[baseLanguage] ? baseLanguage : null;
+    }
+
+    // Picks the first candidate (e.g. session language, chat language, the player's language_code) with a catalog.
+    function resolveLanguage(...candidates) {
+        for (const candidate of candidates) {
+            const language = findCatalogLanguage(candidate);
+            if (language) return language;
+        }
+        return fallbackLanguage;
+    }
+
+    function findTemplate(language, key) {
+        const chain = [findCatalogLanguage(language), findCatalogLanguage(String(language || '').split(/[-_]/)[0]), fallbackLanguage, DEFAULT_LANGUAGE];
+        let template = null;
+        for (const candidate of chain) {
+            if (candidate && catalogs[candidate] && typeof catalogs[candidate][key] === 'string') {
+                template = catalogs[candidate][key];
+                break;
+            }
+        }
+        return template === null ? key : template; // Missing everywhere: show the key instead of nothing
+    }
+
+    function interpolateWithGlobals(template, params, options) {
+        const globalParams = typeof globals === 'function' ? globals() : globals;
+        return interpolateTemplate(template, { ...globalParams, ...params }, options);
+    }
+
+    // Telegram HTML (parse_mode: 'HTML').
+    function render(language, key, params = {}) {
+        return interpolateWithGlobals(findTemplate(language, key), params);
+    }
+
+    // Plain text, for places Telegram doesn't parse HTML in (inline button labels, callback query answers).
+    function renderText(language, key, params = {}) {
+        return interpolateWithGlobals(findTemplate(language, key), params, { plainText: true });
+    }
+
+    return {
+        languages: Object.keys(catalogs),
+        defaultLanguage: fallbackLanguage,
+        hasLanguage: (tag) => findCatalogLanguage(tag) !== null,
+        resolveLanguage,
+        render,
+        renderText
+    };
+}
@@ -0,0 +1,167 @@
+// jackpot_metrics.js - Prometheus metrics and the health/readiness HTTP endpoint for the HelperDEJackpot bot
+//
+// The helper owns one registry (process defaults plus the dej_* metrics below) and serves it from a small
+// built-in HTTP server alongside /healthz (the process is alive) and /readyz (it can do useful work).
+
+import http from 'http';
+import client from 'prom-client';
+
+// getActiveSessionCount() and getTelegramQueueDepth() are read at scrape time for their gauges.
+export function createHelperMetrics({ getActiveSessionCount, getTelegramQueueDepth = () => 0 }) {
+    const registry = new client.Registry();
+    client.collectDefaultMetrics({ register: registry, prefix: 'dej_helper_' });
+
+    return {
+        registry,
+        sessionsClaimed: new client.Counter({
+            name: 'dej_sessions_claimed_total',
+            help: 'Jackpot sessions claimed by this instance, by how they were claimed (claim, resume, recovery, admin).',
+            labelNames: ['via'],
+            registers: [registry]
+        }),
+        sessionsFinalized: new client.Counter({
+            name: 'dej_sessions_finalized_total',
+            help: 'Jackpot sessions finalized by this instance, by final status.',
+            labelNames: ['status'],
+            registers: [registry]
+        }),
+        activeSessions: new client.Gauge({
+            name: 'dej_active_sessions',
+            help: 'Jackpot sessions currently held by this instance.',
+            registers: [registry],
+            collect() { this.set(getActiveSessionCount()); }
+        }),
+        rolls: new client.Counter({
+            name: 'dej_rolls_total',
+            help: 'Jackpot-run rolls processed, by roll mode (telegram dice or provably fair).',
+            labelNames: ['mode'],
+            registers: [registry]
+        }),
+        priceFetchAttempts: new client.Counter({
+            name: 'dej_price_fetch_attempts_total',
+            help: 'HTTP requests made to price sources, by source and pair.',
+            labelNames: ['source', 'pair'],
+            registers: [registry]
+        }),
+        priceFetchFailures: new client.Counter({
+            name: 'dej_price_fetch_failures_total',
+            help: 'Failed HTTP requests to price sources, by source and pair.',
+            labelNames: ['source', 'pair'],
+            registers: [registry]
+        }),
+        priceFetchDuration: new client.Histogram({
+            name: 'dej_price_fetch_duration_seconds',
+            help: 'Latency of HTTP requests to price sources.',
+            labelNames: ['source'],
+            buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+            registers: [registry]
+        }),
+        priceCacheLookups: new client.Counter({
+            name: 'dej_price_cache_lookups_total',
+            help: 'Price cache lookups by result: hit (fresh), stale (served after a failed refresh) or miss (fetched).',
+            labelNames: ['result'],
+            registers: [registry]
+        }),
+        diceRejected: new client.Counter({
+            name: 'dej_dice_rejected_total',
+            help: 'Dice messages not counted as jackpot rolls, by reason (forwarded, wrong_emoji, rate_limited, ...).',
+            labelNames: ['reason'],
+            registers: [registry]
+        }),
+        turnReminders: new client.Counter({
+            name: 'dej_turn_reminders_total',
+            help: 'Turn reminders sent to players, by the timeout policy they warned about.',
+            labelNames: ['policy'],
+            registers: [registry]
+        }),
+        turnTimeouts: new client.Counter({
+            name: 'dej_turn_timeouts_total',
+            help: 'Turns that ran out, by the timeout policy applied (forfeit, auto_roll, bank).',
+            labelNames: ['policy'],
+            registers: [registry]
+        }),
+        announcements: new client.Counter({
+            name: 'dej_announcements_total',
+            help: 'Posts and edits made in the announcement channel, by Telegram method.',
+            labelNames: ['method'],
+            registers: [registry]
+        }),
+        telegramSendErrors: new client.Counter({
+            name: 'dej_telegram_send_errors_total',
+            help: 'Failed Telegram API calls that send or edit messages, by method and error code.',
+            labelNames: ['method', 'code'],
+            registers: [registry]
+        }),
+        telegramRetries: new client.Counter({
+            name: 'dej_telegram_retries_total',
+            help: 'Telegram calls retried by the outbound queue, by method and failure kind (rate_limited, transient).',
+            labelNames: ['method', 'kind'],
+            registers: [registry]
+        }),
+        telegramQueueDepth: new client.Gauge({
+            name: 'dej_telegram_queue_depth',
+            help: 'Telegram calls waiting in (or being sent by) the outbound queue.',
+            registers: [registry],
+            collect() { this.set(getTelegramQueueDepth()); }
+        }),
+        resultWebhookDeliveries: new client.Counter({
+            name: 'dej_result_webhook_deliveries_total',
+            help: 'Attempts to POST a final result to the main bot, by result (delivered, failed; failed ones are retried).',
+            labelNames: ['result'],
+            registers: [registry]
+        }),
+        claimCycleDuration: new client.Histogram({
+            name: 'dej_claim_cycle_duration_seconds',
+            help: 'Duration of one pending-session claim cycle.',
+            buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+            registers: [registry]
+        }),
+    };
+}
+
+// Error code label for a node-telegram-bot-api error: the Bot API error_code (400, 403, 429, ...) or the
+// library's own code (EFATAL, EPARSE) for network and parse failures.
+export function telegramErrorCode(error) {
+    if (error && error.response && error.response.body && error.response.body.error_code) {
+        return String(error.response.body.error_code);
+    }
+    return (error && error.code) || 'unknown';
+}
+
+// Starts the HTTP server. checkReadiness() resolves to { ready, checks } where checks maps a check name to
+// true or a short failure reason.
+export function startHealthServer({ port, host, registry, checkReadiness }) {
+    const server = http.createServer(async (req, res) => {
+        const path = (req.url || '').split('?')[0];
+        try {
+            if (req.method !== 'GET') {
+                res.writeHead(405, { 'Content-Type': 'text/plain' });
+                res.end('Method Not Allowed\n');
+            } else if (path === '/healthz') {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end('ok\n');
+            } else if (path === '/readyz') {
+                const { ready, checks } = await checkReadiness();
+                res.writeHead(ready ? 200 : 503, { 'Content-Type': 'application/json' });
+                res.end(`${JSON.stringify({ ready, checks })}\n`);
+            } else if (path === '/metrics') {
+                const body = await registry.metrics();
+                res.writeHead(200, { 'Content-Type': registry.contentType });
+                res.end(body);
+            } else {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not Found\n');
+            }
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end(`Internal Error: ${error.message}\n`);
+        }
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve(server);
+        });
+    });
+}
@@ -0,0 +1,73 @@
+// jackpot_money.js - Exact amount conversion and formatting for jackpot pools
+//
+// Pool amounts are integers in the asset's smallest unit (lamports for SOL, base units for SPL tokens)
+// and can exceed Number.MAX_SAFE_INTEGER, so every conversion here stays in BigInt. Prices arrive as JS
+// numbers from the price APIs and are scaled to a fixed number of decimals before being multiplied in.
+
+export const NATIVE_SOL_ASSET = Object.freeze({ mint: null, symbol: 'SOL', decimals: 9 });
+
+const PRICE_SCALE_DECIMALS = 12;
+
+function pow10(exponent) {
+    return 10n ** BigInt(exponent);
+}
+
+// Division rounding half away from zero (amounts and prices here are never negative).
+function divideRounded(numerator, denominator) {
+    return (numerator + denominator / 2n) / denominator;
+}
+
+// "150.1234" or 150.1234 -> 150123400000000n at scale 12. Throws on anything that isn't a plain decimal.
+export function parseDecimalToScaledBigInt(value, scaleDecimals = PRICE_SCALE_DECIMALS) {
+    const decimalString = typeof value === 'number' ? value.toFixed(scaleDecimals) : String(value).trim();
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(decimalString);
+    if (!match) {
+        throw new Error(`Not a non-negative decimal: ${value}`);
+    }
+    const fractionDigits = (match[2] || '').slice(0, scaleDecimals).padEnd(scaleDecimals, '0');
+    return BigInt(match[1]) * pow10(scaleDecimals) + BigInt(fractionDigits || '0');
+}
+
+// Turns an integer amount with `decimals` implied decimals into a plain decimal string, e.g. (1500000000n, 9) -> "1.500000000".
+export function scaledBigIntToDecimalString(amount, decimals) {
+    const isNegative = amount < 0n;
+    const absolute = isNegative ? -amount : amount;
+    if (decimals === 0) return `${isNegative ? '-' : ''}${absolute}`;
+    const digits = absolute.toString().padStart(decimals + 1, '0');
+    return `${isNegative ? '-' : ''}${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+}
+
+export function fiatFractionDigits(currency, locale = 'en-US') {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+}
+
+// Converts an atomic asset amount to fiat minor units (cents, centavos, ...) at the given price per whole token.
+export function convertAtomicAmountToFiatMinorUnits(atomicAmount, assetDecimals, pricePerToken, fiatDecimals) {
+    const amount = BigInt(atomicAmount);
+    const scaledPrice = parseDecimalToScaledBigInt(pricePerToken);
+    const numerator = amount * scaledPrice * pow10(fiatDecimals);
+    return divideRounded(numerator, pow10(assetDecimals + PRICE_SCALE_DECIMALS));
+}
+
+// Formats an atomic asset amount as fiat, e.g. "R$ 1.234,56" or "€1,234.56" depending on locale.
+export function formatAtomicAmountAsFiat(atomicAmount, assetDecimals, pricePerToken, currency, locale = 'en-US') {
+    const fiatDecimals = fiatFractionDigits(currency, locale);
+    const minorUnits = convertAtomicAmountToFiatMinorUnits(atomicAmount, assetDecimals, pricePerToken, fiatDecimals);
+    const formatter = new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: fiatDecimals,
+        maximumFractionDigits: fiatDecimals
+    });
+    // Intl.NumberFormat formats decimal strings exactly, so the BigInt result never passes through a double.
+    return formatter.format(scaledBigIntToDecimalString(minorUnits, fiatDecimals));
+}
+
+// Formats an atomic asset amount in the token itself, e.g. "1,234.57 SOL", rounded to displayDecimals.
+export function formatAtomicAmountAsToken(atomicAmount, assetDecimals, symbol, locale = 'en-US', displayDecimals = 2) {
+    const amount = BigInt(atomicAmount);
+    const shownDecimals = Math.min(displayDecimals, assetDecimals);
+    const rounded = divideRounded(amount, pow10(assetDecimals - shownDecimals));
+    const formatter = new Intl.NumberFormat(locale, { minimumFractionDigits: shownDecimals, maximumFractionDigits: shownDecimals });
+    return `${formatter.format(scaledBigIntToDecimalString(rounded, shownDecimals))} ${symbol}`;
+}
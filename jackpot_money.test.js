@@ -0,0 +1,89 @@
+// jackpot_money.test.js - Table-driven checks for pool amount conversion and formatting (run with `npm test`)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseDecimalToScaledBigInt,
+    scaledBigIntToDecimalString,
+    fiatFractionDigits,
+    convertAtomicAmountToFiatMinorUnits,
+    formatAtomicAmountAsFiat,
+    formatAtomicAmountAsToken,
+} from './jackpot_money.js';
+
+const NBSP = '\u00a0'; // Intl puts a no-break space between amount and symbol in these locales
+const ABOVE_SAFE_INTEGER = 2n ** 53n + 1n; // 9007199254740993 lamports, not representable as a double
+
+test('parseDecimalToScaledBigInt and scaledBigIntToDecimalString', () => {
+    const parseCases = [
+        { value: '150.1234', scale: 12, expected: 150123400000000n },
+        { value: 150.1234, scale: 12, expected: 150123400000000n },
+        { value: '7', scale: 2, expected: 700n },
+        { value: '0.129', scale: 2, expected: 12n }, // Digits beyond the scale are cut, not rounded
+    ];
+    for (const { value, scale, expected } of parseCases) {
+        assert.equal(parseDecimalToScaledBigInt(value, scale), expected, String(value));
+    }
+    for (const value of ['-1', '1e5', 'abc', '', '1.2.3']) {
+        assert.throws(() => parseDecimalToScaledBigInt(value), /Not a non-negative decimal/, JSON.stringify(value));
+    }
+
+    const formatCases = [
+        { amount: 1500000000n, decimals: 9, expected: '1.500000000' },
+        { amount: 5n, decimals: 2, expected: '0.05' },
+        { amount: -5n, decimals: 2, expected: '-0.05' },
+        { amount: 12n, decimals: 0, expected: '12' },
+        { amount: ABOVE_SAFE_INTEGER, decimals: 9, expected: '9007199.254740993' },
+    ];
+    for (const { amount, decimals, expected } of formatCases) {
+        assert.equal(scaledBigIntToDecimalString(amount, decimals), expected, `${amount} / 10^${decimals}`);
+    }
+});
+
+test('convertAtomicAmountToFiatMinorUnits stays exact and rounds half up', () => {
+    const cases = [
+        { name: 'pool above 2^53', amount: ABOVE_SAFE_INTEGER, decimals: 9, price: '150', fiatDecimals: 2, expected: 135107988821n },
+        { name: 'pool above 2^64', amount: 2n ** 64n, decimals: 9, price: '0.5', fiatDecimals: 2, expected: 922337203685n },
+        { name: 'amount as a string', amount: '9007199254740993', decimals: 9, price: '150', fiatDecimals: 2, expected: 135107988821n },
+        { name: 'exactly .5 rounds up', amount: 1005000n, decimals: 6, price: 1, fiatDecimals: 2, expected: 101n },
+        { name: 'just below .5 rounds down', amount: 1004999n, decimals: 6, price: 1, fiatDecimals: 2, expected: 100n },
+        { name: 'zero-decimal fiat at .5', amount: 1500000000n, decimals: 9, price: 151, fiatDecimals: 0, expected: 227n },
+        { name: 'zero-decimal asset', amount: 12345n, decimals: 0, price: 0.00002, fiatDecimals: 2, expected: 25n },
+        { name: 'empty pool', amount: 0n, decimals: 9, price: 150, fiatDecimals: 2, expected: 0n },
+    ];
+    for (const { name, amount, decimals, price, fiatDecimals, expected } of cases) {
+        assert.equal(convertAtomicAmountToFiatMinorUnits(amount, decimals, price, fiatDecimals), expected, name);
+    }
+});
+
+test('formatAtomicAmountAsFiat', () => {
+    const cases = [
+        { name: 'pool above 2^53', amount: ABOVE_SAFE_INTEGER, decimals: 9, price: 150, currency: 'USD', locale: 'en-US', expected: '$1,351,079,888.21' },
+        { name: 'JPY has no minor units', amount: 1500000000n, decimals: 9, price: 151, currency: 'JPY', locale: 'en-US', expected: '¥227' },
+        { name: 'JPY in ja-JP', amount: 1500000000n, decimals: 9, price: 151, currency: 'JPY', locale: 'ja-JP', expected: '￥227' },
+        { name: 'SPL with 0 decimals', amount: 12345n, decimals: 0, price: 0.00002, currency: 'USD', locale: 'en-US', expected: '$0.25' },
+        { name: 'SPL with 6 decimals at .5', amount: 1005000n, decimals: 6, price: 1, currency: 'USD', locale: 'en-US', expected: '$1.01' },
+        { name: 'pt-BR', amount: 123456000000n, decimals: 9, price: 10, currency: 'BRL', locale: 'pt-BR', expected: `R$${NBSP}1.234,56` },
+        { name: 'de-DE', amount: 123456000000n, decimals: 9, price: 10, currency: 'EUR', locale: 'de-DE', expected: `1.234,56${NBSP}€` },
+    ];
+    for (const { name, amount, decimals, price, currency, locale, expected } of cases) {
+        assert.equal(formatAtomicAmountAsFiat(amount, decimals, price, currency, locale), expected, name);
+    }
+    assert.equal(fiatFractionDigits('JPY', 'ja-JP'), 0);
+    assert.equal(fiatFractionDigits('BRL', 'pt-BR'), 2);
+});
+
+test('formatAtomicAmountAsToken', () => {
+    const cases = [
+        { name: 'pool above 2^53', amount: ABOVE_SAFE_INTEGER, decimals: 9, symbol: 'SOL', locale: 'en-US', expected: '9,007,199.25 SOL' },
+        { name: 'SPL with 0 decimals shows none', amount: 12345n, decimals: 0, symbol: 'BONK', locale: 'en-US', expected: '12,345 BONK' },
+        { name: 'SPL with 6 decimals at .5', amount: 1235000n, decimals: 6, symbol: 'USDC', locale: 'en-US', expected: '1.24 USDC' },
+        { name: 'SPL with 6 decimals below .5', amount: 1234999n, decimals: 6, symbol: 'USDC', locale: 'en-US', expected: '1.23 USDC' },
+        { name: 'pt-BR', amount: 123456780000000n, decimals: 9, symbol: 'SOL', locale: 'pt-BR', expected: '123.456,78 SOL' },
+        { name: 'de-DE', amount: 123456780000000n, decimals: 9, symbol: 'SOL', locale: 'de-DE', expected: '123.456,78 SOL' },
+        { name: 'more display decimals than the asset has', amount: 12n, decimals: 1, symbol: 'X', locale: 'en-US', displayDecimals: 4, expected: '1.2 X' },
+    ];
+    for (const { name, amount, decimals, symbol, locale, displayDecimals, expected } of cases) {
+        assert.equal(formatAtomicAmountAsToken(amount, decimals, symbol, locale, displayDecimals), expected, name);
+    }
+});
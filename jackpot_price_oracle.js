@@ -0,0 +1,335 @@
+// jackpot_price_oracle.js - Multi-source price oracle for the HelperDEJackpot bot
+//
+// Each price source is an adapter that knows one API's URLs and response shape. The oracle prices a pair
+// (a pool asset against a fiat currency, SOL/USD by default) by asking the configured sources that
+// support it and either taking the first healthy quote (aggregation "first", sources tried in order) or
+// the median of all healthy quotes with outliers removed (aggregation "median").
+// Every quote records its source, when it was fetched and, where the API says so, when it was published,
+// so stale quotes can be rejected. URLs are configurable per source, which is also how the oracle is
+// pointed at local mock HTTP servers.
+
+import axios from 'axios';
+import { createLoggerFromEnv } from './jackpot_logger.js';
+
+// A pair is { symbol, mint, fiat }; mint is null for native SOL.
+export const SOL_USD_PAIR = Object.freeze({ symbol: 'SOL', mint: null, fiat: 'USD' });
+
+export function pairKey(pair) {
+    return `${pair.mint || pair.symbol}/${pair.fiat}`.toUpperCase();
+}
+
+function isSolUsdPair(pair) {
+    return !pair.mint && pair.symbol === 'SOL' && pair.fiat === 'USD';
+}
+
+// Fills {symbol}, {fiat}, {fiat_lower}, {mint} and {feed_id} in a URL template.
+export function expandUrlTemplate(template, pair, extra = {}) {
+    const values = { symbol: pair.symbol, fiat: pair.fiat, fiat_lower: pair.fiat.toLowerCase(), mint: pair.mint || '', ...extra };
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (values[name] !== undefined ? encodeURIComponent(values[name]) : placeholder));
+}
+
+const PYTH_DEFAULT_FEED_IDS = Object.freeze({
+    'SOL/USD': '0xef0d8b6fda2ceba41da15d4095d1da392a0d2f8ed0c6c7bc0f4cfac8c280b56d',
+});
+
+// --- Source Adapters ---
+// supports(pair, source) says whether the source can price a pair at all; defaultUrl is a template for
+// expandUrlTemplate; parse(responseData, pair) returns { price, publishedAt } (publishedAt in ms, or null
+// when the API doesn't say).
+export const PRICE_SOURCE_ADAPTERS = Object.freeze({
+    coingecko: {
+        supports: () => true,
+        defaultUrl: (pair) => (pair.mint
+            ? 'https://api.coingecko.com/api/v3/simple/token_price/solana?contract_addresses={mint}&vs_currencies={fiat_lower}&include_last_updated_at=true'
+            : 'https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies={fiat_lower}&include_last_updated_at=true'),
+        parse(data, pair) {
+            const fiatKey = pair.fiat.toLowerCase();
+            const assetKey = pair.mint ? Object.keys(data || {}).find(key => key.toLowerCase() === pair.mint.toLowerCase()) : 'solana';
+            const entry = data && assetKey ? data[assetKey] : null;
+            if (!entry || typeof entry[fiatKey] !== 'number') {
+                throw new Error(`${pair.symbol}/${pair.fiat} price not found or invalid structure in CoinGecko response.`);
+            }
+            return { price: entry[fiatKey], publishedAt: typeof entry.last_updated_at === 'number' ? entry.last_updated_at * 1000 : null };
+        }
+    },
+    binance: {
+        supports: (pair) => Boolean(pair.symbol),
+        // Binance has no USD book for most assets; USDT stands in for USD.
+        defaultUrl: (pair) => `https://api.binance.com/api/v3/ticker/price?symbol={symbol}${pair.fiat === 'USD' ? 'USDT' : '{fiat}'}`,
+        parse(data) {
+            if (!data || data.price === undefined) throw new Error('Price not found in Binance ticker response.');
+            return { price: parseFloat(data.price), publishedAt: null };
+        }
+    },
+    kraken: {
+        supports: (pair) => Boolean(pair.symbol),
+        defaultUrl: () => 'https://api.kraken.com/0/public/Ticker?pair={symbol}{fiat}',
+        parse(data) {
+            if (!data || (Array.isArray(data.error) && data.error.length > 0)) {
+                throw new Error(`Kraken API error: ${data && data.error ? data.error.join(', ') : 'empty response'}`);
+            }
+            const pairData = data.result && Object.values(data.result)[0];
+            if (!pairData || !Array.isArray(pairData.c)) throw new Error('Last trade price not found in Kraken ticker response.');
+            return { price: parseFloat(pairData.c[0]), publishedAt: null };
+        }
+    },
+    pyth: {
+        // Pyth Hermes feeds are addressed by feed id, so only pairs with a known feed are supported.
+        supports: (pair, source) => Boolean(source.feedIds[`${pair.symbol}/${pair.fiat}`]),
+        defaultUrl: () => 'https://hermes.pyth.network/v2/updates/price/latest?ids[]={feed_id}',
+        parse(data) {
+            const priceData = data && Array.isArray(data.parsed) && data.parsed[0] && data.parsed[0].price;
+            if (!priceData || priceData.price === undefined || priceData.expo === undefined) {
+                throw new Error('Price not found in Pyth-style response.');
+            }
+            return {
+                price: Number(priceData.price) * Math.pow(10, Number(priceData.expo)), // Prices are integers scaled by 10^expo
+                publishedAt: typeof priceData.publish_time === 'number' ? priceData.publish_time * 1000 : null
+            };
+        }
+    },
+});
+
+// "SOL/EUR=140.5,BONK/USD=0.00002" -> { 'SOL/EUR': '140.5', 'BONK/USD': '0.00002' }
+function parsePairList(listValue) {
+    const entries = {};
+    for (const entry of (listValue || '').split(',')) {
+        const [pairName, value] = entry.split('=').map(part => (part || '').trim());
+        if (pairName && value) entries[pairName.toUpperCase()] = value;
+    }
+    return entries;
+}
+
+// Builds the ordered source list from the environment:
+//   HELPER_DEJ_PRICE_SOURCES=coingecko,binance,kraken,pyth,static
+//   HELPER_DEJ_PRICE_URL_<SOURCE>=... overrides a source's URL template (see expandUrlTemplate). CoinGecko
+//   also honours the older SOL_PRICE_API_URL_HELPER / SOL_PRICE_API_URL for SOL/USD.
+//   HELPER_DEJ_PYTH_FEED_IDS=BONK/USD=0x...,... adds Pyth feeds next to the built-in SOL/USD one.
+//   HELPER_DEJ_STATIC_PRICES=SOL/USD=150,SOL/EUR=140 (or the older HELPER_DEJ_STATIC_SOL_USD_PRICE) are
+//   the prices the "static" source reports.
+export function buildPriceSourcesFromEnv(env = process.env) {
+    const sourceNames = (env.HELPER_DEJ_PRICE_SOURCES || 'coingecko,binance,kraken')
+        .split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+    return sourceNames.map(name => {
+        if (name === 'static') {
+            const staticPrices = {};
+            if (env.HELPER_DEJ_STATIC_SOL_USD_PRICE) staticPrices['SOL/USD'] = env.HELPER_DEJ_STATIC_SOL_USD_PRICE;
+            Object.assign(staticPrices, parsePairList(env.HELPER_DEJ_STATIC_PRICES));
+            for (const [pairName, priceValue] of Object.entries(staticPrices)) {
+                const price = parseFloat(priceValue);
+                if (isNaN(price) || price <= 0) throw new Error(`Static price for ${pairName} must be positive (got "${priceValue}").`);
+                staticPrices[pairName] = price;
+            }
+            if (Object.keys(staticPrices).length === 0) {
+                throw new Error('Price source "static" needs HELPER_DEJ_STATIC_PRICES or HELPER_DEJ_STATIC_SOL_USD_PRICE.');
+            }
+            return { name, staticPrices };
+        }
+        const adapter = PRICE_SOURCE_ADAPTERS[name];
+        if (!adapter) {
+            throw new Error(`Unknown price source "${name}". Known sources: ${Object.keys(PRICE_SOURCE_ADAPTERS).join(', ')}, static.`);
+        }
+        return {
+            name,
+            adapter,
+            urlTemplate: env[`HELPER_DEJ_PRICE_URL_${name.toUpperCase()}`] || null,
+            legacySolUsdUrl: name === 'coingecko' ? (env.SOL_PRICE_API_URL_HELPER || env.SOL_PRICE_API_URL || null) : null,
+            feedIds: name === 'pyth' ? { ...PYTH_DEFAULT_FEED_IDS, ...parsePairList(env.HELPER_DEJ_PYTH_FEED_IDS) } : {}
+        };
+    });
+}
+
+function sourceSupportsPair(source, pair) {
+    if (source.staticPrices) return source.staticPrices[`${pair.symbol}/${pair.fiat}`.toUpperCase()] !== undefined;
+    return source.adapter.supports(pair, source);
+}
+
+function buildSourceUrl(source, pair) {
+    if (!source.urlTemplate && source.legacySolUsdUrl && isSolUsdPair(pair)) return source.legacySolUsdUrl;
+    const template = source.urlTemplate || source.adapter.defaultUrl(pair);
+    return expandUrlTemplate(template, pair, { feed_id: source.feedIds ? source.feedIds[`${pair.symbol}/${pair.fiat}`] : undefined });
+}
+
+export function medianOf(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Drops quotes deviating more than maxDeviationPct from the median of all quotes.
+export function rejectOutlierQuotes(quotes, maxDeviationPct) {
+    if (quotes.length < 3 || !(maxDeviationPct > 0)) return { accepted: quotes, rejected: [] };
+    const referencePrice = medianOf(quotes.map(quote => quote.price));
+    const accepted = [];
+    const rejected = [];
+    for (const quote of quotes) {
+        const deviationPct = Math.abs(quote.price - referencePrice) / referencePrice * 100;
+        (deviationPct <= maxDeviationPct ? accepted : rejected).push(quote);
+    }
+    return { accepted, rejected };
+}
+
+// --- Oracle ---
+// onFetchAttempt({ source, pair, succeeded, durationMs }) is called after every HTTP request to a source,
+// retries included (e.g. for metrics). logger is a jackpot_logger.js logger.
+export function createPriceOracle({
+    sources,
+    aggregation = 'median',
+    maxDeviationPct = 5,
+    maxQuoteAgeMs = 5 * 60 * 1000,
+    minSources = 1,
+    retries = 3,
+    initialDelayMs = 2000,
+    maxDelayMs = 30000,
+    requestTimeoutMs = 10000,
+    httpGet = axios.get,
+    now = Date.now,
+    onFetchAttempt = () => {},
+    logger = createLoggerFromEnv(process.env).child({ component: 'PriceFeed' })
+}) {
+    if (!Array.isArray(sources) || sources.length === 0) {
+        throw new Error('At least one price source must be configured.');
+    }
+    if (!['median', 'first'].includes(aggregation)) {
+        throw new Error(`Unknown price aggregation "${aggregation}". Use "median" or "first".`);
+    }
+
+    function reportFetchAttempt(source, pair, succeeded, durationMs) {
+        try {
+            onFetchAttempt({ source: source.name, pair: `${pair.symbol}/${pair.fiat}`, succeeded, durationMs });
+        } catch (hookError) {
+            logger.warn('price.hook_failed', `onFetchAttempt hook failed: ${hookError.message}`, { err: hookError });
+        }
+    }
+
+    // Retries one source on 429, network errors and 5xx with exponential backoff (honouring Retry-After).
+    async function fetchSourceJson(source, pair) {
+        const sourceLog = logger.child({ price_source: source.name, pair: `${pair.symbol}/${pair.fiat}` });
+        const sourcePrefix = `[${source.name} ${pair.symbol}/${pair.fiat}]`;
+        const url = buildSourceUrl(source, pair);
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= retries + 1; attempt++) { // +1 because first attempt is not a "retry"
+            try {
+                if (attempt > 1) {
+                    sourceLog.info('price.fetch_retry', `${sourcePrefix} Attempt ${attempt}/${retries + 1} to fetch price...`, { attempt });
+                }
+                const requestStartedAt = now();
+                let response;
+                try {
+                    response = await httpGet(url, { timeout: requestTimeoutMs });
+                } finally {
+                    reportFetchAttempt(source, pair, response !== undefined, now() - requestStartedAt);
+                }
+                return response.data;
+            } catch (error) {
+                lastError = error;
+                const errMsg = error.isAxiosError ? error.message : String(error);
+                const statusCode = error.response ? error.response.status : null;
+                sourceLog.warn('price.fetch_failed', `${sourcePrefix} Attempt ${attempt}/${retries + 1} failed: ${errMsg} (Status: ${statusCode || 'N/A'})`, { attempt, status_code: statusCode });
+
+                if (attempt > retries) break;
+                const isRetryableError = statusCode === 429 || // Too Many Requests
+                                         statusCode === null ||   // Network error (no response)
+                                         (statusCode >= 500 && statusCode <= 599); // Server-side errors
+                if (!isRetryableError) {
+                    sourceLog.error('price.fetch_not_retryable', `${sourcePrefix} Non-retryable error encountered.`, { status_code: statusCode });
+                    break;
+                }
+
+                let delayMs = initialDelayMs * Math.pow(2, attempt - 1); // Exponential backoff
+                if (statusCode === 429 && error.response.headers && error.response.headers['retry-after']) {
+                    const retryAfterSeconds = parseInt(error.response.headers['retry-after'], 10);
+                    if (!isNaN(retryAfterSeconds)) {
+                        sourceLog.info('price.retry_after', `${sourcePrefix} API suggested Retry-After: ${retryAfterSeconds} seconds.`, { retry_after_s: retryAfterSeconds });
+                        delayMs = (retryAfterSeconds * 1000) + 1000; // Add a small buffer
+                    }
+                }
+                delayMs = Math.min(delayMs, maxDelayMs); // Cap the delay
+                sourceLog.info('price.fetch_backoff', `${sourcePrefix} Retrying in ${Math.round(delayMs / 1000)}s...`, { delay_ms: delayMs });
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        }
+        const finalErrMsg = lastError ? (lastError.isAxiosError ? lastError.message : String(lastError)) : 'Unknown error after all attempts';
+        throw new Error(`${source.name} failed after ${retries + 1} attempts: ${finalErrMsg}`);
+    }
+
+    // Resolves to a healthy quote { source, price, fetchedAt, publishedAt, ageMs } or throws.
+    async function fetchQuoteFromSource(source, pair) {
+        const startedAt = now();
+        if (source.staticPrices) {
+            const staticPrice = source.staticPrices[`${pair.symbol}/${pair.fiat}`.toUpperCase()];
+            return { source: source.name, price: staticPrice, fetchedAt: startedAt, publishedAt: null, ageMs: 0, latencyMs: 0 };
+        }
+        const data = await fetchSourceJson(source, pair);
+        const fetchedAt = now();
+        const { price, publishedAt } = source.adapter.parse(data, pair);
+        if (typeof price !== 'number' || isNaN(price) || price <= 0) {
+            throw new Error(`${source.name} returned an invalid or non-positive price.`);
+        }
+        const ageMs = publishedAt ? Math.max(0, fetchedAt - publishedAt) : 0;
+        if (maxQuoteAgeMs > 0 && ageMs > maxQuoteAgeMs) {
+            throw new Error(`${source.name} quote is stale (${Math.round(ageMs / 1000)}s old, limit ${Math.round(maxQuoteAgeMs / 1000)}s).`);
+        }
+        return { source: source.name, price, fetchedAt, publishedAt, ageMs, latencyMs: fetchedAt - startedAt };
+    }
+
+    async function fetchFirstHealthyQuote(pair, pairSources) {
+        const failures = [];
+        for (const source of pairSources) {
+            try {
+                const quote = await fetchQuoteFromSource(source, pair);
+                return { ...quote, quotes: [quote], aggregation: 'first' };
+            } catch (error) {
+                logger.warn('price.source_unavailable', `Source ${source.name} unavailable: ${error.message}`, { price_source: source.name, pair: pairKey(pair) });
+                failures.push(error.message);
+            }
+        }
+        throw new Error(`No healthy ${pair.symbol}/${pair.fiat} quote from any source (${failures.join('; ')})`);
+    }
+
+    async function fetchMedianQuote(pair, pairSources) {
+        const settled = await Promise.allSettled(pairSources.map(source => fetchQuoteFromSource(source, pair)));
+        const healthyQuotes = [];
+        const failures = [];
+        settled.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                healthyQuotes.push(result.value);
+            } else {
+                logger.warn('price.source_unavailable', `Source ${pairSources[index].name} unavailable: ${result.reason.message}`, { price_source: pairSources[index].name, pair: pairKey(pair) });
+                failures.push(result.reason.message);
+            }
+        });
+
+        const { accepted, rejected } = rejectOutlierQuotes(healthyQuotes, maxDeviationPct);
+        for (const outlier of rejected) {
+            logger.warn('price.outlier_rejected', `Rejected outlier quote from ${outlier.source}: ${outlier.price} ${pair.fiat}`, { price_source: outlier.source, pair: pairKey(pair), price: outlier.price });
+        }
+        if (accepted.length === 0 || accepted.length < minSources) {
+            throw new Error(`Only ${accepted.length} healthy ${pair.symbol}/${pair.fiat} quote(s), need ${Math.max(1, minSources)} (${failures.join('; ') || 'outliers rejected'})`);
+        }
+
+        return {
+            source: accepted.map(quote => quote.source).join('+'),
+            price: medianOf(accepted.map(quote => quote.price)),
+            fetchedAt: Math.min(...accepted.map(quote => quote.fetchedAt)),
+            publishedAt: null,
+            ageMs: Math.max(...accepted.map(quote => quote.ageMs)),
+            quotes: accepted,
+            aggregation: 'median'
+        };
+    }
+
+    // Resolves to the aggregated quote for a pair (SOL/USD by default) or throws.
+    async function fetchQuote(pair = SOL_USD_PAIR) {
+        const pairSources = sources.filter(source => sourceSupportsPair(source, pair));
+        if (pairSources.length === 0) {
+            throw new Error(`No configured price source supports ${pair.symbol}/${pair.fiat}.`);
+        }
+        const quote = aggregation === 'first' ? await fetchFirstHealthyQuote(pair, pairSources) : await fetchMedianQuote(pair, pairSources);
+        return { ...quote, pair: pairKey(pair) };
+    }
+
+    return { sources, aggregation, fetchQuote };
+}
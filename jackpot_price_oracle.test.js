@@ -0,0 +1,165 @@
+// jackpot_price_oracle.test.js - Aggregation, staleness and failure handling of the price oracle (run with `npm test`)
+//
+// Every source is pointed at a mock URL through HELPER_DEJ_PRICE_URL_<SOURCE>, and httpGet answers those URLs
+// from a per-test table, so no request leaves the process.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPriceOracle, buildPriceSourcesFromEnv, medianOf, rejectOutlierQuotes, SOL_USD_PAIR } from './jackpot_price_oracle.js';
+import { createLogger } from './jackpot_logger.js';
+
+const NOW = Date.UTC(2024, 0, 1, 12, 0, 0);
+const SECONDS_NOW = NOW / 1000;
+
+const MOCK_SOURCE_ENV = {
+    HELPER_DEJ_PRICE_SOURCES: 'coingecko,binance,kraken,pyth',
+    HELPER_DEJ_PRICE_URL_COINGECKO: 'http://mock.test/coingecko/{fiat_lower}',
+    HELPER_DEJ_PRICE_URL_BINANCE: 'http://mock.test/binance/{symbol}',
+    HELPER_DEJ_PRICE_URL_KRAKEN: 'http://mock.test/kraken/{symbol}{fiat}',
+    HELPER_DEJ_PRICE_URL_PYTH: 'http://mock.test/pyth/{feed_id}',
+};
+
+// Response bodies in each API's shape. publishedAgoMs is only reported by the sources whose APIs have it.
+const RESPONSES = {
+    coingecko: (price, publishedAgoMs = 0) => ({ solana: { usd: price, last_updated_at: (NOW - publishedAgoMs) / 1000 } }),
+    binance: (price) => ({ symbol: 'SOLUSDT', price: String(price) }),
+    kraken: (price) => ({ error: [], result: { SOLUSD: { c: [String(price), '1.0'] } } }),
+    pyth: (price, publishedAgoMs = 0) => ({ parsed: [{ price: { price: String(Math.round(price * 1e8)), expo: -8, publish_time: SECONDS_NOW - publishedAgoMs / 1000 } }] }),
+};
+
+function httpError(status, headers = {}) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), { isAxiosError: true, response: { status, headers } });
+}
+
+// routes: { <source>: body | Error | (() => body) }. Sources without a route fail with a network error.
+function createMockOracle(routes, options = {}) {
+    const requests = [];
+    const logEvents = [];
+    const httpGet = async (url) => {
+        const sourceName = new URL(url).pathname.split('/')[1];
+        requests.push(sourceName);
+        const route = routes[sourceName];
+        const outcome = typeof route === 'function' ? route() : route;
+        if (outcome === undefined) throw Object.assign(new Error('connect ECONNREFUSED'), { isAxiosError: true });
+        if (outcome instanceof Error) throw outcome;
+        return { status: 200, data: outcome };
+    };
+    const oracle = createPriceOracle({
+        sources: buildPriceSourcesFromEnv({ ...MOCK_SOURCE_ENV, ...(options.env || {}) }),
+        retries: 0,
+        initialDelayMs: 1,
+        maxDelayMs: 5,
+        httpGet,
+        now: () => NOW,
+        logger: createLogger({ level: 'debug', write: (line) => logEvents.push(JSON.parse(line).event) }),
+        ...options.oracle
+    });
+    return { oracle, requests, logEvents };
+}
+
+test('medianOf and rejectOutlierQuotes', () => {
+    assert.equal(medianOf([3, 1, 2]), 2);
+    assert.equal(medianOf([4, 1, 3, 2]), 2.5);
+
+    const quote = (source, price) => ({ source, price });
+    const cases = [
+        { name: 'outlier among three', quotes: [quote('a', 100), quote('b', 101), quote('c', 130)], maxDeviationPct: 5, rejected: ['c'] },
+        { name: 'exactly at the limit is kept', quotes: [quote('a', 95), quote('b', 100), quote('c', 105)], maxDeviationPct: 5, rejected: [] },
+        { name: 'two quotes are never filtered', quotes: [quote('a', 100), quote('b', 200)], maxDeviationPct: 5, rejected: [] },
+        { name: 'filtering off', quotes: [quote('a', 100), quote('b', 101), quote('c', 130)], maxDeviationPct: 0, rejected: [] },
+    ];
+    for (const { name, quotes, maxDeviationPct, rejected } of cases) {
+        const result = rejectOutlierQuotes(quotes, maxDeviationPct);
+        assert.deepEqual(result.rejected.map(rejectedQuote => rejectedQuote.source), rejected, name);
+        assert.equal(result.accepted.length + result.rejected.length, quotes.length, `${name}: every quote is sorted`);
+    }
+});
+
+test('median aggregation over all healthy sources', async () => {
+    const { oracle } = createMockOracle({
+        coingecko: RESPONSES.coingecko(100),
+        binance: RESPONSES.binance(101),
+        kraken: RESPONSES.kraken(102),
+        pyth: RESPONSES.pyth(103),
+    });
+    const quote = await oracle.fetchQuote(SOL_USD_PAIR);
+    assert.equal(quote.price, 101.5);
+    assert.equal(quote.aggregation, 'median');
+    assert.equal(quote.source, 'coingecko+binance+kraken+pyth');
+    assert.equal(quote.pair, 'SOL/USD');
+});
+
+test('median aggregation drops an outlier', async () => {
+    const { oracle, logEvents } = createMockOracle({
+        coingecko: RESPONSES.coingecko(100),
+        binance: RESPONSES.binance(101),
+        kraken: RESPONSES.kraken(102),
+        pyth: RESPONSES.pyth(150),
+    });
+    const quote = await oracle.fetchQuote(SOL_USD_PAIR);
+    assert.equal(quote.price, 101);
+    assert.deepEqual(quote.quotes.map(accepted => accepted.source), ['coingecko', 'binance', 'kraken']);
+    assert.ok(logEvents.includes('price.outlier_rejected'));
+});
+
+test('with fewer than three healthy quotes nothing counts as an outlier', async () => {
+    const { oracle } = createMockOracle({ coingecko: RESPONSES.coingecko(100), binance: RESPONSES.binance(150) });
+    const quote = await oracle.fetchQuote(SOL_USD_PAIR);
+    assert.equal(quote.price, 125);
+});
+
+test('stale quotes are left out', async () => {
+    const tenMinutesMs = 10 * 60 * 1000;
+    const { oracle, logEvents } = createMockOracle({
+        coingecko: RESPONSES.coingecko(90, tenMinutesMs),
+        pyth: RESPONSES.pyth(100, 1000),
+    }, { oracle: { maxQuoteAgeMs: 5 * 60 * 1000 } });
+    const quote = await oracle.fetchQuote(SOL_USD_PAIR);
+    assert.equal(quote.price, 100);
+    assert.equal(quote.source, 'pyth');
+    assert.equal(quote.ageMs, 1000);
+    assert.ok(logEvents.includes('price.source_unavailable'));
+
+    const { oracle: lenientOracle } = createMockOracle({ coingecko: RESPONSES.coingecko(90, tenMinutesMs) }, { oracle: { maxQuoteAgeMs: 0 } });
+    assert.equal((await lenientOracle.fetchQuote(SOL_USD_PAIR)).price, 90, 'maxQuoteAgeMs 0 turns the cutoff off');
+});
+
+test('"first" aggregation falls through stale and failing sources in order', async () => {
+    const { oracle, requests } = createMockOracle({
+        coingecko: RESPONSES.coingecko(90, 60 * 60 * 1000),
+        binance: httpError(404),
+        kraken: RESPONSES.kraken(102),
+        pyth: RESPONSES.pyth(103),
+    }, { oracle: { aggregation: 'first' } });
+    const quote = await oracle.fetchQuote(SOL_USD_PAIR);
+    assert.equal(quote.price, 102);
+    assert.equal(quote.source, 'kraken');
+    assert.deepEqual(requests, ['coingecko', 'binance', 'kraken'], 'pyth is never asked');
+});
+
+test('minSources is enforced after outliers and failures', async () => {
+    const { oracle } = createMockOracle({
+        coingecko: RESPONSES.coingecko(100),
+        binance: RESPONSES.binance(101),
+        kraken: httpError(500),
+    }, { oracle: { minSources: 3 } });
+    await assert.rejects(oracle.fetchQuote(SOL_USD_PAIR), /Only 2 healthy SOL\/USD quote\(s\), need 3/);
+});
+
+test('all sources failing rejects, after retrying only what is retryable', async () => {
+    const { oracle, requests } = createMockOracle({
+        coingecko: httpError(503),
+        binance: httpError(429, { 'retry-after': '30' }), // Capped by maxDelayMs
+        kraken: httpError(404),
+        pyth: { parsed: [] }, // Answers, but without a price
+    }, { oracle: { retries: 2 } });
+    await assert.rejects(oracle.fetchQuote(SOL_USD_PAIR), /Only 0 healthy SOL\/USD quote\(s\), need 1/);
+    const attemptsBySource = requests.reduce((counts, source) => ({ ...counts, [source]: (counts[source] || 0) + 1 }), {});
+    assert.deepEqual(attemptsBySource, { coingecko: 3, binance: 3, kraken: 1, pyth: 1 });
+});
+
+test('a pair no source supports is rejected up front', async () => {
+    const { oracle, requests } = createMockOracle({}, { env: { HELPER_DEJ_PRICE_SOURCES: 'pyth' } });
+    await assert.rejects(oracle.fetchQuote({ symbol: 'BONK', mint: 'DezX', fiat: 'USD' }), /No configured price source supports BONK\/USD/);
+    assert.deepEqual(requests, []);
+});
@@ -0,0 +1,154 @@
+// jackpot_result_callback.js - Signed webhook delivery of final results to the main bot
+//
+// When a run is finalized, jackpot_session_store.js writes the result to de_jackpot_result_outbox in the same
+// statement as the session update, so a committed result always has an outbox row. The dispatcher below POSTs
+// each row to the main bot and marks it delivered on a 2xx; anything else is retried with exponential backoff
+// until it goes through. Rows are claimed with a visibility timeout, so every helper instance can sweep the
+// outbox: a row whose sender crashed mid-request is picked up again once its claim runs out.
+//
+// Requests carry X-DEJ-Signature: sha256=<hex HMAC-SHA256 of "<X-DEJ-Timestamp>.<raw body>" keyed with the
+// shared secret>. The main bot should check it with a constant-time compare, reject stale timestamps, and treat
+// X-DEJ-Delivery as an idempotency key: a result can arrive more than once, but never not at all.
+
+import axios from 'axios';
+import crypto from 'crypto';
+
+export const RESULT_WEBHOOK_EVENT = 'jackpot_session.finalized';
+
+export function signResultWebhookBody(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function describeDeliveryError(error) {
+    if (error.response) return `HTTP ${error.response.status}`;
+    return error.code ? `${error.code}: ${error.message}` : error.message;
+}
+
+//   query(text, params): runs a statement, e.g. pool.query.
+//   url / secret: the main bot's endpoint and the shared HMAC key.
+//   requestTimeoutMs: per-request timeout.
+//   claimMs: how long a claimed row stays invisible to other senders. A row is claimed right before its own
+//     request, so this only has to outlast one request and the update after it: well above requestTimeoutMs.
+//   retryBaseMs / retryMaxMs: backoff between attempts at one row (doubling, capped, with jitter).
+//   onDelivery({ result, attempts }): called after every attempt (result 'delivered' or 'failed'), e.g. for metrics.
+//   logger: a jackpot_logger.js logger.
+export function createResultWebhookDispatcher({
+    query,
+    url,
+    secret,
+    requestTimeoutMs = 5000,
+    claimMs = 30000,
+    retryBaseMs = 2000,
+    retryMaxMs = 600000,
+    httpPost = axios.post,
+    onDelivery = () => {},
+    logger,
+    now = () => Date.now()
+}) {
+    const dispatchLog = logger.child({ component: 'ResultWebhook' });
+    let sweepIntervalId = null;
+    let passPromise = null;
+    let isPassRequested = false;
+    let isStopped = false;
+
+    async function claimDueRow() {
+        const claimRes = await query(
+            `UPDATE de_jackpot_result_outbox
+             SET attempts = attempts + 1, next_attempt_at = NOW() + ($1::int * INTERVAL '1 millisecond')
+             WHERE outbox_id IN (
+                 SELECT outbox_id FROM de_jackpot_result_outbox
+                 WHERE delivered_at IS NULL AND next_attempt_at <= NOW()
+                 ORDER BY outbox_id
+                 LIMIT 1
+                 FOR UPDATE SKIP LOCKED)
+             RETURNING outbox_id, session_id, payload, attempts`,
+            [claimMs]
+        );
+        return claimRes.rows[0] || null;
+    }
+
+    async function deliver(row) {
+        const rowLog = dispatchLog.child({ session_id: String(row.session_id), outbox_id: String(row.outbox_id) });
+        const body = JSON.stringify({ event: RESULT_WEBHOOK_EVENT, delivery_id: String(row.outbox_id), attempt: row.attempts, ...row.payload });
+        const timestamp = String(Math.floor(now() / 1000));
+        try {
+            await httpPost(url, body, {
+                timeout: requestTimeoutMs,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-DEJ-Event': RESULT_WEBHOOK_EVENT,
+                    'X-DEJ-Delivery': String(row.outbox_id),
+                    'X-DEJ-Timestamp': timestamp,
+                    'X-DEJ-Signature': `sha256=${signResultWebhookBody(secret, timestamp, body)}`
+                },
+                transformRequest: [(data) => data] // Send the signed string as-is
+            });
+        } catch (error) {
+            const backoffMs = Math.min(retryMaxMs, retryBaseMs * 2 ** Math.min(row.attempts - 1, 16));
+            const delayMs = Math.round(backoffMs / 2 + Math.random() * backoffMs / 2);
+            const reason = describeDeliveryError(error);
+            await query(
+                `UPDATE de_jackpot_result_outbox
+                 SET next_attempt_at = NOW() + ($2::int * INTERVAL '1 millisecond'), last_error = $3
+                 WHERE outbox_id = $1 AND delivered_at IS NULL`,
+                [row.outbox_id, delayMs, reason.slice(0, 500)]
+            );
+            onDelivery({ result: 'failed', attempts: row.attempts });
+            rowLog[row.attempts >= 5 ? 'error' : 'warn']('result_webhook.failed', `Result delivery attempt ${row.attempts} failed (${reason}); retrying in ${Math.round(delayMs / 1000)}s.`,
+                { attempt: row.attempts, delay_ms: delayMs, err: error });
+            return false;
+        }
+        await query(`UPDATE de_jackpot_result_outbox SET delivered_at = NOW(), last_error = NULL WHERE outbox_id = $1`, [row.outbox_id]);
+        onDelivery({ result: 'delivered', attempts: row.attempts });
+        rowLog.info('result_webhook.delivered', `Result delivered to the main bot (attempt ${row.attempts}).`, { attempt: row.attempts });
+        return true;
+    }
+
+    // Delivers due rows until none are left, claiming each one just before its request: a claim taken for a
+    // whole batch could run out while earlier rows are still being sent, and another sender would post it again.
+    async function runPass() {
+        while (!isStopped) {
+            const row = await claimDueRow();
+            if (!row) return;
+            await deliver(row);
+        }
+    }
+
+    // One pass at a time; a kick during a pass runs another right after it, so a fresh row isn't left for the sweep.
+    function kick() {
+        if (isStopped) return passPromise || Promise.resolve();
+        if (passPromise) {
+            isPassRequested = true;
+            return passPromise;
+        }
+        passPromise = (async () => {
+            do {
+                isPassRequested = false;
+                try {
+                    await runPass();
+                } catch (error) {
+                    dispatchLog.error('result_webhook.pass_failed', `Could not process the result outbox: ${error.message}`, { err: error });
+                }
+            } while (isPassRequested && !isStopped);
+            passPromise = null;
+        })();
+        return passPromise;
+    }
+
+    return {
+        kick,
+        // Sweeps the outbox every intervalMs for retries that came due and rows left by other instances.
+        start(intervalMs) {
+            if (sweepIntervalId) return;
+            sweepIntervalId = setInterval(kick, intervalMs);
+            kick();
+        },
+        // Stops sweeping and waits for the request in flight, if any. Undelivered rows stay in the outbox.
+        async stop() {
+            isStopped = true;
+            if (sweepIntervalId) clearInterval(sweepIntervalId);
+            sweepIntervalId = null;
+            if (passPromise) await passPromise;
+        }
+    };
+}
@@ -0,0 +1,254 @@
+// jackpot_rules.js - Pure rule engine for Dice Escalator Jackpot Runs
+//
+// A session's rules come from three layers, later ones winning:
+//   1. the legacy de_jackpot_sessions columns (bust_on_value, target_jackpot_score),
+//   2. a named rule set (de_jackpot_sessions.rule_set, see JACKPOT_RULE_SETS),
+//   3. per-session overrides (de_jackpot_sessions.rules_json).
+// Nothing in here touches Telegram, Postgres or the clock, so the evaluator can be exercised on its own.
+
+// Value range Telegram reports for each animated dice emoji.
+export const DICE_EMOJI_VALUE_RANGES = Object.freeze({
+    '🎲': { minValue: 1, maxValue: 6 },
+    '🎯': { minValue: 1, maxValue: 6 },
+    '🎳': { minValue: 1, maxValue: 6 },
+    '🏀': { minValue: 1, maxValue: 5 },
+    '⚽': { minValue: 1, maxValue: 5 },
+    '🎰': { minValue: 1, maxValue: 64 },
+});
+
+// Named variants a session can pick via rule_set. Anything not set here is inherited from the session.
+export const JACKPOT_RULE_SETS = Object.freeze({
+    classic: {},
+    snake_eyes: { bustValues: [1, 2] },                                 // Two bust faces instead of one
+    hot_streak: { doublesMultiplier: 2, bustOnConsecutiveRepeats: 3 },  // Repeats score double, a third in a row busts
+    sudden_death: { maxRolls: 5 },                                      // Reach the target within five rolls
+    darts: { emoji: '🎯', bustValues: [1] },                            // 1 is a miss
+    hoops: { emoji: '🏀', bustValues: [1, 2] },                         // Only 3-5 go in
+});
+
+const DEFAULT_RULES = Object.freeze({
+    emoji: '🎲',
+    bustValues: [],
+    bustOnConsecutiveRepeats: 0, // 0 = off; N = bust when the same value lands N times in a row
+    doublesMultiplier: 1,        // A roll equal to the previous roll scores value * multiplier
+    maxRolls: 0,                 // 0 = unlimited; otherwise the run ends after this many rolls
+    targetScore: null,
+    valuePoints: {},             // Optional value -> points map (e.g. for 🎰); unmapped values score their face value
+});
+
+function parsePositiveInt(value) {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+// Validates a merged rules object and fills in derived fields. Throws on anything the evaluator can't play.
+export function normalizeJackpotRules(rawRules) {
+    const rules = { ...DEFAULT_RULES, ...rawRules };
+    const valueRange = DICE_EMOJI_VALUE_RANGES[rules.emoji];
+    if (!valueRange) {
+        throw new Error(`Unsupported dice emoji "${rules.emoji}".`);
+    }
+
+    const targetScore = parsePositiveInt(rules.targetScore);
+    if (targetScore === null) {
+        throw new Error(`Target score must be a positive integer (got ${JSON.stringify(rules.targetScore)}).`);
+    }
+
+    const bustValues = (Array.isArray(rules.bustValues) ? rules.bustValues : [rules.bustValues])
+        .map(value => parseInt(value, 10))
+        .filter(value => Number.isInteger(value));
+    for (const bustValue of bustValues) {
+        if (bustValue < valueRange.minValue || bustValue > valueRange.maxValue) {
+            throw new Error(`Bust value ${bustValue} is outside the ${rules.emoji} range ${valueRange.minValue}-${valueRange.maxValue}.`);
+        }
+    }
+
+    const doublesMultiplier = Number(rules.doublesMultiplier);
+    if (!Number.isFinite(doublesMultiplier) || doublesMultiplier < 1) {
+        throw new Error(`Doubles multiplier must be a number >= 1 (got ${JSON.stringify(rules.doublesMultiplier)}).`);
+    }
+
+    const valuePoints = {};
+    for (const [value, points] of Object.entries(rules.valuePoints || {})) {
+        const numericPoints = parseInt(points, 10);
+        if (!Number.isInteger(numericPoints)) throw new Error(`Points for value ${value} must be an integer.`);
+        valuePoints[value] = numericPoints;
+    }
+
+    return {
+        emoji: rules.emoji,
+        minValue: valueRange.minValue,
+        maxValue: valueRange.maxValue,
+        bustValues: [...new Set(bustValues)],
+        bustOnConsecutiveRepeats: parsePositiveInt(rules.bustOnConsecutiveRepeats) || 0,
+        doublesMultiplier,
+        maxRolls: parsePositiveInt(rules.maxRolls) || 0,
+        targetScore,
+        valuePoints,
+    };
+}
+
+// Builds the rules for a de_jackpot_sessions row. rules_json may arrive as a JSONB object or a string.
+export function resolveJackpotRules(sessionRow) {
+    const ruleSetName = sessionRow.rule_set || 'classic';
+    const ruleSet = JACKPOT_RULE_SETS[ruleSetName];
+    if (!ruleSet) {
+        throw new Error(`Unknown jackpot rule set "${ruleSetName}".`);
+    }
+
+    let sessionOverrides = sessionRow.rules_json || {};
+    if (typeof sessionOverrides === 'string') {
+        try {
+            sessionOverrides = JSON.parse(sessionOverrides);
+        } catch (parseError) {
+            throw new Error(`rules_json is not valid JSON: ${parseError.message}`);
+        }
+    }
+
+    const legacyRules = { targetScore: sessionRow.target_jackpot_score };
+    if (sessionRow.bust_on_value !== null && sessionRow.bust_on_value !== undefined) {
+        legacyRules.bustValues = [sessionRow.bust_on_value];
+    }
+
+    return normalizeJackpotRules({ ...legacyRules, ...ruleSet, ...sessionOverrides });
+}
+
+export function pointsForRoll(rules, rollValue, previousRollValue) {
+    const basePoints = Object.prototype.hasOwnProperty.call(rules.valuePoints, rollValue) ? rules.valuePoints[rollValue] : rollValue;
+    const isDouble = previousRollValue !== undefined && previousRollValue === rollValue;
+    return isDouble ? Math.floor(basePoints * rules.doublesMultiplier) : basePoints;
+}
+
+// Evaluates one roll against the run so far.
+//   runState: { initialScore, runRolls (values rolled before this one), runScore }
+// Returns { points, runScore, totalScore, outcome } where outcome is null while the run continues, or
+// { status, notes, messageKey, messageParams } with the final de_jackpot_sessions status the main bot
+// settles on. notes is the English text stored for the main bot; messageKey/messageParams name the
+// player-facing template (see jackpot_messages.js).
+export function evaluateJackpotRoll(rules, runState, rollValue) {
+    if (!Number.isInteger(rollValue) || rollValue < rules.minValue || rollValue > rules.maxValue) {
+        throw new Error(`Roll value ${rollValue} is outside the ${rules.emoji} range ${rules.minValue}-${rules.maxValue}.`);
+    }
+
+    const previousRolls = runState.runRolls || [];
+    const previousRollValue = previousRolls[previousRolls.length - 1];
+    const points = pointsForRoll(rules, rollValue, previousRollValue);
+    const runScore = (runState.runScore || 0) + points;
+    const totalScore = (parseInt(runState.initialScore, 10) || 0) + runScore;
+    const rollCount = previousRolls.length + 1;
+    const result = { points, runScore, totalScore, outcome: null };
+
+    if (rules.bustValues.includes(rollValue)) {
+        result.outcome = {
+            status: 'completed_bust',
+            notes: `Busted on a ${rollValue} during jackpot run!`,
+            messageKey: 'outcome.bust_value',
+            messageParams: { roll: rollValue }
+        };
+        return result;
+    }
+
+    if (rules.bustOnConsecutiveRepeats > 1) {
+        let repeatCount = 1;
+        for (let i = previousRolls.length - 1; i >= 0 && previousRolls[i] === rollValue; i--) repeatCount++;
+        if (repeatCount >= rules.bustOnConsecutiveRepeats) {
+            result.outcome = {
+                status: 'completed_bust',
+                notes: `Busted on ${repeatCount} ${rollValue}s in a row during jackpot run!`,
+                messageKey: 'outcome.bust_repeats',
+                messageParams: { count: repeatCount, roll: rollValue }
+            };
+            return result;
+        }
+    }
+
+    if (totalScore >= rules.targetScore) {
+        result.outcome = {
+            status: 'completed_target_reached',
+            notes: `Target ${rules.targetScore}+ reached with score ${totalScore}!`,
+            messageKey: 'outcome.target_reached',
+            messageParams: { target: rules.targetScore, score: totalScore }
+        };
+        return result;
+    }
+
+    if (rules.maxRolls > 0 && rollCount >= rules.maxRolls) {
+        result.outcome = {
+            status: 'completed_max_rolls',
+            notes: `Roll limit of ${rules.maxRolls} reached with score ${totalScore}, short of the ${rules.targetScore} target.`,
+            messageKey: 'outcome.max_rolls',
+            messageParams: { max_rolls: rules.maxRolls, score: totalScore, target: rules.targetScore }
+        };
+    }
+    return result;
+}
+
+// Replays a run's rolls from scratch, e.g. when a helper rebuilds a session from its persisted roll log.
+// Stops at the first roll that ends the run.
+export function replayJackpotRun(rules, initialScore, rollValues) {
+    const runRolls = [];
+    let runScore = 0;
+    let outcome = null;
+    for (const rollValue of rollValues) {
+        const evaluation = evaluateJackpotRoll(rules, { initialScore, runRolls, runScore }, rollValue);
+        runRolls.push(rollValue);
+        runScore = evaluation.runScore;
+        if (evaluation.outcome) {
+            outcome = evaluation.outcome;
+            break;
+        }
+    }
+    return { runRolls, runScore, totalScore: (parseInt(initialScore, 10) || 0) + runScore, outcome };
+}
+
+// Exact probability of each final status for a run played out with a fair die (every face equally likely)
+// and no timeouts or stops, e.g. { completed_bust: 0.41, completed_target_reached: 0.59 }. Runs still going
+// after maxDepth rolls (only possible when some face scores zero or less) are counted as 'unresolved'.
+export function jackpotOutcomeProbabilities(rules, initialScore, { maxDepth = 1000 } = {}) {
+    const faceProbability = 1 / (rules.maxValue - rules.minValue + 1);
+    const memo = new Map();
+
+    // The evaluator only looks at the trailing repeats and, with maxRolls, the roll count, so the rolls before
+    // the current streak are stand-ins.
+    function outcomesAfter(runScore, lastValue, repeatCount, rollCount) {
+        if (rollCount >= maxDepth) return { unresolved: 1 };
+        const trackedRollCount = rules.maxRolls > 0 ? rollCount : 0;
+        const memoKey = `${runScore}:${lastValue}:${repeatCount}:${trackedRollCount}`;
+        if (memo.has(memoKey)) return memo.get(memoKey);
+
+        const runRolls = new Array(Math.max(trackedRollCount - repeatCount, 0)).fill(null).concat(new Array(repeatCount).fill(lastValue));
+        const outcomes = {};
+        for (let rollValue = rules.minValue; rollValue <= rules.maxValue; rollValue++) {
+            const evaluation = evaluateJackpotRoll(rules, { initialScore, runRolls, runScore }, rollValue);
+            const following = evaluation.outcome
+                ? { [evaluation.outcome.status]: 1 }
+                : outcomesAfter(evaluation.runScore, rollValue, rollValue === lastValue ? repeatCount + 1 : 1, rollCount + 1);
+            for (const [status, probability] of Object.entries(following)) {
+                outcomes[status] = (outcomes[status] || 0) + faceProbability * probability;
+            }
+        }
+        memo.set(memoKey, outcomes);
+        return outcomes;
+    }
+
+    return outcomesAfter(0, null, 0, 0);
+}
+
+const RULE_DESCRIPTION_PHRASES = Object.freeze({
+    bust_on: ({ values }) => `Bust on ${values}`,
+    bust_on_repeats: ({ count }) => `bust on ${count} repeats in a row`,
+    repeats_multiplier: ({ multiplier }) => `repeats score x${multiplier}`,
+    max_rolls: ({ count }) => `max ${count} rolls`,
+    none: () => 'No bust values',
+});
+
+// One-line summary of the rules for the run card. formatPart(phraseKey, params) phrases each part
+// (the run card passes the message catalog's "rules.*" templates); the default is plain English.
+export function describeJackpotRules(rules, formatPart = (phraseKey, params) => RULE_DESCRIPTION_PHRASES[phraseKey](params)) {
+    const parts = [];
+    if (rules.bustValues.length > 0) parts.push(formatPart('bust_on', { values: rules.bustValues.join('/') }));
+    if (rules.bustOnConsecutiveRepeats > 1) parts.push(formatPart('bust_on_repeats', { count: rules.bustOnConsecutiveRepeats }));
+    if (rules.doublesMultiplier > 1) parts.push(formatPart('repeats_multiplier', { multiplier: rules.doublesMultiplier }));
+    if (rules.maxRolls > 0) parts.push(formatPart('max_rolls', { count: rules.maxRolls }));
+    return parts.length > 0 ? parts.join(', ') : formatPart('none', {});
+}
@@ -0,0 +1,141 @@
+// jackpot_rules.test.js - Table-driven checks for the rule engine (run with `npm test`)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeJackpotRules,
+    resolveJackpotRules,
+    evaluateJackpotRoll,
+    replayJackpotRun,
+    jackpotOutcomeProbabilities,
+} from './jackpot_rules.js';
+
+test('normalizeJackpotRules fills defaults and cleans up values', () => {
+    const cases = [
+        {
+            name: 'defaults',
+            raw: { targetScore: 25 },
+            expected: { emoji: '🎲', minValue: 1, maxValue: 6, bustValues: [], bustOnConsecutiveRepeats: 0, doublesMultiplier: 1, maxRolls: 0, targetScore: 25, valuePoints: {} },
+        },
+        {
+            name: 'scalar bust value and numeric strings',
+            raw: { targetScore: '30', bustValues: '2', maxRolls: '5', bustOnConsecutiveRepeats: '3' },
+            expected: { bustValues: [2], targetScore: 30, maxRolls: 5, bustOnConsecutiveRepeats: 3 },
+        },
+        { name: 'duplicate bust values', raw: { targetScore: 10, bustValues: [1, '1', 2] }, expected: { bustValues: [1, 2] } },
+        { name: 'unparseable max rolls means unlimited', raw: { targetScore: 10, maxRolls: 'abc' }, expected: { maxRolls: 0 } },
+        { name: 'emoji range', raw: { targetScore: 10, emoji: '🏀' }, expected: { minValue: 1, maxValue: 5 } },
+        { name: 'value points', raw: { targetScore: 10, emoji: '🎰', valuePoints: { 64: '50' } }, expected: { maxValue: 64, valuePoints: { 64: 50 } } },
+    ];
+    for (const { name, raw, expected } of cases) {
+        const rules = normalizeJackpotRules(raw);
+        for (const [field, value] of Object.entries(expected)) {
+            assert.deepEqual(rules[field], value, `${name}: ${field}`);
+        }
+    }
+});
+
+test('normalizeJackpotRules rejects rules the evaluator cannot play', () => {
+    const cases = [
+        { name: 'unknown emoji', raw: { targetScore: 10, emoji: '🃏' }, message: /Unsupported dice emoji/ },
+        { name: 'missing target', raw: {}, message: /Target score must be a positive integer/ },
+        { name: 'zero target', raw: { targetScore: 0 }, message: /Target score must be a positive integer/ },
+        { name: 'bust value out of range', raw: { targetScore: 10, bustValues: [7] }, message: /outside the 🎲 range 1-6/ },
+        { name: 'bust value out of the emoji range', raw: { targetScore: 10, emoji: '⚽', bustValues: [6] }, message: /outside the ⚽ range 1-5/ },
+        { name: 'multiplier below 1', raw: { targetScore: 10, doublesMultiplier: 0.5 }, message: /Doubles multiplier/ },
+        { name: 'non-numeric multiplier', raw: { targetScore: 10, doublesMultiplier: 'x' }, message: /Doubles multiplier/ },
+        { name: 'non-integer points', raw: { targetScore: 10, valuePoints: { 6: 'lots' } }, message: /Points for value 6/ },
+    ];
+    for (const { name, raw, message } of cases) {
+        assert.throws(() => normalizeJackpotRules(raw), message, name);
+    }
+});
+
+test('resolveJackpotRules layers legacy columns, the rule set and rules_json', () => {
+    const legacy = resolveJackpotRules({ target_jackpot_score: 25, bust_on_value: 1 });
+    assert.deepEqual([legacy.targetScore, legacy.bustValues], [25, [1]]);
+
+    const ruleSet = resolveJackpotRules({ target_jackpot_score: 25, bust_on_value: 1, rule_set: 'snake_eyes' });
+    assert.deepEqual(ruleSet.bustValues, [1, 2]);
+
+    const overridden = resolveJackpotRules({ target_jackpot_score: 25, bust_on_value: 1, rule_set: 'sudden_death', rules_json: '{"maxRolls":3,"targetScore":12}' });
+    assert.deepEqual([overridden.maxRolls, overridden.targetScore], [3, 12]);
+
+    assert.throws(() => resolveJackpotRules({ target_jackpot_score: 25, rule_set: 'nope' }), /Unknown jackpot rule set "nope"/);
+    assert.throws(() => resolveJackpotRules({ target_jackpot_score: 25, rules_json: '{bad' }), /rules_json is not valid JSON/);
+});
+
+test('evaluateJackpotRoll decides each roll', () => {
+    const classic = normalizeJackpotRules({ targetScore: 25, bustValues: [1] });
+    const capped = normalizeJackpotRules({ targetScore: 10, bustValues: [1], maxRolls: 3 });
+    const hotStreak = normalizeJackpotRules({ targetScore: 50, doublesMultiplier: 2, bustOnConsecutiveRepeats: 3 });
+    const cases = [
+        { name: 'ordinary roll continues', rules: classic, state: { initialScore: 10, runRolls: [], runScore: 0 }, roll: 4, points: 4, total: 14, status: null },
+        { name: 'one short of the target continues', rules: classic, state: { initialScore: 10, runRolls: [6, 4], runScore: 10 }, roll: 4, total: 24, status: null },
+        { name: 'exactly the target wins', rules: classic, state: { initialScore: 10, runRolls: [6, 4], runScore: 10 }, roll: 5, total: 25, status: 'completed_target_reached' },
+        { name: 'bust face busts at the target threshold', rules: classic, state: { initialScore: 24, runRolls: [], runScore: 0 }, roll: 1, total: 25, status: 'completed_bust' },
+        { name: 'initial score as a string', rules: classic, state: { initialScore: '20', runRolls: [], runScore: 0 }, roll: 5, total: 25, status: 'completed_target_reached' },
+        { name: 'last allowed roll short of target', rules: capped, state: { initialScore: 0, runRolls: [2, 2], runScore: 4 }, roll: 3, total: 7, status: 'completed_max_rolls' },
+        { name: 'last allowed roll reaching target wins', rules: capped, state: { initialScore: 0, runRolls: [2, 2], runScore: 4 }, roll: 6, total: 10, status: 'completed_target_reached' },
+        { name: 'last allowed roll on a bust face busts', rules: capped, state: { initialScore: 0, runRolls: [2, 2], runScore: 4 }, roll: 1, total: 5, status: 'completed_bust' },
+        { name: 'before the cap continues', rules: capped, state: { initialScore: 0, runRolls: [2], runScore: 2 }, roll: 3, total: 5, status: null },
+        { name: 'repeat scores double', rules: hotStreak, state: { initialScore: 0, runRolls: [3], runScore: 3 }, roll: 3, points: 6, total: 9, status: null },
+        { name: 'repeat streak busts at its threshold', rules: hotStreak, state: { initialScore: 0, runRolls: [4, 3, 3], runScore: 10 }, roll: 3, status: 'completed_bust' },
+        { name: 'broken streak continues', rules: hotStreak, state: { initialScore: 0, runRolls: [3, 4, 3], runScore: 10 }, roll: 3, points: 6, status: null },
+    ];
+    for (const { name, rules, state, roll, points, total, status } of cases) {
+        const evaluation = evaluateJackpotRoll(rules, state, roll);
+        if (points !== undefined) assert.equal(evaluation.points, points, `${name}: points`);
+        if (total !== undefined) assert.equal(evaluation.totalScore, total, `${name}: total`);
+        assert.equal(evaluation.outcome ? evaluation.outcome.status : null, status, `${name}: status`);
+    }
+});
+
+test('evaluateJackpotRoll rejects values the dice cannot show', () => {
+    const rules = normalizeJackpotRules({ targetScore: 10, emoji: '🏀' });
+    for (const rollValue of [0, 6, 2.5, '3', null]) {
+        assert.throws(() => evaluateJackpotRoll(rules, { initialScore: 0, runRolls: [], runScore: 0 }, rollValue), /outside the 🏀 range 1-5/, String(rollValue));
+    }
+});
+
+test('replayJackpotRun rebuilds a run from its roll log', () => {
+    const rules = normalizeJackpotRules({ targetScore: 25, bustValues: [1] });
+    const cases = [
+        { name: 'empty log', rolls: [], runRolls: [], total: 5, status: null },
+        { name: 'run still going', rolls: [6, 5], runRolls: [6, 5], total: 16, status: null },
+        { name: 'bust mid-log ignores the rest', rolls: [6, 1, 6, 6], runRolls: [6, 1], total: 12, status: 'completed_bust' },
+        { name: 'target mid-log ignores the rest', rolls: [6, 6, 6, 2, 1], runRolls: [6, 6, 6, 2], total: 25, status: 'completed_target_reached' },
+    ];
+    for (const { name, rolls, runRolls, total, status } of cases) {
+        const replay = replayJackpotRun(rules, 5, rolls);
+        assert.deepEqual(replay.runRolls, runRolls, `${name}: rolls`);
+        assert.equal(replay.totalScore, total, `${name}: total`);
+        assert.equal(replay.outcome ? replay.outcome.status : null, status, `${name}: status`);
+    }
+});
+
+test('jackpotOutcomeProbabilities gives the exact outcome distribution', () => {
+    // One roll: 6 reaches the target, 1 busts, anything else hits the cap.
+    const oneShot = jackpotOutcomeProbabilities(normalizeJackpotRules({ targetScore: 6, bustValues: [1], maxRolls: 1 }), 0);
+    assert.ok(Math.abs(oneShot.completed_target_reached - 1 / 6) < 1e-12);
+    assert.ok(Math.abs(oneShot.completed_bust - 1 / 6) < 1e-12);
+    assert.ok(Math.abs(oneShot.completed_max_rolls - 4 / 6) < 1e-12);
+
+    // Classic rules against a plain recursion over the score: P(target | score) = sum over faces 2-6 of 1/6 * P(score + face).
+    const target = 25;
+    const reachFrom = new Map();
+    const probabilityOfTarget = (score) => {
+        if (score >= target) return 1;
+        if (!reachFrom.has(score)) {
+            let probability = 0;
+            for (let face = 2; face <= 6; face++) probability += probabilityOfTarget(score + face) / 6;
+            reachFrom.set(score, probability);
+        }
+        return reachFrom.get(score);
+    };
+    for (const initialScore of [0, 12, 24]) {
+        const outcomes = jackpotOutcomeProbabilities(normalizeJackpotRules({ targetScore: target, bustValues: [1] }), initialScore);
+        assert.ok(Math.abs(outcomes.completed_target_reached - probabilityOfTarget(initialScore)) < 1e-12, `initial ${initialScore}`);
+        assert.ok(Math.abs(outcomes.completed_bust + outcomes.completed_target_reached - 1) < 1e-12, `initial ${initialScore}: sums to 1`);
+    }
+});
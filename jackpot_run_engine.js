@@ -0,0 +1,876 @@
+// jackpot_run_engine.js - The jackpot run lifecycle: claim, prompt, roll, timeout and finalize
+//
+// The engine holds the runs this instance is playing and drives each one from its claim to its final
+// message. It talks to the outside world only through what it is given: a session store
+// (jackpot_session_store.js), a Telegram client (the bot, or anything with the same send/edit/delete/
+// sendDice methods), a clock and a price source. jackpot_index.js wires in the real ones; the simulator
+// (jackpot_simulate.js) plays thousands of runs against in-memory fakes.
+// Nothing here reads the environment or starts anything on import.
+
+import crypto from 'crypto';
+import { resolveJackpotRules, evaluateJackpotRoll, replayJackpotRun, describeJackpotRules } from './jackpot_rules.js';
+import { escapeHTML, trustedHTML } from './jackpot_messages.js';
+import { NATIVE_SOL_ASSET, formatAtomicAmountAsFiat, formatAtomicAmountAsToken } from './jackpot_money.js';
+import { TURN_TIMEOUT_POLICIES, resolveTurnSettings, remindersDueAtStart, nextTurnAction } from './jackpot_turn_timer.js';
+import { isPermanentChatError } from './jackpot_telegram_queue.js';
+
+export const SYSTEM_CLOCK = Object.freeze({
+    now: () => Date.now(),
+    sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+    setInterval: (callback, ms) => setInterval(callback, ms),
+    clearInterval: (intervalId) => clearInterval(intervalId),
+});
+
+// --- Provably Fair Rolls ---
+// In provably-fair mode the Telegram dice value is ignored. Each roll is derived from
+// HMAC-SHA256(server_seed, "<client_seed>:<nonce>") where the nonce is the 0-based roll index of the run,
+// mapped onto the value range of the session's dice emoji.
+// SHA-256(server_seed) is shown on the run card from the first prompt, and the seed itself is only
+// revealed in the final message, so anyone can recompute every roll afterwards (see /verify).
+export function hashProvablyFairServerSeed(serverSeed) {
+    return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+function deriveProvablyFairRoll(serverSeed, clientSeed, nonce, faces = 6) { // Returns 1..faces
+    // Rejection sampling over 4-byte chunks keeps the value free of modulo bias.
+    const acceptLimit = Math.floor(0x100000000 / faces) * faces;
+    for (let round = 0; ; round++) {
+        const message = round === 0 ? `${clientSeed}:${nonce}` : `${clientSeed}:${nonce}:${round}`;
+        const digest = crypto.createHmac('sha256', serverSeed).update(message).digest();
+        for (let offset = 0; offset + 4 <= digest.length; offset += 4) {
+            const candidate = digest.readUInt32BE(offset);
+            if (candidate < acceptLimit) return (candidate % faces) + 1;
+        }
+    }
+}
+
+export function deriveProvablyFairRollForRules(rules, serverSeed, clientSeed, nonce) {
+    const faces = rules.maxValue - rules.minValue + 1;
+    return rules.minValue + deriveProvablyFairRoll(serverSeed, clientSeed, nonce, faces) - 1;
+}
+
+// Which asset a session's pool is denominated in and how to show it. The session's own columns win over
+// the chat's de_jackpot_chat_settings row, which wins over displayDefaults ({ currency, locale }).
+// jackpot_pool_at_session_start is always in the asset's smallest unit (lamports for SOL).
+export function resolvePoolDisplaySettings(sessionData, displayDefaults) {
+    const chatSettings = sessionData.chatSettings || {};
+    const assetSource = sessionData.pool_asset_mint ? sessionData : (chatSettings.pool_asset_mint ? chatSettings : null);
+    let asset = NATIVE_SOL_ASSET;
+    if (assetSource) {
+        const decimals = parseInt(assetSource.pool_asset_decimals, 10);
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > 18) {
+            throw new Error(`Pool asset ${assetSource.pool_asset_mint} needs pool_asset_decimals between 0 and 18.`);
+        }
+        asset = {
+            mint: assetSource.pool_asset_mint,
+            symbol: (assetSource.pool_asset_symbol || `${assetSource.pool_asset_mint.slice(0, 4)}…`).toUpperCase(),
+            decimals
+        };
+    }
+    return {
+        asset,
+        currency: (sessionData.display_currency || chatSettings.display_currency || displayDefaults.currency).toUpperCase(),
+        locale: sessionData.display_locale || chatSettings.display_locale || displayDefaults.locale
+    };
+}
+
+export function isMessageNotModifiedError(err) {
+    return Boolean(err.response && err.response.body && /message is not modified/i.test(err.response.body.description || ''));
+}
+
+//   store: a jackpot_session_store.js store.
+//   telegram: { sendMessage, editMessageText, deleteMessage, sendDice }: the bot, or a jackpot_telegram_queue.js
+//     client, which also takes { guaranteed: true } after the bot's arguments for the final result.
+//   clock: { now, sleep, setInterval, clearInterval }; SYSTEM_CLOCK by default.
+//   prices: { getQuote({ symbol, mint, fiat }) } resolving to { price }.
+//   messages: a jackpot_messages.js catalog. metrics: createHelperMetrics() counters. logger: a jackpot_logger.js logger.
+//   settings: { instanceId, turnDefaults, maxAutoRolls, turnResumeMinMs, turnTickIntervalMs, countdownIntervalMs,
+//     diceAnimationDelayMs, allowStopButton, provablyFairDefault, displayDefaults: { currency, locale } }.
+//   getHelperBotId(): written to helper_bot_id on claim (the bot's username). isShuttingDown(): stops claims and recovery.
+//   onTelegramError(method, error): called for every failed Telegram send or edit, e.g. for metrics.
+//   hooks: { onRunUpdated(sessionData), onRunFinalized({ sessionId, chatId, status, score, sessionData }),
+//     onRunDropped(sessionData) }, for what lives outside the run itself (announcements, history caches).
+export function createJackpotRunEngine({
+    store,
+    telegram,
+    clock = SYSTEM_CLOCK,
+    prices,
+    messages,
+    metrics,
+    logger,
+    settings,
+    getHelperBotId,
+    isShuttingDown = () => false,
+    onTelegramError = () => {},
+    hooks = {}
+}) {
+    const activeSessions = new Map(); // Key: session_id, Value: sessionData
+    let turnDeadlineTickerId = null;
+
+    // Logger whose entries carry the session's correlation ids (session_id, user_id, chat_id).
+    function sessionLogger(component, sessionData) {
+        return logger.child({ component, session_id: sessionData.session_id, user_id: sessionData.user_id, chat_id: sessionData.chat_id });
+    }
+
+    function formatDiceRollsHTML(rollsArray, diceEmoji = '🎲', language = messages.defaultLanguage) {
+        if (!Array.isArray(rollsArray) || rollsArray.length === 0) return messages.render(language, 'run_card.no_rolls');
+        return rollsArray.map(roll => `${diceEmoji}<b>${roll}</b>`).join(' ');
+    }
+
+    // Session language > chat language > the player's Telegram language_code > the catalog's default language.
+    function sessionLanguage(sessionData) {
+        if (!sessionData) return messages.defaultLanguage;
+        return messages.resolveLanguage(sessionData.language, sessionData.chatSettings && sessionData.chatSettings.language, sessionData.playerLanguageCode);
+    }
+
+    // Builds the in-memory state this helper keeps for a claimed de_jackpot_sessions row.
+    // Rules or turn settings that fail to resolve are kept as rulesError; sendJackpotRunUpdate refuses to prompt such a session.
+    function buildLocalSessionState(sessionRow) {
+        let rules = null;
+        let turnSettings = null;
+        let rulesError = null;
+        try {
+            rules = resolveJackpotRules(sessionRow);
+            turnSettings = resolveTurnSettings(sessionRow, settings.turnDefaults);
+        } catch (error) {
+            rulesError = error.message;
+        }
+        return {
+            ...sessionRow,
+            rules,
+            rulesError,
+            jackpot_run_rolls: [],
+            jackpot_run_score: 0,
+            current_total_score: parseInt(sessionRow.initial_score, 10),
+            turnSettings,
+            isRollInProgress: false,
+            provably_fair: sessionRow.provably_fair === null || sessionRow.provably_fair === undefined ? settings.provablyFairDefault : Boolean(sessionRow.provably_fair),
+            turnDeadlineAt: null, // Read by the turn deadline ticker; null while no turn is running
+            turnRemindersSent: new Set(),
+            turnReminderMessageId: null,
+            countdownRefreshedAt: 0,
+            isCountdownRefreshing: false,
+            autoRollStreak: 0, // Consecutive rolls made for the player by the auto_roll timeout policy
+            last_roll_value: null,
+            lastRollVia: null, // 'dice', 'button' or 'auto'; the run card says when the helper rolled for the player
+            jackpotPoolDisplayHTML: null,
+            chatSettings: null, // Loaded on the first run card update
+            announceIdentity: null, // { player, chat } as shown in the announcement channel; see loadAnnouncementIdentity
+            isAnnounced: false, // Whether the run has (or is about to get) a live message in the announcement channel
+            playerLanguageCode: null, // From the player's Telegram messages and button presses
+            initial_rolls_parsed: JSON.parse(sessionRow.initial_rolls_json || '[]')
+        };
+    }
+
+    // Formats the session's pool in its display currency as HTML, e.g. "€1.234,56". Falls back to the exact
+    // token amount (e.g. "~1,234.57 SOL") when no price is available.
+    async function formatJackpotPoolForDisplay(sessionData) {
+        const { asset, currency, locale } = resolvePoolDisplaySettings(sessionData, settings.displayDefaults);
+        const poolAtomicAmount = BigInt(sessionData.jackpot_pool_at_session_start);
+        try {
+            const quote = await prices.getQuote({ symbol: asset.symbol, mint: asset.mint, fiat: currency });
+            return escapeHTML(formatAtomicAmountAsFiat(poolAtomicAmount, asset.decimals, quote.price, currency, locale));
+        } catch (priceError) {
+            logger.child({ component: 'PoolDisplay', session_id: sessionData.session_id }).warn('pool.price_unavailable', `Could not price the pool in ${currency}: ${priceError.message}`, { currency });
+            return messages.render(sessionLanguage(sessionData), 'run_card.pool_price_unavailable', {
+                amount: formatAtomicAmountAsToken(poolAtomicAmount, asset.decimals, asset.symbol, locale),
+                currency
+            });
+        }
+    }
+
+    // --- Jackpot Run Roll Persistence ---
+    // Every jackpot-run roll is appended to de_jackpot_roll_events as it lands. final_rolls_json is still
+    // written once by finalizeJackpotSession for the main bot; the event log is the audit trail and what a
+    // restarted helper rebuilds a run from.
+    // The insert only happens while this instance holds the session lease, so a roll is never counted by an
+    // instance that lost the session. Resolves to false when ownership was checked and is gone. A DB error is
+    // retried a few times and then thrown: a roll only counts once it is in the log that resume and /verify replay.
+    const ROLL_PERSIST_ATTEMPTS = 3;
+    async function recordJackpotRunRoll(sessionId, rollIndex, rollValue, runningTotal, telegramMessageId, pfNonce = null) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await store.recordRoll({ sessionId, rollIndex, rollValue, runningTotal, telegramMessageId, pfNonce });
+            } catch (dbError) {
+                // A retry that hits the unique (session_id, roll_index) key means the previous attempt did commit.
+                if (attempt > 1 && dbError.code === '23505') return true;
+                logger.error('roll.persist_failed', `Failed to persist roll #${rollIndex + 1} (${rollValue}), attempt ${attempt}/${ROLL_PERSIST_ATTEMPTS}: ${dbError.message}`,
+                    { component: 'RollLog', session_id: sessionId, roll_index: rollIndex, roll_value: rollValue, attempt, err: dbError });
+                if (attempt >= ROLL_PERSIST_ATTEMPTS) throw dbError;
+                await clock.sleep(500 * attempt);
+            }
+        }
+    }
+
+    function loadPersistedJackpotRunRolls(sessionId) {
+        return store.loadRolls(sessionId);
+    }
+
+    // Replays persisted roll events through the session's rules onto a fresh local session state (see
+    // buildLocalSessionState). Returns the outcome if the persisted rolls already ended the run.
+    function applyPersistedRollsToSession(sessionData, rollEvents) {
+        const replay = replayJackpotRun(sessionData.rules, sessionData.initial_score, rollEvents.map(rollEvent => rollEvent.roll_value));
+        sessionData.jackpot_run_rolls = replay.runRolls;
+        sessionData.jackpot_run_score = replay.runScore;
+        sessionData.current_total_score = replay.totalScore;
+        return replay.outcome;
+    }
+
+    // Generates and stores the seeds for a provably-fair session that doesn't have them yet. A client seed
+    // supplied by the main bot is kept; /clientseed only works once the seeds are in.
+    async function prepareProvablyFairSession(sessionId) {
+        const sessionData = activeSessions.get(sessionId);
+        if (!sessionData || !sessionData.provably_fair || sessionData.pf_server_seed) return;
+
+        const serverSeed = crypto.randomBytes(32).toString('hex');
+        const serverSeedHash = hashProvablyFairServerSeed(serverSeed);
+        const clientSeed = sessionData.pf_client_seed || crypto.randomBytes(8).toString('hex');
+        const storedClientSeed = await store.storeProvablyFairSeeds(sessionData.session_id, { serverSeed, serverSeedHash, clientSeed });
+        if (!storedClientSeed) {
+            // Seeded elsewhere or no longer ours; the roll guard refuses to roll without a committed server seed.
+            logger.warn('pf.seeds_not_stored', 'Provably fair seeds were not stored: the session is no longer held by this instance or already seeded.',
+                { component: 'PF', session_id: sessionId });
+            return;
+        }
+        Object.assign(sessionData, { pf_server_seed: serverSeed, pf_server_seed_hash: serverSeedHash, pf_client_seed: storedClientSeed });
+        logger.info('pf.seeds_committed', `Provably fair seeds committed. Server seed hash: ${serverSeedHash}`,
+            { component: 'PF', session_id: sessionId, server_seed_hash: serverSeedHash });
+    }
+
+    // --- Claiming Pending Sessions ---
+    // Claims up to maxSessions minus the runs already held, one transaction each, and starts (or, for a
+    // 'pending_resume' handover, resumes) every run it gets.
+    async function claimPendingSessions(maxSessions) {
+        if (isShuttingDown()) return;
+        const sessionsToAttemptToClaim = maxSessions - activeSessions.size;
+        if (sessionsToAttemptToClaim <= 0) return;
+
+        const pollLog = logger.child({ component: 'Poll' });
+        for (let i = 0; i < sessionsToAttemptToClaim; i++) {
+            if (isShuttingDown()) {
+                pollLog.info('claim.shutdown', "Shutdown detected during claim loop.");
+                break;
+            }
+
+            const attemptLog = pollLog.child({ claim_attempt: `${i+1}/${sessionsToAttemptToClaim}` });
+            const helperBotId = getHelperBotId();
+            let claimResult;
+            try {
+                claimResult = await store.claimNextSession({ helperBotId });
+            } catch (dbError) {
+                attemptLog.error('claim.db_error', `DB Error during claim attempt: ${dbError.message}`, { err: dbError });
+                continue;
+            }
+
+            const { candidate, claimed: claimedSessionData } = claimResult;
+            if (!candidate) break;
+            if (!claimedSessionData) {
+                sessionLogger('Poll', candidate).warn('session.claim_lost', `Failed to claim (session ${candidate.session_id} likely picked by another instance or status changed before update).`);
+            } else if (candidate.status === 'pending_resume') {
+                const claimedLog = sessionLogger('Poll', claimedSessionData);
+                claimedLog.info('session.claimed', `Session successfully claimed by ${helperBotId} (instance ${settings.instanceId}).`);
+                claimedLog.info('session.resuming', "Resuming a run handed over by a draining instance.");
+                const sessionData = buildLocalSessionState(claimedSessionData);
+                activeSessions.set(claimedSessionData.session_id, sessionData);
+                metrics.sessionsClaimed.inc({ via: 'resume' });
+                resumeJackpotRunFromPersistedRolls(sessionData, claimedLog).catch(resumeErr => {
+                    claimedLog.error('resume.failed', `Error resuming handed-over run: ${resumeErr.message}`, { err: resumeErr });
+                });
+            } else {
+                const claimedLog = sessionLogger('Poll', claimedSessionData);
+                claimedLog.info('session.claimed', `Session successfully claimed by ${helperBotId} (instance ${settings.instanceId}).`);
+                claimedLog.info('session.starting', "Storing locally and sending initial prompt.");
+                activeSessions.set(claimedSessionData.session_id, buildLocalSessionState(claimedSessionData));
+                metrics.sessionsClaimed.inc({ via: 'claim' });
+                prepareProvablyFairSession(claimedSessionData.session_id)
+                    .then(() => sendJackpotRunUpdate(claimedSessionData.session_id))
+                    .catch(sendErr => {
+                        claimedLog.error('session.initial_prompt_failed', `Error in initial sendJackpotRunUpdate: ${sendErr.message}`, { err: sendErr });
+                        finalizeJackpotSession(claimedSessionData.session_id, 'error_helper_init_prompt',
+                                               parseInt(claimedSessionData.initial_score, 10), [],
+                                               `Failed initial prompt: ${String(sendErr.message).substring(0,100)}`);
+                    });
+            }
+            if (sessionsToAttemptToClaim > 1 && i < sessionsToAttemptToClaim -1) await clock.sleep(250);
+        }
+    }
+
+    // --- Session Leases (Multi-Instance Coordination) ---
+    // A claimed session is owned by exactly one helper instance (helper_instance_id) until lease_expires_at.
+    // The owner renews its leases every LEASE_RENEW_INTERVAL_MS; a session whose renewal comes back empty
+    // was taken over by another instance and is dropped locally without being finalized.
+    async function renewSessionLeases() {
+        if (activeSessions.size === 0) return;
+        const leaseLog = logger.child({ component: 'Lease' });
+        const localSessionIds = Array.from(activeSessions.keys());
+        let renewedIds;
+        try {
+            renewedIds = await store.renewLeases(localSessionIds);
+        } catch (dbError) {
+            leaseLog.error('lease.renew_failed', `Failed to renew leases for ${localSessionIds.length} active session(s): ${dbError.message}`, { session_count: localSessionIds.length, err: dbError });
+            return;
+        }
+
+        for (const sessionId of localSessionIds) {
+            if (renewedIds.has(String(sessionId))) continue;
+            const sessionData = activeSessions.get(sessionId);
+            if (!sessionData) continue; // Finalized while the renewal was in flight.
+            sessionLogger('Lease', sessionData).warn('lease.lost', "Lease lost (session finalized elsewhere or taken over by another instance). Dropping local state.");
+            dropJackpotRun(sessionData);
+        }
+    }
+
+    // Forgets a run this instance no longer holds, without finalizing it.
+    function dropJackpotRun(sessionData) {
+        endJackpotRunTurn(sessionData);
+        activeSessions.delete(sessionData.session_id);
+        if (hooks.onRunDropped) hooks.onRunDropped(sessionData);
+    }
+
+    // Rebuilds a taken-over run (crash recovery, or a 'pending_resume' handover) from de_jackpot_roll_events and
+    // prompts for the next roll. A run the persisted rolls already ended is finalized; one whose rolls can't be
+    // loaded is finalized with 'error_helper_recovery'.
+    async function resumeJackpotRunFromPersistedRolls(sessionData, sessionLog) {
+        const sessionId = sessionData.session_id;
+        let persistedRolls;
+        let runOutcome;
+        try {
+            persistedRolls = await loadPersistedJackpotRunRolls(sessionId);
+            runOutcome = applyPersistedRollsToSession(sessionData, persistedRolls);
+        } catch (loadError) {
+            sessionLog.error('resume.restore_failed', `Could not restore persisted rolls: ${loadError.message}. Finalizing with recovery status.`, { err: loadError });
+            await finalizeJackpotSession(sessionId, 'error_helper_recovery',
+                                         parseInt(sessionData.initial_score, 10), [],
+                                         'Jackpot run was interrupted by a helper restart and its rolls could not be restored.');
+            return;
+        }
+
+        if (runOutcome) {
+            sessionLog.warn('resume.run_already_ended', `Persisted rolls already ended the run (${runOutcome.status}). Finalizing.`, { status: runOutcome.status });
+            await finalizeJackpotSession(sessionId, runOutcome.status, sessionData.current_total_score,
+                                         sessionData.jackpot_run_rolls, runOutcome.notes, runOutcome);
+            return;
+        }
+        sessionLog.warn('session.resumed', `Resuming run with ${persistedRolls.length} persisted roll(s). Score: ${sessionData.current_total_score}`,
+            { roll_count: persistedRolls.length, score: sessionData.current_total_score });
+        // A run can reach us provably fair but without seeds: claimed before they were stored, or provably fair
+        // only through this instance's default. Seeds are committed before the first prompt, as on a fresh claim.
+        prepareProvablyFairSession(sessionId).then(() =>
+            sendJackpotRunUpdate(sessionId, null, { resumeDeadlineAt: sessionData.turn_deadline_at })
+        ).catch(sendErr => {
+            sessionLog.error('resume.prompt_failed', `Error sending resume prompt: ${sendErr.message}`, { err: sendErr });
+            finalizeJackpotSession(sessionId, 'error_helper_init_prompt',
+                                   sessionData.current_total_score, sessionData.jackpot_run_rolls,
+                                   `Failed resume prompt: ${String(sendErr.message).substring(0,100)}`);
+        });
+    }
+
+    // --- Crash Recovery for Orphaned Jackpot Sessions ---
+    // A crash or redeploy mid-run leaves rows in 'active_by_helper' whose lease nobody renews. Each sweep
+    // takes over rows with an expired lease (rows claimed before leases existed fall back to updated_at).
+    // On the startup sweep, rows held by our own instance id are orphans too, which only matters when
+    // HELPER_DEJ_INSTANCE_ID is pinned. Taken-over runs are rebuilt from de_jackpot_roll_events and resumed;
+    // only a run that can't be rebuilt is finalized with 'error_helper_recovery'.
+    async function recoverOrphanedJackpotSessions(isStartupSweep = false) {
+        if (isShuttingDown()) return;
+        const recoveryComponent = isStartupSweep ? 'Recovery_Startup' : 'Recovery';
+
+        let orphanedRows = [];
+        try {
+            orphanedRows = (await store.findOrphanedSessions({ includeOwn: isStartupSweep })).filter(row => !activeSessions.has(row.session_id));
+        } catch (dbError) {
+            logger.error('recovery.db_error', `DB Error while looking for orphaned sessions: ${dbError.message}`, { component: recoveryComponent, err: dbError });
+            return;
+        }
+
+        if (orphanedRows.length === 0) return;
+        logger.warn('recovery.orphans_found', `Found ${orphanedRows.length} orphaned session(s) in 'active_by_helper'.`, { component: recoveryComponent, session_count: orphanedRows.length });
+
+        for (const orphanRow of orphanedRows) {
+            if (isShuttingDown()) break;
+            const sessionLog = sessionLogger(recoveryComponent, orphanRow);
+            try {
+                const recoveredRow = await store.takeOverOrphanedSession(orphanRow.session_id, { helperBotId: getHelperBotId(), includeOwn: isStartupSweep });
+                if (!recoveredRow) {
+                    sessionLog.info('recovery.skipped', "Row changed before takeover (another instance recovered or finalized it). Skipping.");
+                    continue;
+                }
+
+                const sessionData = buildLocalSessionState(recoveredRow);
+                activeSessions.set(recoveredRow.session_id, sessionData);
+                metrics.sessionsClaimed.inc({ via: 'recovery' });
+                const previousInstance = orphanRow.helper_instance_id || orphanRow.helper_bot_id || 'N/A';
+                sessionLog.warn('session.recovered', `Took over orphaned session (previous instance: ${previousInstance}).`, { previous_instance: previousInstance });
+                await resumeJackpotRunFromPersistedRolls(sessionData, sessionLog);
+            } catch (recoveryError) {
+                sessionLog.error('recovery.failed', `Error recovering orphaned session: ${recoveryError.message}`, { err: recoveryError });
+            }
+        }
+    }
+
+    // --- Jackpot Run Card ---
+    // Each session has one "run card" message (run_card_message_id, persisted so a recovered session keeps
+    // editing the same card). Rolls and the turn countdown edit it in place; if an edit fails (card deleted,
+    // too old to edit, rate-limited) a fresh card is sent and becomes the session's card.
+    function buildJackpotRunCardHTML(sessionData) {
+        const language = sessionLanguage(sessionData);
+        const diceEmoji = sessionData.rules.emoji;
+        const jackpotRunRollsDisplay = formatDiceRollsHTML(sessionData.jackpot_run_rolls, diceEmoji, language);
+        const rulesDescriptionHTML = describeJackpotRules(sessionData.rules, (phraseKey, params) => messages.render(language, `rules.${phraseKey}`, params));
+
+        let message = `${messages.render(language, 'run_card.title')}\n\n` +
+                      `${messages.render(language, 'run_card.initial_score', { initial_score: sessionData.initial_score })}\n` +
+                      `${messages.render(language, 'run_card.rolls', { rolls: trustedHTML(jackpotRunRollsDisplay) })}\n` +
+                      `${messages.render(language, 'run_card.total_score', { total_score: sessionData.current_total_score })}\n` +
+                      `${messages.render(language, 'run_card.target', { target: sessionData.rules.targetScore, rules: trustedHTML(rulesDescriptionHTML) })}\n` +
+                      `${messages.render(language, 'run_card.pool', { pool: trustedHTML(sessionData.jackpotPoolDisplayHTML || messages.render(language, 'run_card.pool_calculating')) })}\n\n`;
+
+        if (sessionData.provably_fair && sessionData.pf_server_seed_hash) {
+            message += `${messages.render(language, 'run_card.provably_fair', {
+                server_seed_hash: sessionData.pf_server_seed_hash,
+                client_seed: sessionData.pf_client_seed,
+                nonce: sessionData.jackpot_run_rolls.length
+            })}\n\n`;
+        }
+
+        if (sessionData.last_roll_value !== null && sessionData.last_roll_value !== undefined) {
+            const lastRollKey = sessionData.lastRollVia === 'auto' ? 'run_card.auto_rolled' : 'run_card.last_roll';
+            message += `${messages.render(language, lastRollKey, { emoji: diceEmoji, roll: sessionData.last_roll_value })}\n\n`;
+        }
+
+        if (sessionData.status === 'active_by_helper') {
+            const secondsLeft = Math.max(0, Math.ceil((sessionData.turnDeadlineAt - clock.now()) / 1000));
+            message += messages.render(language, 'run_card.prompt', { emoji: diceEmoji, seconds_left: secondsLeft });
+        } else {
+            message += messages.render(language, 'run_card.ended', { notes: sessionData.outcome_notes || trustedHTML(messages.render(language, 'run_card.ended_default_notes')) });
+        }
+        return message;
+    }
+
+    // Inline controls are only shown while the run is live; a card edited without reply_markup loses them.
+    function buildJackpotRunCardKeyboard(sessionData) {
+        if (sessionData.status !== 'active_by_helper') return undefined;
+        const language = sessionLanguage(sessionData);
+        const controls = [{ text: messages.renderText(language, 'button.roll', { emoji: sessionData.rules.emoji }), callback_data: `dej:roll:${sessionData.session_id}` }];
+        if (settings.allowStopButton) controls.push({ text: messages.renderText(language, 'button.stop'), callback_data: `dej:stop:${sessionData.session_id}` });
+        return { inline_keyboard: [controls] };
+    }
+
+    async function storeRunCardMessageId(sessionData, messageId) {
+        sessionData.run_card_message_id = messageId;
+        try {
+            await store.storeRunCardMessageId(sessionData.session_id, messageId);
+        } catch (dbError) {
+            sessionLogger('RunCard', sessionData).error('run_card.store_failed', `Failed to store run card message id ${messageId}: ${dbError.message}`, { message_id: messageId, err: dbError });
+        }
+    }
+
+    // Edits the session's run card, or sends a fresh one when there is no card or the edit failed.
+    // With allowResend=false (countdown ticks) a failed edit is just skipped. Errors from sending a
+    // fresh card, and edits that failed because the chat is gone, are thrown to the caller.
+    // guaranteed (the final result) asks the outbound queue to keep retrying through rate limits and outages.
+    async function upsertJackpotRunCard(sessionData, messageHTML, { allowResend = true, replyMarkup, guaranteed = false } = {}) {
+        if (sessionData.run_card_message_id) {
+            try {
+                await telegram.editMessageText(messageHTML, {
+                    chat_id: sessionData.chat_id,
+                    message_id: sessionData.run_card_message_id,
+                    parse_mode: 'HTML',
+                    reply_markup: replyMarkup
+                }, { guaranteed });
+                return;
+            } catch (editErr) {
+                if (isMessageNotModifiedError(editErr)) return;
+                onTelegramError('editMessageText', editErr);
+                if (!allowResend) return;
+                if (isPermanentChatError(editErr)) throw editErr; // A fresh card would fail the same way
+                sessionLogger('RunCard', sessionData).warn('run_card.edit_failed', `Editing run card ${sessionData.run_card_message_id} failed (${editErr.message}). Sending a fresh card.`,
+                    { message_id: sessionData.run_card_message_id, err: editErr });
+            }
+        } else if (!allowResend) {
+            return;
+        }
+
+        let sentCard;
+        try {
+            sentCard = await telegram.sendMessage(sessionData.chat_id, messageHTML, { parse_mode: 'HTML', reply_markup: replyMarkup }, { guaranteed });
+        } catch (sendErr) {
+            onTelegramError('sendMessage', sendErr);
+            throw sendErr;
+        }
+        await storeRunCardMessageId(sessionData, sentCard.message_id);
+    }
+
+    async function refreshJackpotRunCountdown(sessionId) {
+        const sessionData = activeSessions.get(sessionId);
+        if (!sessionData || sessionData.status !== 'active_by_helper' || !sessionData.run_card_message_id) return;
+        if (sessionData.turnDeadlineAt - clock.now() <= 0) return; // The turn timeout takes over from here
+        await upsertJackpotRunCard(sessionData, buildJackpotRunCardHTML(sessionData), { allowResend: false, replyMarkup: buildJackpotRunCardKeyboard(sessionData) });
+    }
+
+    // --- Jackpot Run Turns ---
+    // A turn is just a deadline: sessionData.turnDeadlineAt, mirrored to de_jackpot_sessions.turn_deadline_at.
+    // There are no per-session timers. One ticker (startTurnDeadlineTicker) walks the local runs, sends the due
+    // reminders, refreshes countdowns and applies the session's timeout policy once a deadline has passed.
+    // A reminder or card edit that fails doesn't touch the deadline. A timeout whose handling fails leaves it
+    // in the past, so the next tick tries again. A restarted or handed-over run picks the persisted deadline up.
+    function startJackpotRunTurn(sessionData, resumeDeadlineAt = null) {
+        const now = clock.now();
+        const { timeoutMs, reminderPointsMs } = sessionData.turnSettings;
+        sessionData.turnPromptedAt = now; // Dice sent before this don't count (see checkDiceMessage)
+        sessionData.turnDeadlineAt = resumeDeadlineAt
+            ? Math.min(Math.max(new Date(resumeDeadlineAt).getTime(), now + Math.min(settings.turnResumeMinMs, timeoutMs)), now + timeoutMs)
+            : now + timeoutMs;
+        sessionData.turnRemindersSent = new Set(remindersDueAtStart(reminderPointsMs, sessionData.turnDeadlineAt, now));
+        sessionData.countdownRefreshedAt = now;
+        store.storeTurnDeadline(sessionData.session_id, new Date(sessionData.turnDeadlineAt)).catch(dbError => {
+            // The local deadline still holds; only a restart before the next turn would fall back to a fresh turn.
+            sessionLogger('Turn', sessionData).error('turn.persist_failed', `Failed to store the turn deadline: ${dbError.message}`, { err: dbError });
+        });
+    }
+
+    // Ends the current turn (a new one starts, or the run is over) and takes its reminder out of the chat.
+    function endJackpotRunTurn(sessionData) {
+        sessionData.turnDeadlineAt = null;
+        if (sessionData.turnReminderMessageId) {
+            telegram.deleteMessage(sessionData.chat_id, sessionData.turnReminderMessageId).catch(() => {});
+            sessionData.turnReminderMessageId = null;
+        }
+    }
+
+    // The policy a timeout will apply right now: auto_roll turns into bank once maxAutoRolls rolls in a row
+    // were made for the player, so an absent player's run isn't played to the end for them.
+    function effectiveTurnTimeoutPolicy(sessionData) {
+        const { policy } = sessionData.turnSettings;
+        if (policy === TURN_TIMEOUT_POLICIES.autoRoll && settings.maxAutoRolls > 0 && sessionData.autoRollStreak >= settings.maxAutoRolls) {
+            return TURN_TIMEOUT_POLICIES.bank;
+        }
+        return policy;
+    }
+
+    async function sendTurnReminder(sessionData, pointMs) {
+        const sessionLog = sessionLogger('Turn', sessionData);
+        const turnDeadlineAt = sessionData.turnDeadlineAt;
+        const secondsLeft = Math.max(1, Math.ceil((turnDeadlineAt - clock.now()) / 1000));
+        const policy = effectiveTurnTimeoutPolicy(sessionData);
+        metrics.turnReminders.inc({ policy });
+        sessionLog.info('turn.reminder', `Reminding the player: ${secondsLeft}s left (reminder at ${pointMs}ms, policy ${policy}).`, { seconds_left: secondsLeft, point_ms: pointMs, policy });
+        let reminderMessage;
+        try {
+            // A new message rather than a card edit, so the player's phone actually notifies them.
+            reminderMessage = await telegram.sendMessage(sessionData.chat_id,
+                messages.render(sessionLanguage(sessionData), `turn.reminder.${policy}`, { seconds: secondsLeft, emoji: sessionData.rules.emoji }),
+                { parse_mode: 'HTML', reply_to_message_id: sessionData.run_card_message_id || undefined, allow_sending_without_reply: true });
+        } catch (sendErr) {
+            onTelegramError('sendMessage', sendErr);
+            sessionLog.warn('turn.reminder_failed', `Could not send the turn reminder: ${sendErr.message}`, { err: sendErr });
+            return;
+        }
+        if (!activeSessions.has(sessionData.session_id) || sessionData.turnDeadlineAt !== turnDeadlineAt) {
+            telegram.deleteMessage(sessionData.chat_id, reminderMessage.message_id).catch(() => {}); // The turn ended while it was sent
+            return;
+        }
+        if (sessionData.turnReminderMessageId) telegram.deleteMessage(sessionData.chat_id, sessionData.turnReminderMessageId).catch(() => {});
+        sessionData.turnReminderMessageId = reminderMessage.message_id;
+    }
+
+    function tickTurnDeadlines() {
+        const now = clock.now();
+        for (const sessionData of activeSessions.values()) {
+            // A roll being applied ends the turn itself; the deadline is only looked at again once it settles.
+            if (!sessionData.turnDeadlineAt || sessionData.status !== 'active_by_helper' || sessionData.isRollInProgress) continue;
+            const action = nextTurnAction({
+                deadlineAt: sessionData.turnDeadlineAt,
+                reminderPointsMs: sessionData.turnSettings.reminderPointsMs,
+                remindersSent: sessionData.turnRemindersSent,
+                countdownRefreshedAt: sessionData.countdownRefreshedAt
+            }, now, { countdownIntervalMs: settings.countdownIntervalMs });
+            if (!action) continue;
+
+            const sessionLog = sessionLogger('Turn', sessionData);
+            if (action.type === 'timeout') {
+                handleJackpotRunTurnTimeout(sessionData.session_id).catch(err => sessionLog.error('turn.timeout_failed', `Error handling turn timeout: ${err.message}`, { err }));
+            } else if (action.type === 'reminder') {
+                sessionData.turnRemindersSent.add(action.pointMs);
+                sendTurnReminder(sessionData, action.pointMs).catch(err => sessionLog.error('turn.reminder_failed', `Error sending turn reminder: ${err.message}`, { err }));
+            } else if (!sessionData.isCountdownRefreshing) { // Don't stack edits while Telegram is slow
+                sessionData.countdownRefreshedAt = now;
+                sessionData.isCountdownRefreshing = true;
+                refreshJackpotRunCountdown(sessionData.session_id)
+                    .catch(err => sessionLog.warn('run_card.countdown_failed', `Countdown refresh failed: ${err.message}`, { err }))
+                    .finally(() => { sessionData.isCountdownRefreshing = false; });
+            }
+        }
+    }
+
+    function startTurnDeadlineTicker() {
+        if (turnDeadlineTickerId) return;
+        turnDeadlineTickerId = clock.setInterval(tickTurnDeadlines, settings.turnTickIntervalMs);
+    }
+
+    function stopTurnDeadlineTicker() {
+        if (turnDeadlineTickerId) clock.clearInterval(turnDeadlineTickerId);
+        turnDeadlineTickerId = null;
+    }
+
+    // Prompts for the next roll and starts its turn. resumeDeadlineAt is the persisted turn_deadline_at of a run
+    // being resumed, so a restart doesn't hand the player a fresh full turn (or take the one they had away).
+    async function sendJackpotRunUpdate(sessionId, lastRollValue = null, { resumeDeadlineAt = null } = {}) {
+        const sessionData = activeSessions.get(sessionId);
+        if (!sessionData) {
+            logger.warn('session.not_active', "No active session data found.", { component: 'Update', session_id: sessionId });
+            return;
+        }
+        const sessionLog = sessionLogger('Update', sessionData);
+        if (sessionData.rulesError) {
+            throw new Error(`Invalid jackpot rules: ${sessionData.rulesError}`);
+        }
+
+        endJackpotRunTurn(sessionData);
+        sessionData.last_roll_value = lastRollValue;
+
+        try {
+            if (!sessionData.chatSettings) {
+                sessionData.chatSettings = await store.loadChatSettings(sessionData.chat_id);
+            }
+            sessionData.jackpotPoolDisplayHTML = await formatJackpotPoolForDisplay(sessionData);
+        } catch (displayError) {
+            sessionLog.warn('pool.display_failed', `Could not format jackpot pool for display: ${displayError.message}`, { err: displayError });
+            sessionData.jackpotPoolDisplayHTML = messages.render(sessionLanguage(sessionData), 'run_card.pool_unavailable');
+        }
+
+        if (sessionData.status === 'active_by_helper') {
+            startJackpotRunTurn(sessionData, resumeDeadlineAt);
+        }
+        activeSessions.set(sessionId, sessionData);
+
+        try {
+            await upsertJackpotRunCard(sessionData, buildJackpotRunCardHTML(sessionData), { replyMarkup: buildJackpotRunCardKeyboard(sessionData) });
+        } catch (err) {
+            sessionLog.error('run_card.send_failed', `Error sending jackpot run card: ${err.message}`, { err });
+            // Rate limits and outages were already retried by the outbound queue; only a chat the bot can no
+            // longer post to ends the run. Anything else leaves the turn running on the old card.
+            if (isPermanentChatError(err)) {
+                finalizeJackpotSession(sessionId, 'error_sending_message', sessionData.current_total_score, sessionData.jackpot_run_rolls, `Helper failed to send update to chat: ${err.message.substring(0,100)}`);
+            }
+        }
+        if (hooks.onRunUpdated) hooks.onRunUpdated(sessionData);
+    }
+
+    // Applies one jackpot-run roll (from the player's own 🎲 message or the Roll button) and either ends the
+    // run or prompts for the next roll. In provably-fair mode telegramDiceValue is ignored and the value is
+    // derived from the session seeds. Callers hold sessionData.isRollInProgress around this call.
+    async function processJackpotRunRoll(sessionId, telegramDiceValue, telegramMessageId) {
+        const sessionDataRef = activeSessions.get(sessionId);
+        if (!sessionDataRef || sessionDataRef.status !== 'active_by_helper') return;
+        const sessionLog = sessionLogger('Roll', sessionDataRef);
+        if (sessionDataRef.provably_fair && !sessionDataRef.pf_server_seed) {
+            // Seeds are committed before the first prompt; without them no roll can be derived or verified.
+            sessionLog.error('roll.provably_fair_unseeded', "Provably fair run has no server seed. Finalizing with error status.");
+            await finalizeJackpotSession(sessionId, 'error_provably_fair_unseeded', sessionDataRef.current_total_score, sessionDataRef.jackpot_run_rolls,
+                                         'Provably fair run had no committed server seed; no further rolls could be made.');
+            return;
+        }
+
+        const pfNonce = sessionDataRef.provably_fair ? sessionDataRef.jackpot_run_rolls.length : null;
+        const diceValue = sessionDataRef.provably_fair
+            ? deriveProvablyFairRollForRules(sessionDataRef.rules, sessionDataRef.pf_server_seed, sessionDataRef.pf_client_seed, pfNonce)
+            : telegramDiceValue;
+        if (pfNonce !== null) sessionLog.info('roll.provably_fair', `Provably fair roll (nonce ${pfNonce}): ${diceValue}`, { nonce: pfNonce, roll_value: diceValue });
+
+        const evaluation = evaluateJackpotRoll(sessionDataRef.rules, {
+            initialScore: sessionDataRef.initial_score,
+            runRolls: sessionDataRef.jackpot_run_rolls,
+            runScore: sessionDataRef.jackpot_run_score
+        }, diceValue);
+        const rollIndex = sessionDataRef.jackpot_run_rolls.length;
+        let stillOwnsSession;
+        try {
+            stillOwnsSession = await recordJackpotRunRoll(sessionId, rollIndex, diceValue, evaluation.totalScore, telegramMessageId, pfNonce);
+        } catch (dbError) {
+            // The roll isn't counted: the run ends on the rolls that are in the log.
+            sessionLog.error('roll.not_saved', `Roll ${diceValue} could not be saved. Finalizing with error status.`, { roll_value: diceValue, err: dbError });
+            await finalizeJackpotSession(sessionId, 'error_roll_not_saved', sessionDataRef.current_total_score, sessionDataRef.jackpot_run_rolls,
+                                         `Roll ${diceValue} could not be saved: ${String(dbError.message).substring(0,100)}`);
+            return;
+        }
+        if (!stillOwnsSession) {
+            sessionLog.warn('roll.lease_lost', `Roll ignored: this instance (${settings.instanceId}) no longer holds the session lease.`, { roll_value: diceValue });
+            dropJackpotRun(sessionDataRef);
+            return;
+        }
+        sessionDataRef.jackpot_run_rolls.push(diceValue);
+        sessionDataRef.jackpot_run_score = evaluation.runScore;
+        sessionDataRef.current_total_score = evaluation.totalScore;
+        metrics.rolls.inc({ mode: sessionDataRef.provably_fair ? 'provably_fair' : 'telegram' });
+
+        const runOutcome = evaluation.outcome;
+        if (runOutcome) {
+            sessionLog.info('run.ended', `Run ended (${runOutcome.status}) on roll ${diceValue} (+${evaluation.points}). Total score: ${sessionDataRef.current_total_score}`,
+                { status: runOutcome.status, roll_value: diceValue, score: sessionDataRef.current_total_score });
+            await finalizeJackpotSession(sessionId, runOutcome.status, sessionDataRef.current_total_score, sessionDataRef.jackpot_run_rolls, runOutcome.notes, runOutcome);
+        } else {
+            activeSessions.set(sessionId, sessionDataRef);
+            await sendJackpotRunUpdate(sessionId, diceValue);
+        }
+    }
+
+    // A roll from a dice message the player sent (and the anti-abuse checks accepted).
+    async function rollFromPlayerDice(sessionId, sessionData, diceValue, telegramMessageId) {
+        sessionData.autoRollStreak = 0;
+        sessionData.lastRollVia = 'dice';
+        sessionData.isRollInProgress = true;
+        try {
+            await processJackpotRunRoll(sessionId, diceValue, telegramMessageId);
+        } finally {
+            sessionData.isRollInProgress = false;
+        }
+    }
+
+    // Rolls on the player's behalf, for the Roll button ('button') and the auto_roll timeout policy ('auto'):
+    // the bot throws the dice itself, or in provably-fair mode the value is derived without one. A roll that
+    // fails re-prompts the player with a fresh turn.
+    async function rollJackpotRunForPlayer(sessionId, sessionData, sessionLog, via) {
+        sessionData.isRollInProgress = true;
+        try {
+            if (sessionData.provably_fair) {
+                // A Telegram dice animation would show its own (different) value, so none is sent.
+                sessionLog.info('roll.received', `User ${sessionData.user_id} rolled via ${via} (provably fair).`, { via });
+                sessionData.lastRollVia = via;
+                await processJackpotRunRoll(sessionId, null, null);
+                return;
+            }
+            const diceMessage = await telegram.sendDice(sessionData.chat_id, { emoji: sessionData.rules.emoji })
+                .catch(diceErr => { onTelegramError('sendDice', diceErr); throw diceErr; });
+            const diceValue = diceMessage.dice.value;
+            sessionLog.info('roll.received', `User ${sessionData.user_id} rolled ${diceValue} via ${via}.`, { roll_value: diceValue, via });
+            await clock.sleep(settings.diceAnimationDelayMs); // Let the animation land before the card reveals the value
+            telegram.deleteMessage(sessionData.chat_id, diceMessage.message_id).catch(() => {});
+            sessionData.lastRollVia = via;
+            await processJackpotRunRoll(sessionId, diceValue, diceMessage.message_id);
+        } catch (rollErr) {
+            sessionLog.error('roll.failed', `Error rolling via ${via}: ${rollErr.message}`, { via, err: rollErr });
+            if (activeSessions.has(sessionId)) await sendJackpotRunUpdate(sessionId, sessionData.last_roll_value);
+        } finally {
+            sessionData.isRollInProgress = false;
+        }
+    }
+
+    // Called by the turn deadline ticker once the turn's deadline has passed; applies the session's timeout policy.
+    async function handleJackpotRunTurnTimeout(sessionId) {
+        const sessionData = activeSessions.get(sessionId);
+        if (!sessionData || sessionData.status !== 'active_by_helper' || sessionData.isRollInProgress) return;
+
+        const sessionLog = sessionLogger('Timeout', sessionData);
+        const policy = effectiveTurnTimeoutPolicy(sessionData);
+        metrics.turnTimeouts.inc({ policy });
+        sessionLog.info('run.turn_timeout', `User ${sessionData.user_id} timed out during jackpot run (policy ${policy}).`, { policy, auto_roll_streak: sessionData.autoRollStreak });
+
+        if (policy === TURN_TIMEOUT_POLICIES.autoRoll) {
+            sessionData.autoRollStreak++;
+            await rollJackpotRunForPlayer(sessionId, sessionData, sessionLog, 'auto');
+        } else if (policy === TURN_TIMEOUT_POLICIES.bank) {
+            const score = sessionData.current_total_score;
+            await finalizeJackpotSession(sessionId, 'completed_timeout_banked', score, sessionData.jackpot_run_rolls, `Turn timed out; the score of ${score} was banked.`,
+                                         { messageKey: 'outcome.timeout_banked', messageParams: { score } });
+        } else {
+            await finalizeJackpotSession(sessionId, 'completed_timeout_forfeit', sessionData.current_total_score, sessionData.jackpot_run_rolls, "Turn timed out during jackpot run.",
+                                         { messageKey: 'outcome.timeout' });
+        }
+    }
+
+    // outcomeNotesStr is stored for the main bot as-is. outcomeMessage ({ messageKey, messageParams }, e.g. a
+    // rules-engine outcome) lets the player see the notes in their own language; without it they see outcomeNotesStr.
+    // Resolves to the store's result ({ chatId }), or null when nothing was written (lease lost or a DB error).
+    async function finalizeJackpotSession(sessionId, finalStatus, finalOverallScore, jackpotRunRollsArray, outcomeNotesStr, outcomeMessage = null) {
+        const sessionData = activeSessions.get(sessionId); // Get a fresh copy or the existing one
+        const sessionLog = sessionData ? sessionLogger('Finalize', sessionData) : logger.child({ component: 'Finalize', session_id: sessionId });
+
+        if (sessionData) endJackpotRunTurn(sessionData);
+        activeSessions.delete(sessionId); // Remove from active map
+
+        sessionLog.info('session.finalizing', `Finalizing with status: ${finalStatus}, Score: ${finalOverallScore}, Outcome: ${outcomeNotesStr}`,
+            { status: finalStatus, score: finalOverallScore });
+
+        const initialRolls = JSON.parse(sessionData?.initial_rolls_json || '[]');
+        const finalRollsCombined = JSON.stringify([...initialRolls, ...jackpotRunRollsArray]);
+
+        const language = sessionLanguage(sessionData);
+        const notesHTML = outcomeMessage && outcomeMessage.messageKey
+            ? messages.render(language, outcomeMessage.messageKey, outcomeMessage.messageParams || {})
+            : escapeHTML(outcomeNotesStr);
+        // Statuses without their own templates (error_sending_message, error_helper_init_prompt, ...) share "final.error.*".
+        const finalMessageStatus = [
+            'completed_bust', 'completed_target_reached', 'completed_timeout_forfeit', 'completed_timeout_banked',
+            'completed_max_rolls', 'completed_player_stopped', 'error_helper_recovery'
+        ].includes(finalStatus) ? finalStatus : 'error';
+        const messageParams = {
+            session_id: sessionId,
+            score: finalOverallScore,
+            score_line: trustedHTML(messages.render(language, 'final.score', { score: finalOverallScore })),
+            notes: trustedHTML(notesHTML)
+        };
+        const finalHelperMessageTitle = messages.render(language, `final.${finalMessageStatus}.title`, messageParams);
+        const finalHelperMessageBody = messages.render(language, `final.${finalMessageStatus}.body`, messageParams);
+
+        let provablyFairReveal = '';
+        if (sessionData && sessionData.provably_fair && sessionData.pf_server_seed) {
+            provablyFairReveal = `\n\n${messages.render(language, 'final.provably_fair_reveal', {
+                session_id: sessionId,
+                server_seed: sessionData.pf_server_seed,
+                server_seed_hash: sessionData.pf_server_seed_hash,
+                client_seed: sessionData.pf_client_seed
+            })}`;
+        }
+
+        const finalHelperMessage = `${finalHelperMessageTitle}\n\n${finalHelperMessageBody}${provablyFairReveal}\n\n${messages.render(language, 'final.footer')}`;
+
+        try {
+            const finalized = await store.finalizeSession(sessionId, {
+                status: finalStatus,
+                finalScore: finalOverallScore,
+                finalRollsJson: finalRollsCombined,
+                outcomeNotes: outcomeNotesStr
+            });
+            if (finalized) {
+                sessionLog.info('session.finalized', `DB record updated to ${finalStatus}. Main Bot will pick this up.`, { status: finalStatus, score: finalOverallScore });
+                metrics.sessionsFinalized.inc({ status: finalStatus });
+                if (hooks.onRunFinalized) hooks.onRunFinalized({ sessionId, chatId: finalized.chatId, status: finalStatus, score: finalOverallScore, sessionData });
+                if (sessionData && sessionData.chat_id) { // Ensure sessionData (and thus chat_id) is available
+                    // The final result replaces the run card rather than adding another message to the chat.
+                    upsertJackpotRunCard(sessionData, finalHelperMessage, { guaranteed: true }).catch(e => sessionLog.error('session.final_message_failed', `Error sending final helper message: ${e.message}`, { err: e }));
+                } else {
+                    sessionLog.warn('session.final_message_skipped', `Could not send final helper message because sessionData or chat_id was missing for session ${sessionId}. This can happen if finalization occurs without full session context (e.g. error during init).`);
+                }
+            } else {
+                sessionLog.warn('session.finalize_skipped', `Did not update DB record for session ${sessionId}. Status might have been changed by another process or the lease is held by another instance.`);
+            }
+            return finalized;
+        } catch (dbError) {
+            sessionLog.error('session.finalize_failed', `Error updating de_jackpot_sessions table to final status: ${dbError.message}`, { status: finalStatus, err: dbError });
+            return null;
+        }
+    }
+
+    return {
+        activeSessions,
+        sessionLogger,
+        sessionLanguage,
+        formatDiceRollsHTML,
+        buildLocalSessionState,
+        loadPersistedJackpotRunRolls,
+        applyPersistedRollsToSession,
+        claimPendingSessions,
+        renewSessionLeases,
+        recoverOrphanedJackpotSessions,
+        refreshJackpotRunCountdown,
+        endJackpotRunTurn,
+        tickTurnDeadlines,
+        startTurnDeadlineTicker,
+        stopTurnDeadlineTicker,
+        sendJackpotRunUpdate,
+        rollFromPlayerDice,
+        rollJackpotRunForPlayer,
+        finalizeJackpotSession
+    };
+}
@@ -0,0 +1,202 @@
+// jackpot_session_store.js - Postgres access for the jackpot run lifecycle
+//
+// Everything jackpot_run_engine.js reads or writes about a session goes through this store: claiming,
+// leases, the roll log, the run card and turn bookkeeping, and finalization. Ownership is enforced here;
+// every write to a running session is conditional on this instance still holding its lease.
+// The simulator (jackpot_simulate.js) swaps it for an in-memory store with the same methods.
+
+//   pool: a pg Pool (query, connect).
+//   instanceId: HELPER_INSTANCE_ID, written to helper_instance_id on claim.
+//   leaseTtlMs: how long a claim, takeover or renewal holds the session.
+//   resultNotifyChannel: when set, finalizeSession NOTIFYs this channel with the result (see below).
+//   useResultOutbox: when true, finalizeSession also queues the result in de_jackpot_result_outbox for
+//     jackpot_result_callback.js to deliver.
+//   logger: a jackpot_logger.js logger.
+export function createSessionStore({ pool, instanceId, leaseTtlMs, resultNotifyChannel = null, useResultOutbox = false, logger }) {
+    // The result callbacks ride on the finalizing statement itself, so they exist exactly when the update commits:
+    // pg_notify is only delivered on commit, and the outbox row is written in the same transaction.
+    const finalizeSql = `
+        WITH finalized AS (
+            UPDATE de_jackpot_sessions
+            SET status = $1, final_score = $2, final_rolls_json = $3, outcome_notes = $4, lease_expires_at = NULL, updated_at = NOW()
+            WHERE session_id = $5 AND status = 'active_by_helper' AND helper_instance_id = $6
+            RETURNING session_id, chat_id, user_id, status, final_score, final_rolls_json, outcome_notes, updated_at
+        ), result AS (
+            SELECT chat_id, jsonb_build_object(
+                       'session_id', session_id::text, 'status', status, 'final_score', final_score,
+                       'chat_id', chat_id::text, 'user_id', user_id::text, 'final_rolls_json', final_rolls_json,
+                       'outcome_notes', outcome_notes, 'finalized_at', updated_at) AS payload
+            FROM finalized
+        )${useResultOutbox ? `, outboxed AS (
+            INSERT INTO de_jackpot_result_outbox (session_id, status, payload)
+            SELECT payload->>'session_id', payload->>'status', payload FROM result
+        )` : ''}
+        SELECT chat_id${resultNotifyChannel ? `,
+               pg_notify($7, jsonb_build_object('session_id', payload->'session_id', 'status', payload->'status',
+                                                'final_score', payload->'final_score')::text)` : ''}
+        FROM result`;
+
+    return {
+        // Claims the oldest claimable session in one transaction. Handed-over runs ('pending_resume') go first;
+        // a paused fleet (/pause) claims no new 'pending_pickup' ones. Resolves to { candidate, claimed }:
+        // candidate is the row that was locked (null when there was nothing to claim) and claimed the updated
+        // row, or null when the row changed before the update.
+        async claimNextSession({ helperBotId }) {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const selectRes = await client.query(
+                    `SELECT * FROM de_jackpot_sessions
+                     WHERE status = 'pending_resume'
+                        OR (status = 'pending_pickup'
+                            AND NOT EXISTS (SELECT 1 FROM de_jackpot_helper_control WHERE claiming_paused))
+                     ORDER BY (status = 'pending_resume') DESC, created_at ASC
+                     LIMIT 1
+                     FOR UPDATE SKIP LOCKED`
+                );
+                const candidate = selectRes.rows[0] || null;
+                if (!candidate) {
+                    await client.query('COMMIT');
+                    return { candidate: null, claimed: null };
+                }
+                const updateRes = await client.query(
+                    `UPDATE de_jackpot_sessions
+                     SET status = $1, helper_bot_id = $2, helper_instance_id = $3,
+                         lease_expires_at = NOW() + ($4::int * INTERVAL '1 millisecond'), updated_at = NOW()
+                     WHERE session_id = $5 AND status IN ('pending_pickup', 'pending_resume') RETURNING *`,
+                    ['active_by_helper', helperBotId, instanceId, leaseTtlMs, candidate.session_id]
+                );
+                await client.query(updateRes.rowCount > 0 ? 'COMMIT' : 'ROLLBACK');
+                return { candidate, claimed: updateRes.rows[0] || null };
+            } catch (dbError) {
+                try { await client.query('ROLLBACK'); }
+                catch (rbErr) { logger.error('claim.rollback_failed', `Claim attempt rollback error: ${rbErr.message}`, { component: 'Poll', err: rbErr }); }
+                throw dbError;
+            } finally {
+                client.release();
+            }
+        },
+
+        // Extends the leases of the given sessions. Resolves to the ids (as strings) still held by this instance.
+        async renewLeases(sessionIds) {
+            const renewRes = await pool.query(
+                `UPDATE de_jackpot_sessions
+                 SET lease_expires_at = NOW() + ($1::int * INTERVAL '1 millisecond'), updated_at = NOW()
+                 WHERE session_id::text = ANY($2::text[]) AND status = 'active_by_helper' AND helper_instance_id = $3
+                 RETURNING session_id`,
+                [leaseTtlMs, sessionIds.map(String), instanceId]
+            );
+            return new Set(renewRes.rows.map(row => String(row.session_id)));
+        },
+
+        // Running sessions whose lease has expired (rows claimed before leases existed fall back to updated_at).
+        // With includeOwn (the startup sweep), rows held by this instance id count as orphaned too.
+        async findOrphanedSessions({ includeOwn }) {
+            const orphanRes = await pool.query(
+                `SELECT * FROM de_jackpot_sessions
+                 WHERE status = 'active_by_helper'
+                   AND (COALESCE(lease_expires_at, updated_at + ($1::int * INTERVAL '1 millisecond')) < NOW()
+                        OR ($2::boolean AND helper_instance_id = $3))
+                 ORDER BY updated_at ASC`,
+                [leaseTtlMs, includeOwn, instanceId]
+            );
+            return orphanRes.rows;
+        },
+
+        // Re-checking the expiry in the UPDATE (which also grants us a fresh lease) means only one recovering
+        // instance can take the row. Resolves to the taken-over row, or null.
+        async takeOverOrphanedSession(sessionId, { helperBotId, includeOwn }) {
+            const takeoverRes = await pool.query(
+                `UPDATE de_jackpot_sessions
+                 SET helper_bot_id = $1, helper_instance_id = $2,
+                     lease_expires_at = NOW() + ($3::int * INTERVAL '1 millisecond'), updated_at = NOW()
+                 WHERE session_id = $4 AND status = 'active_by_helper'
+                   AND (COALESCE(lease_expires_at, updated_at + ($3::int * INTERVAL '1 millisecond')) < NOW()
+                        OR ($5::boolean AND helper_instance_id = $2))
+                 RETURNING *`,
+                [helperBotId, instanceId, leaseTtlMs, sessionId, includeOwn]
+            );
+            return takeoverRes.rows[0] || null;
+        },
+
+        // Appends one roll to de_jackpot_roll_events, only while this instance holds the session. Resolves to
+        // false when it doesn't.
+        async recordRoll({ sessionId, rollIndex, rollValue, runningTotal, telegramMessageId = null, pfNonce = null }) {
+            const insertRes = await pool.query(
+                `INSERT INTO de_jackpot_roll_events (session_id, roll_index, roll_value, running_total, telegram_message_id, pf_nonce)
+                 SELECT $1, $2, $3, $4, $5, $7
+                 WHERE EXISTS (SELECT 1 FROM de_jackpot_sessions
+                               WHERE session_id::text = $1 AND status = 'active_by_helper' AND helper_instance_id = $6)`,
+                [String(sessionId), rollIndex, rollValue, runningTotal, telegramMessageId || null, instanceId, pfNonce]
+            );
+            return insertRes.rowCount > 0;
+        },
+
+        async loadRolls(sessionId) {
+            const res = await pool.query(
+                `SELECT roll_index, roll_value, running_total, telegram_message_id, pf_nonce, rolled_at
+                 FROM de_jackpot_roll_events WHERE session_id = $1 ORDER BY roll_index ASC`,
+                [String(sessionId)]
+            );
+            return res.rows;
+        },
+
+        // Stores the seeds unless the session already has a server seed, only while this instance holds the
+        // session. A client seed already in the row wins over clientSeed. Resolves to the client seed the run
+        // uses, or null when nothing was written.
+        async storeProvablyFairSeeds(sessionId, { serverSeed, serverSeedHash, clientSeed }) {
+            const updateRes = await pool.query(
+                `UPDATE de_jackpot_sessions
+                 SET provably_fair = TRUE, pf_server_seed = $1, pf_server_seed_hash = $2, pf_client_seed = COALESCE(pf_client_seed, $3)
+                 WHERE session_id = $4 AND pf_server_seed IS NULL AND status = 'active_by_helper' AND helper_instance_id = $5
+                 RETURNING pf_client_seed`,
+                [serverSeed, serverSeedHash, clientSeed, sessionId, instanceId]
+            );
+            return updateRes.rowCount > 0 ? updateRes.rows[0].pf_client_seed : null;
+        },
+
+        // Replaces the client seed of a provably-fair run (/clientseed), only while this instance holds the session
+        // and no roll has been recorded for it on any instance. Resolves to false when either no longer holds.
+        async storeClientSeed(sessionId, clientSeed) {
+            const updateRes = await pool.query(
+                `UPDATE de_jackpot_sessions SET pf_client_seed = $1
+                 WHERE session_id = $2 AND status = 'active_by_helper' AND helper_instance_id = $3
+                   AND NOT EXISTS (SELECT 1 FROM de_jackpot_roll_events WHERE session_id = $4)`,
+                [clientSeed, sessionId, instanceId, String(sessionId)]
+            );
+            return updateRes.rowCount > 0;
+        },
+
+        async storeRunCardMessageId(sessionId, messageId) {
+            await pool.query('UPDATE de_jackpot_sessions SET run_card_message_id = $1 WHERE session_id = $2', [messageId, sessionId]);
+        },
+
+        async storeTurnDeadline(sessionId, deadlineAt) {
+            await pool.query(
+                `UPDATE de_jackpot_sessions SET turn_deadline_at = $1
+                 WHERE session_id = $2 AND status = 'active_by_helper' AND helper_instance_id = $3`,
+                [deadlineAt, sessionId, instanceId]
+            );
+        },
+
+        // Writes the result for the main bot, only while this instance holds the session. Resolves to
+        // { chatId } when the row was updated, or null when it was finalized elsewhere or taken over.
+        // A null result sends no NOTIFY and queues nothing.
+        async finalizeSession(sessionId, { status, finalScore, finalRollsJson, outcomeNotes }) {
+            const finalizeParams = [status, finalScore, finalRollsJson, outcomeNotes, sessionId, instanceId];
+            if (resultNotifyChannel) finalizeParams.push(resultNotifyChannel);
+            const updateResult = await pool.query(finalizeSql, finalizeParams);
+            return updateResult.rowCount > 0 ? { chatId: updateResult.rows[0].chat_id } : null;
+        },
+
+        async loadChatSettings(chatId) {
+            const settingsRes = await pool.query(
+                `SELECT display_currency, display_locale, pool_asset_mint, pool_asset_decimals, pool_asset_symbol, language,
+                        announce_runs, announce_show_names, announce_chat_label
+                 FROM de_jackpot_chat_settings WHERE chat_id = $1`,
+                [String(chatId)]
+            );
+            return settingsRes.rows[0] || {};
+        }
+    };
+}
@@ -0,0 +1,199 @@
+// jackpot_sim_fakes.js - In-memory stand-ins for Postgres, Telegram, the clock and the price oracle
+//
+// Used by jackpot_simulate.js to play jackpot runs through jackpot_run_engine.js without a database, a bot
+// token or real time passing. Each fake keeps just enough state to answer the engine the way the real thing
+// would; nothing is shared between instances.
+
+// Deterministic 32-bit PRNG (mulberry32) for reproducible simulations. Returns floats in [0, 1).
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Time only moves when something sleeps or the simulator calls advance(). setInterval is recorded but never
+// fires on its own; the simulator drives the turn deadline ticker by hand.
+export function createVirtualClock(startAt = Date.UTC(2024, 0, 1)) {
+    let currentTime = startAt;
+    let nextIntervalId = 1;
+    return {
+        now: () => currentTime,
+        sleep: async (ms) => { currentTime += Math.max(0, ms); },
+        setInterval: () => nextIntervalId++,
+        clearInterval: () => {},
+        advance(ms) { currentTime += Math.max(0, ms); }
+    };
+}
+
+// Same methods as jackpot_session_store.js, over a Map of de_jackpot_sessions rows and an array of roll events
+// per session. Leases never expire on their own; expireLease() stands in for a crashed owner.
+export function createMemorySessionStore({ instanceId, clock, leaseTtlMs = 60000 }) {
+    const sessions = new Map(); // Key: session_id (string), Value: row
+    const rollEvents = new Map(); // Key: session_id (string), Value: [event]
+    const chatSettings = new Map(); // Key: chat_id (string), Value: de_jackpot_chat_settings row
+    let claimingPaused = false;
+
+    const holds = (row) => row && row.status === 'active_by_helper' && row.helper_instance_id === instanceId;
+    const leaseExpired = (row) => row.lease_expires_at === null || row.lease_expires_at.getTime() < clock.now();
+    const grantLease = (row) => {
+        row.lease_expires_at = new Date(clock.now() + leaseTtlMs);
+        row.updated_at = new Date(clock.now());
+    };
+
+    return {
+        // --- Simulator side ---
+        addSession(row) {
+            const sessionRow = {
+                status: 'pending_pickup',
+                initial_rolls_json: '[]',
+                helper_bot_id: null,
+                helper_instance_id: null,
+                lease_expires_at: null,
+                run_card_message_id: null,
+                turn_deadline_at: null,
+                final_score: null,
+                final_rolls_json: null,
+                outcome_notes: null,
+                created_at: new Date(clock.now()),
+                updated_at: new Date(clock.now()),
+                ...row
+            };
+            sessions.set(String(sessionRow.session_id), sessionRow);
+            rollEvents.set(String(sessionRow.session_id), []);
+            return sessionRow;
+        },
+        getSession: (sessionId) => sessions.get(String(sessionId)) || null,
+        allSessions: () => Array.from(sessions.values()),
+        setChatSettings(chatId, settings) { chatSettings.set(String(chatId), settings); },
+        setClaimingPaused(paused) { claimingPaused = paused; },
+        expireLease(sessionId) {
+            const row = sessions.get(String(sessionId));
+            if (row) row.lease_expires_at = new Date(clock.now() - 1);
+        },
+
+        // --- Store interface (see jackpot_session_store.js) ---
+        async claimNextSession({ helperBotId }) {
+            const candidates = Array.from(sessions.values())
+                .filter(row => row.status === 'pending_resume' || (row.status === 'pending_pickup' && !claimingPaused))
+                .sort((a, b) => (b.status === 'pending_resume') - (a.status === 'pending_resume') || a.created_at - b.created_at);
+            const candidate = candidates[0];
+            if (!candidate) return { candidate: null, claimed: null };
+            const candidateSnapshot = { ...candidate };
+            Object.assign(candidate, { status: 'active_by_helper', helper_bot_id: helperBotId, helper_instance_id: instanceId });
+            grantLease(candidate);
+            return { candidate: candidateSnapshot, claimed: { ...candidate } };
+        },
+        async renewLeases(sessionIds) {
+            const renewed = new Set();
+            for (const sessionId of sessionIds.map(String)) {
+                const row = sessions.get(sessionId);
+                if (!holds(row)) continue;
+                grantLease(row);
+                renewed.add(sessionId);
+            }
+            return renewed;
+        },
+        async findOrphanedSessions({ includeOwn }) {
+            return Array.from(sessions.values())
+                .filter(row => row.status === 'active_by_helper' && (leaseExpired(row) || (includeOwn && row.helper_instance_id === instanceId)))
+                .map(row => ({ ...row }));
+        },
+        async takeOverOrphanedSession(sessionId, { helperBotId, includeOwn }) {
+            const row = sessions.get(String(sessionId));
+            if (!row || row.status !== 'active_by_helper') return null;
+            if (!leaseExpired(row) && !(includeOwn && row.helper_instance_id === instanceId)) return null;
+            Object.assign(row, { helper_bot_id: helperBotId, helper_instance_id: instanceId });
+            grantLease(row);
+            return { ...row };
+        },
+        async recordRoll({ sessionId, rollIndex, rollValue, runningTotal, telegramMessageId = null, pfNonce = null }) {
+            if (!holds(sessions.get(String(sessionId)))) return false;
+            const events = rollEvents.get(String(sessionId));
+            if (events.some(event => event.roll_index === rollIndex)) throw new Error(`duplicate key value violates unique constraint (roll_index ${rollIndex})`);
+            events.push({ roll_index: rollIndex, roll_value: rollValue, running_total: runningTotal, telegram_message_id: telegramMessageId || null, pf_nonce: pfNonce, rolled_at: new Date(clock.now()) });
+            return true;
+        },
+        async loadRolls(sessionId) {
+            return [...(rollEvents.get(String(sessionId)) || [])].sort((a, b) => a.roll_index - b.roll_index);
+        },
+        async storeProvablyFairSeeds(sessionId, { serverSeed, serverSeedHash, clientSeed }) {
+            const row = sessions.get(String(sessionId));
+            if (!holds(row) || row.pf_server_seed) return null;
+            Object.assign(row, { provably_fair: true, pf_server_seed: serverSeed, pf_server_seed_hash: serverSeedHash, pf_client_seed: row.pf_client_seed || clientSeed });
+            return row.pf_client_seed;
+        },
+        async storeClientSeed(sessionId, clientSeed) {
+            const row = sessions.get(String(sessionId));
+            if (!holds(row) || rollEvents.get(String(sessionId)).length > 0) return false;
+            row.pf_client_seed = clientSeed;
+            return true;
+        },
+        async storeRunCardMessageId(sessionId, messageId) {
+            const row = sessions.get(String(sessionId));
+            if (row) row.run_card_message_id = messageId;
+        },
+        async storeTurnDeadline(sessionId, deadlineAt) {
+            const row = sessions.get(String(sessionId));
+            if (holds(row)) row.turn_deadline_at = deadlineAt;
+        },
+        async finalizeSession(sessionId, { status, finalScore, finalRollsJson, outcomeNotes }) {
+            const row = sessions.get(String(sessionId));
+            if (!holds(row)) return null;
+            Object.assign(row, { status, final_score: finalScore, final_rolls_json: finalRollsJson, outcome_notes: outcomeNotes, lease_expires_at: null, updated_at: new Date(clock.now()) });
+            return { chatId: row.chat_id };
+        },
+        async loadChatSettings(chatId) {
+            return chatSettings.get(String(chatId)) || {};
+        }
+    };
+}
+
+// The bot methods the engine calls. sendDice lands a value from rollDice(emoji), so a seeded simulation
+// stays reproducible. Every call is counted in calls[method].
+export function createFakeTelegram({ rollDice }) {
+    let nextMessageId = 1;
+    const liveMessages = new Set(); // "<chat_id>:<message_id>"
+    const calls = { sendMessage: 0, editMessageText: 0, deleteMessage: 0, sendDice: 0 };
+    const messageKey = (chatId, messageId) => `${chatId}:${messageId}`;
+    const telegramError = (errorCode, description) => Object.assign(new Error(`ETELEGRAM: ${errorCode} ${description}`), {
+        code: 'ETELEGRAM',
+        response: { body: { ok: false, error_code: errorCode, description } }
+    });
+
+    function send(chatId, extra = {}) {
+        const message = { message_id: nextMessageId++, chat: { id: chatId }, ...extra };
+        liveMessages.add(messageKey(chatId, message.message_id));
+        return message;
+    }
+
+    return {
+        calls,
+        async sendMessage(chatId, text) {
+            calls.sendMessage++;
+            return send(chatId, { text });
+        },
+        async editMessageText(text, { chat_id: chatId, message_id: messageId }) {
+            calls.editMessageText++;
+            if (!liveMessages.has(messageKey(chatId, messageId))) throw telegramError(400, 'Bad Request: message to edit not found');
+            return { message_id: messageId, chat: { id: chatId }, text };
+        },
+        async deleteMessage(chatId, messageId) {
+            calls.deleteMessage++;
+            return liveMessages.delete(messageKey(chatId, messageId));
+        },
+        async sendDice(chatId, { emoji = '🎲' } = {}) {
+            calls.sendDice++;
+            return send(chatId, { dice: { emoji, value: rollDice(emoji) } });
+        }
+    };
+}
+
+// Every pair is quoted at the same fixed price.
+export function createFixedPrices(price = 150) {
+    return { getQuote: async () => ({ price, source: 'fixed', aggregation: 'fixed', ageMs: 0 }) };
+}
@@ -0,0 +1,299 @@
+// jackpot_simulate.js - Offline simulation harness for jackpot runs
+//
+// Plays thousands of runs through the real run engine (jackpot_run_engine.js) against the in-memory fakes in
+// jackpot_sim_fakes.js: no database, no bot token, and a virtual clock, so turn timeouts cost no real time.
+// Every run is claimed, prompted, rolled (scripted values, or random ones from a seeded RNG), timed out when
+// the simulated player idles, and finalized. The report shows how the runs ended and, for runs played out
+// without idling or a script, checks those frequencies against the exact probabilities from the rules.
+//
+//   node jackpot_simulate.js --runs 10000 --target 25 --bust-on 1
+//   node jackpot_simulate.js --rule-set hot_streak --idle-rate 0.2 --policy auto_roll --via button
+//   node jackpot_simulate.js --runs 1 --script 6,6,5,4,3 --log-level info
+//
+// Exits with 1 when an observed frequency is outside the tolerance, a run's stored rolls don't replay to its
+// final status, or a run never ended.
+
+import { resolveJackpotRules, replayJackpotRun, jackpotOutcomeProbabilities } from './jackpot_rules.js';
+import { createMessageCatalog } from './jackpot_messages.js';
+import { createHelperMetrics } from './jackpot_metrics.js';
+import { createLogger } from './jackpot_logger.js';
+import { TURN_TIMEOUT_POLICIES, parseReminderPoints, resolveTurnSettings } from './jackpot_turn_timer.js';
+import { createJackpotRunEngine } from './jackpot_run_engine.js';
+import { createSeededRandom, createVirtualClock, createMemorySessionStore, createFakeTelegram, createFixedPrices } from './jackpot_sim_fakes.js';
+
+const USAGE = `Usage: node jackpot_simulate.js [options]
+  --runs N             Runs to play (default 1000)
+  --target N           target_jackpot_score (default 25)
+  --bust-on V|none     bust_on_value (default 1)
+  --initial-score N    initial_score carried into the run (default 0)
+  --rule-set NAME      rule_set, e.g. classic, snake_eyes, hot_streak, sudden_death (default classic)
+  --rules JSON         rules_json overrides, e.g. '{"maxRolls":8}'
+  --script V,V,...     Dice values every run starts with; random values follow once they run out
+  --seed N             RNG seed (default 1)
+  --idle-rate P        Chance the player lets a turn time out instead of rolling (default 0)
+  --policy NAME        Turn timeout policy: ${Object.values(TURN_TIMEOUT_POLICIES).join(', ')} (default forfeit)
+  --timeout-ms N       Turn timeout (default 45000); --reminders-ms "15000,5000" sets the reminder points
+  --via dice|button    Roll with the player's own dice or the Roll button (default dice)
+  --provably-fair      Derive rolls from the provably-fair seeds instead of the dice
+  --tolerance K        Allowed deviation in standard errors (default 4)
+  --log-level LEVEL    Engine log level (default error)`;
+
+const FLAGS_WITHOUT_VALUE = new Set(['provably-fair', 'help']);
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) throw new Error(`Unexpected argument "${arg}".`);
+        const name = arg.slice(2);
+        if (FLAGS_WITHOUT_VALUE.has(name)) {
+            options[name] = true;
+        } else {
+            if (i + 1 >= argv.length) throw new Error(`--${name} needs a value.`);
+            options[name] = argv[++i];
+        }
+    }
+    return options;
+}
+
+function parseIntOption(options, name, defaultValue) {
+    if (options[name] === undefined) return defaultValue;
+    const value = Number(options[name]);
+    if (!Number.isInteger(value)) throw new Error(`--${name} must be a whole number (got "${options[name]}").`);
+    return value;
+}
+
+function parseSimulationOptions(argv) {
+    const options = parseArgs(argv);
+    const knownOptions = new Set(['runs', 'target', 'bust-on', 'initial-score', 'rule-set', 'rules', 'script', 'seed', 'idle-rate', 'policy',
+                                  'timeout-ms', 'reminders-ms', 'via', 'provably-fair', 'tolerance', 'log-level', 'help']);
+    for (const name of Object.keys(options)) {
+        if (!knownOptions.has(name)) throw new Error(`Unknown option --${name}.`);
+    }
+    const idleRate = options['idle-rate'] === undefined ? 0 : Number(options['idle-rate']);
+    if (!(idleRate >= 0 && idleRate < 1)) throw new Error(`--idle-rate must be at least 0 and below 1 (got "${options['idle-rate']}").`);
+    const via = options.via || 'dice';
+    if (!['dice', 'button'].includes(via)) throw new Error(`--via must be dice or button (got "${via}").`);
+    const script = options.script ? options.script.split(',').map(value => Number(value.trim())) : [];
+    if (script.some(value => !Number.isInteger(value))) throw new Error(`--script must be comma-separated whole numbers (got "${options.script}").`);
+    const tolerance = options.tolerance === undefined ? 4 : Number(options.tolerance);
+    if (!(tolerance > 0)) throw new Error(`--tolerance must be a positive number (got "${options.tolerance}").`);
+    if (options.rules) JSON.parse(options.rules); // Fails early on malformed JSON
+
+    return {
+        help: Boolean(options.help),
+        runs: parseIntOption(options, 'runs', 1000),
+        seed: parseIntOption(options, 'seed', 1),
+        idleRate,
+        via,
+        script,
+        tolerance,
+        provablyFair: Boolean(options['provably-fair']),
+        logLevel: options['log-level'] || 'error',
+        sessionTemplate: {
+            target_jackpot_score: parseIntOption(options, 'target', 25),
+            bust_on_value: options['bust-on'] === 'none' ? null : parseIntOption(options, 'bust-on', 1),
+            initial_score: parseIntOption(options, 'initial-score', 0),
+            rule_set: options['rule-set'] || 'classic',
+            rules_json: options.rules || null,
+            turn_timeout_ms: parseIntOption(options, 'timeout-ms', 45000),
+            turn_reminders_ms: options['reminders-ms'] !== undefined ? options['reminders-ms'] : '15000',
+            turn_timeout_policy: options.policy || TURN_TIMEOUT_POLICIES.forfeit,
+            provably_fair: Boolean(options['provably-fair'])
+        }
+    };
+}
+
+// Lets every promise chain the engine started (it doesn't await its Telegram sends) run to completion. The
+// fakes never wait on real I/O or timers, so one macrotask turn drains them.
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+async function simulate(simulation) {
+    const instanceId = 'simulator';
+    const random = createSeededRandom(simulation.seed);
+    const clock = createVirtualClock();
+    const store = createMemorySessionStore({ instanceId, clock });
+    let scriptedValues = [];
+    const nextDiceValue = (minValue, maxValue) => (scriptedValues.length > 0
+        ? scriptedValues.shift()
+        : minValue + Math.floor(random() * (maxValue - minValue + 1)));
+    const rules = resolveJackpotRules(simulation.sessionTemplate);
+    const telegram = createFakeTelegram({ rollDice: () => nextDiceValue(rules.minValue, rules.maxValue) });
+    const logger = createLogger({ level: simulation.logLevel, format: 'pretty', base: { helper_instance: instanceId } });
+    const settings = {
+        instanceId,
+        turnDefaults: resolveTurnSettings({}, { timeoutMs: 45000, reminderPointsMs: parseReminderPoints('15000'), policy: TURN_TIMEOUT_POLICIES.forfeit }),
+        maxAutoRolls: 3,
+        turnResumeMinMs: 15000,
+        turnTickIntervalMs: 1000,
+        countdownIntervalMs: 5000,
+        diceAnimationDelayMs: 3500,
+        allowStopButton: true,
+        provablyFairDefault: false,
+        displayDefaults: { currency: 'USD', locale: 'en-US' }
+    };
+    const engine = createJackpotRunEngine({
+        store,
+        telegram,
+        clock,
+        prices: createFixedPrices(),
+        messages: createMessageCatalog(),
+        metrics: createHelperMetrics({ getActiveSessionCount: () => engine.activeSessions.size }),
+        logger,
+        settings,
+        getHelperBotId: () => 'SimulatedHelperBot'
+    });
+    const playerLog = logger.child({ component: 'Simulator' });
+    const maxTurnsPerRun = 1000;
+    const stuckSessionIds = [];
+
+    // The player sits the turn out: time passes one tick at a time until the timeout policy has acted.
+    async function letTurnTimeOut(sessionData) {
+        const deadlineAt = sessionData.turnDeadlineAt;
+        const maxTicks = Math.ceil(sessionData.turnSettings.timeoutMs / settings.turnTickIntervalMs) + 10;
+        for (let tick = 0; tick < maxTicks && engine.activeSessions.has(sessionData.session_id) && sessionData.turnDeadlineAt === deadlineAt; tick++) {
+            clock.advance(settings.turnTickIntervalMs);
+            engine.tickTurnDeadlines();
+            await settle();
+        }
+    }
+
+    for (let runIndex = 0; runIndex < simulation.runs; runIndex++) {
+        const sessionId = `sim-${runIndex + 1}`;
+        store.addSession({
+            ...simulation.sessionTemplate,
+            session_id: sessionId,
+            user_id: 1000 + (runIndex % 50),
+            chat_id: -100 - (runIndex % 5),
+            jackpot_pool_at_session_start: '25000000000'
+        });
+        scriptedValues = [...simulation.script];
+        await engine.claimPendingSessions(1);
+        await settle();
+
+        for (let turn = 0; engine.activeSessions.has(sessionId); turn++) {
+            if (turn >= maxTurnsPerRun) {
+                stuckSessionIds.push(sessionId);
+                await engine.finalizeJackpotSession(sessionId, 'error_simulation_stuck', 0, [], `Still running after ${maxTurnsPerRun} turns.`);
+                break;
+            }
+            const sessionData = engine.activeSessions.get(sessionId);
+            if (random() < simulation.idleRate) {
+                await letTurnTimeOut(sessionData);
+            } else if (simulation.via === 'button') {
+                await engine.rollJackpotRunForPlayer(sessionId, sessionData, playerLog, 'button');
+            } else {
+                // With provably-fair rolls the engine ignores this value, as it does with a real dice message.
+                await engine.rollFromPlayerDice(sessionId, sessionData, nextDiceValue(rules.minValue, rules.maxValue), null);
+            }
+            await settle();
+        }
+    }
+    engine.stopTurnDeadlineTicker();
+
+    return { rules, store, telegram, stuckSessionIds };
+}
+
+// A finished run's stored roll events must replay to its final status: the rules decide bust, target and roll
+// limit outcomes, and a run that ended any other way (timeout, stop) must not have been decided by its rolls.
+async function checkRunConsistency(store, rules) {
+    const mismatches = [];
+    for (const row of store.allSessions()) {
+        const rollEvents = await store.loadRolls(row.session_id);
+        const rollValues = rollEvents.map(rollEvent => rollEvent.roll_value);
+        const replay = replayJackpotRun(rules, row.initial_score, rollValues);
+        const replayedStatus = replay.outcome ? replay.outcome.status : null;
+        const decidedByRolls = ['completed_bust', 'completed_target_reached', 'completed_max_rolls'].includes(row.status);
+        if ((decidedByRolls && replayedStatus !== row.status) || (!decidedByRolls && replayedStatus !== null)) {
+            mismatches.push(`${row.session_id}: status ${row.status}, rolls ${rollValues.join(',')} replay to ${replayedStatus || 'an unfinished run'}`);
+        } else if (row.final_score !== replay.totalScore || row.final_rolls_json !== JSON.stringify(rollValues)) {
+            mismatches.push(`${row.session_id}: final score ${row.final_score} / rolls ${row.final_rolls_json} don't match the roll log (${replay.totalScore} / ${JSON.stringify(rollValues)})`);
+        }
+    }
+    return mismatches;
+}
+
+function formatPercent(fraction) {
+    return `${(fraction * 100).toFixed(2)}%`;
+}
+
+async function main() {
+    let simulation;
+    try {
+        simulation = parseSimulationOptions(process.argv.slice(2));
+        resolveJackpotRules(simulation.sessionTemplate);
+        resolveTurnSettings(simulation.sessionTemplate, {});
+    } catch (optionError) {
+        console.error(`${optionError.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (simulation.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const startedAt = Date.now();
+    const { rules, store, telegram, stuckSessionIds } = await simulate(simulation);
+    const rows = store.allSessions();
+    const runCount = rows.length;
+
+    const statusCounts = {};
+    let totalRolls = 0;
+    let totalFinalScore = 0;
+    for (const row of rows) {
+        statusCounts[row.status] = (statusCounts[row.status] || 0) + 1;
+        totalRolls += JSON.parse(row.final_rolls_json || '[]').length;
+        totalFinalScore += row.final_score || 0;
+    }
+
+    // Idling and scripted rolls change the odds, so only plain random play is held to the theory.
+    const isTheoryComparable = simulation.idleRate === 0 && simulation.script.length === 0;
+    const expected = isTheoryComparable ? jackpotOutcomeProbabilities(rules, simulation.sessionTemplate.initial_score) : {};
+    const statuses = [...new Set([...Object.keys(statusCounts), ...Object.keys(expected)])].sort();
+
+    const template = simulation.sessionTemplate;
+    console.log(`Simulated ${runCount} run(s) in ${Date.now() - startedAt}ms: rule set ${template.rule_set}, target ${rules.targetScore}, ` +
+                `bust on ${rules.bustValues.join('/') || 'nothing'}, initial score ${template.initial_score}, seed ${simulation.seed}` +
+                `${simulation.idleRate > 0 ? `, idle rate ${simulation.idleRate} (${template.turn_timeout_policy})` : ''}` +
+                `${simulation.script.length > 0 ? `, script ${simulation.script.join(',')}` : ''}, via ${simulation.via}${simulation.provablyFair ? ' (provably fair)' : ''}`);
+    console.log('');
+    console.log(`${'status'.padEnd(28)}${'runs'.padStart(8)}${'observed'.padStart(11)}${'expected'.padStart(11)}  verdict`);
+
+    let hasFailures = false;
+    for (const status of statuses) {
+        const count = statusCounts[status] || 0;
+        const observed = runCount > 0 ? count / runCount : 0;
+        let expectedColumn = 'n/a';
+        let verdict = '';
+        if (isTheoryComparable) {
+            const probability = expected[status] || 0;
+            const allowedDeviation = simulation.tolerance * Math.sqrt(probability * (1 - probability) / Math.max(runCount, 1));
+            const isWithinTolerance = probability === 0 ? count === 0 : Math.abs(observed - probability) <= allowedDeviation;
+            if (!isWithinTolerance) hasFailures = true;
+            expectedColumn = formatPercent(probability);
+            verdict = isWithinTolerance ? `ok (±${formatPercent(allowedDeviation)})` : `OFF (allowed ±${formatPercent(allowedDeviation)})`;
+        }
+        console.log(`${status.padEnd(28)}${String(count).padStart(8)}${formatPercent(observed).padStart(11)}${expectedColumn.padStart(11)}  ${verdict}`);
+    }
+    console.log('');
+    console.log(`Average rolls per run: ${(totalRolls / Math.max(runCount, 1)).toFixed(2)}; average final score: ${(totalFinalScore / Math.max(runCount, 1)).toFixed(2)}`);
+    console.log(`Telegram calls: ${Object.entries(telegram.calls).map(([method, count]) => `${method} ${count}`).join(', ')}`);
+    if (!isTheoryComparable) console.log('Outcome frequencies were not checked: idling and scripted rolls change the odds.');
+
+    const mismatches = await checkRunConsistency(store, rules);
+    if (mismatches.length > 0) {
+        hasFailures = true;
+        console.log(`\n${mismatches.length} run(s) whose roll log disagrees with the stored result:`);
+        for (const mismatch of mismatches.slice(0, 10)) console.log(`  ${mismatch}`);
+    }
+    if (stuckSessionIds.length > 0) {
+        hasFailures = true;
+        console.log(`\n${stuckSessionIds.length} run(s) never ended: ${stuckSessionIds.slice(0, 10).join(', ')}`);
+    }
+    process.exitCode = hasFailures ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error(`Simulation failed: ${error.stack || error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,247 @@
+// jackpot_telegram_queue.js - Rate-limit aware outbound queue for the helper's Telegram calls
+//
+// The run engine sends through createTelegramQueue(...).client instead of the bot. Calls to one chat go out
+// one at a time and in order, so a run's final result can't overtake the card edit before it. The queue keeps
+// to Telegram's limits: about one message a second per chat, 20 a minute in a group, and a global rate across
+// all chats. A 429 pauses the chat for its retry_after. Network failures and 5xx responses are retried with
+// exponential backoff. Guaranteed calls (final results) keep retrying until guaranteedMs has passed.
+// A permanent chat error (bot blocked or kicked, chat deleted) fails the call and everything queued behind it
+// for that chat. Other rejections (bad request, message to edit not found) fail only the call itself.
+
+export const TELEGRAM_ERROR_KINDS = Object.freeze({
+    rateLimited: 'rate_limited',
+    transient: 'transient',
+    permanentChat: 'permanent_chat',
+    rejected: 'rejected',
+});
+
+// 400 descriptions that mean the chat itself is gone or closed to the bot; every other 400 concerns only the call.
+const PERMANENT_CHAT_ERROR_PATTERN = /chat not found|group chat was (deleted|upgraded)|bot was kicked|bot is not a member|have no rights to send|not enough rights to send|chat_write_forbidden|need administrator rights|peer_id_invalid|user is deactivated/i;
+
+export function classifyTelegramError(error) {
+    const body = error && error.response && error.response.body;
+    const errorCode = body && body.error_code;
+    if (!errorCode) return TELEGRAM_ERROR_KINDS.transient; // EFATAL (network) or EPARSE (a proxy's HTML error page)
+    if (errorCode === 429) return TELEGRAM_ERROR_KINDS.rateLimited;
+    if (errorCode >= 500) return TELEGRAM_ERROR_KINDS.transient;
+    if (errorCode === 403) return TELEGRAM_ERROR_KINDS.permanentChat;
+    if (errorCode === 400 && PERMANENT_CHAT_ERROR_PATTERN.test(body.description || '')) return TELEGRAM_ERROR_KINDS.permanentChat;
+    return TELEGRAM_ERROR_KINDS.rejected;
+}
+
+export function isPermanentChatError(error) {
+    return classifyTelegramError(error) === TELEGRAM_ERROR_KINDS.permanentChat;
+}
+
+function retryAfterMs(error) {
+    const parameters = error.response && error.response.body && error.response.body.parameters;
+    return parameters && parameters.retry_after ? parameters.retry_after * 1000 : 1000;
+}
+
+// Group and channel ids are negative.
+const isGroupChat = (chatId) => String(chatId).startsWith('-');
+
+//   telegram: the bot (sendMessage, editMessageText, deleteMessage, sendDice).
+//   globalPerSecond: calls per second across all chats. chatIntervalMs / groupPerMinute: spacing per chat.
+//   maxRetries: retries of a transient failure for an ordinary call; 429s don't count.
+//   guaranteedMs: how long a guaranteed call keeps retrying (transient failures and 429s alike), and how long
+//     an ordinary call keeps waiting out 429s.
+//   onRetry({ method, kind, delayMs, error }): called before every retry, e.g. for metrics.
+//   logger: a jackpot_logger.js logger.
+export function createTelegramQueue({
+    telegram,
+    globalPerSecond = 25,
+    chatIntervalMs = 1000,
+    groupPerMinute = 20,
+    maxRetries = 5,
+    retryBaseMs = 500,
+    retryMaxMs = 30000,
+    guaranteedMs = 600000,
+    onRetry = () => {},
+    logger,
+    now = () => Date.now()
+}) {
+    const globalGapMs = Math.ceil(1000 / globalPerSecond);
+    const groupIntervalMs = Math.max(chatIntervalMs, Math.ceil(60000 / groupPerMinute));
+    const chats = new Map(); // chatId -> { jobs: [], nextAt, isBusy }; iteration order is the round-robin order
+    let globalNextAt = 0;
+    let pumpTimeoutId = null;
+    let isStopped = false;
+    let idleWaiters = [];
+
+    function chatQueue(chatId) {
+        const key = String(chatId);
+        if (!chats.has(key)) chats.set(key, { chatId: key, jobs: [], nextAt: 0, isBusy: false });
+        return chats.get(key);
+    }
+
+    function pendingCount() {
+        let count = 0;
+        for (const chat of chats.values()) count += chat.jobs.length + (chat.isBusy ? 1 : 0);
+        return count;
+    }
+
+    function notifyIfIdle() {
+        if (pendingCount() > 0) return;
+        const waiters = idleWaiters;
+        idleWaiters = [];
+        for (const resolve of waiters) resolve(true);
+    }
+
+    function schedulePump() {
+        if (isStopped || pumpTimeoutId) return;
+        let earliestAt = Infinity;
+        for (const chat of chats.values()) {
+            if (!chat.isBusy && chat.jobs.length > 0) earliestAt = Math.min(earliestAt, Math.max(chat.nextAt, chat.jobs[0].notBefore));
+        }
+        if (earliestAt === Infinity) return;
+        pumpTimeoutId = setTimeout(() => {
+            pumpTimeoutId = null;
+            pump();
+        }, Math.max(0, earliestAt - now(), globalNextAt - now()));
+    }
+
+    function pump() {
+        if (pumpTimeoutId) clearTimeout(pumpTimeoutId);
+        pumpTimeoutId = null;
+        if (isStopped) return;
+        for (const chat of Array.from(chats.values())) {
+            if (globalNextAt > now()) break;
+            if (chat.isBusy) continue;
+            if (chat.jobs.length === 0) {
+                if (chat.nextAt <= now()) chats.delete(chat.chatId); // Idle and past its spacing
+                continue;
+            }
+            const job = chat.jobs[0];
+            if (Math.max(chat.nextAt, job.notBefore) > now()) continue;
+            chat.jobs.shift();
+            chat.isBusy = true;
+            chats.delete(chat.chatId); // Served chats go to the back of the line
+            chats.set(chat.chatId, chat);
+            globalNextAt = now() + globalGapMs;
+            execute(chat, job);
+        }
+        schedulePump();
+    }
+
+    async function execute(chat, job) {
+        job.attempts++;
+        try {
+            const result = await telegram[job.method](...job.args);
+            if (job.countsAsMessage) chat.nextAt = now() + (isGroupChat(chat.chatId) ? groupIntervalMs : chatIntervalMs);
+            settle(job, null, result);
+        } catch (error) {
+            handleFailure(chat, job, error);
+        } finally {
+            chat.isBusy = false;
+            notifyIfIdle();
+            pump();
+        }
+    }
+
+    function handleFailure(chat, job, error) {
+        const kind = classifyTelegramError(error);
+        const jobLog = logger.child({ component: 'TelegramQueue', chat_id: chat.chatId });
+        if (kind === TELEGRAM_ERROR_KINDS.permanentChat) {
+            const dropped = chat.jobs.splice(0);
+            jobLog.warn('telegram.chat_unreachable', `${job.method} failed permanently (${error.message}); dropping ${dropped.length} queued call(s) for the chat.`,
+                { method: job.method, dropped_count: dropped.length, err: error });
+            settle(job, error);
+            for (const droppedJob of dropped) settle(droppedJob, error);
+            return;
+        }
+        const isWithinBudget = job.guaranteed || kind === TELEGRAM_ERROR_KINDS.rateLimited
+            ? now() - job.firstAttemptAt < guaranteedMs
+            : job.attempts <= maxRetries;
+        if (kind === TELEGRAM_ERROR_KINDS.rejected || !isWithinBudget || isStopped) {
+            if (kind !== TELEGRAM_ERROR_KINDS.rejected) {
+                jobLog.error('telegram.gave_up', `${job.method} failed after ${job.attempts} attempt(s): ${error.message}`, { method: job.method, attempts: job.attempts, err: error });
+            }
+            settle(job, error);
+            return;
+        }
+
+        let delayMs;
+        if (kind === TELEGRAM_ERROR_KINDS.rateLimited) {
+            delayMs = retryAfterMs(error);
+            chat.nextAt = now() + delayMs; // The whole chat waits; later calls must not overtake this one
+            jobLog.warn('telegram.rate_limited', `${job.method} rate-limited; retrying in ${Math.round(delayMs / 1000)}s.`, { method: job.method, retry_after_ms: delayMs });
+        } else {
+            const backoffMs = Math.min(retryMaxMs, retryBaseMs * 2 ** Math.min(job.attempts - 1, 16));
+            delayMs = Math.round(backoffMs / 2 + Math.random() * backoffMs / 2);
+            jobLog.warn('telegram.retrying', `${job.method} failed (${error.message}); retry ${job.attempts} in ${delayMs}ms.`, { method: job.method, attempt: job.attempts, delay_ms: delayMs, err: error });
+        }
+        onRetry({ method: job.method, kind, delayMs, error });
+        job.notBefore = now() + delayMs;
+        chat.jobs.unshift(job);
+    }
+
+    function settle(job, error, result) {
+        for (const { resolve, reject } of job.callers) {
+            if (error) reject(error);
+            else resolve(result);
+        }
+    }
+
+    // Edits of the same message collapse into the latest one, which moves to the back of the chat's queue so
+    // the chat still sees its calls in the order they were made.
+    function enqueue(chatId, method, args, { guaranteed = false, coalesceKey = null, countsAsMessage = true } = {}) {
+        if (isStopped) return Promise.reject(new Error('Telegram queue is stopped.'));
+        return new Promise((resolve, reject) => {
+            const chat = chatQueue(chatId);
+            const job = { method, args, guaranteed, coalesceKey, countsAsMessage, attempts: 0, notBefore: 0, firstAttemptAt: now(), callers: [{ resolve, reject }] };
+            if (coalesceKey) {
+                const supersededIndex = chat.jobs.findIndex(queued => queued.coalesceKey === coalesceKey && queued.attempts === 0);
+                if (supersededIndex !== -1) {
+                    const [superseded] = chat.jobs.splice(supersededIndex, 1);
+                    job.callers.unshift(...superseded.callers);
+                    job.guaranteed = job.guaranteed || superseded.guaranteed;
+                }
+            }
+            chat.jobs.push(job);
+            pump();
+        });
+    }
+
+    return {
+        // Drop-in for the bot methods the run engine uses. The optional last argument ({ guaranteed: true })
+        // is the queue's own; the bot itself ignores it, so the engine can run against either.
+        client: {
+            sendMessage: (chatId, text, options = {}, delivery = {}) =>
+                enqueue(chatId, 'sendMessage', [chatId, text, options], delivery),
+            editMessageText: (text, options = {}, delivery = {}) =>
+                enqueue(options.chat_id, 'editMessageText', [text, options], { ...delivery, coalesceKey: `edit:${options.message_id}` }),
+            deleteMessage: (chatId, messageId) =>
+                enqueue(chatId, 'deleteMessage', [chatId, messageId], { countsAsMessage: false }),
+            sendDice: (chatId, options = {}) =>
+                enqueue(chatId, 'sendDice', [chatId, options])
+        },
+        // Resolves to true once nothing is queued or in flight, or to false after timeoutMs.
+        drain(timeoutMs) {
+            if (pendingCount() === 0) return Promise.resolve(true);
+            return new Promise(resolve => {
+                const timeoutId = setTimeout(() => {
+                    idleWaiters = idleWaiters.filter(waiter => waiter !== finish);
+                    resolve(false);
+                }, timeoutMs);
+                const finish = (value) => {
+                    clearTimeout(timeoutId);
+                    resolve(value);
+                };
+                idleWaiters.push(finish);
+            });
+        },
+        // Fails everything still queued; calls already in flight finish without retries.
+        stop() {
+            isStopped = true;
+            if (pumpTimeoutId) clearTimeout(pumpTimeoutId);
+            pumpTimeoutId = null;
+            const stoppedError = new Error('Telegram queue stopped before the call was sent.');
+            for (const chat of chats.values()) {
+                for (const job of chat.jobs.splice(0)) settle(job, stoppedError);
+            }
+            notifyIfIdle();
+        },
+        get pendingCount() { return pendingCount(); }
+    };
+}
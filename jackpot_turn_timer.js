@@ -0,0 +1,72 @@
+// jackpot_turn_timer.js - Turn timeout settings and deadline scheduling for jackpot runs
+//
+// A session may carry its own turn timeout, reminder points and timeout policy (columns turn_timeout_ms,
+// turn_reminders_ms and turn_timeout_policy, set by the main bot); anything it leaves NULL comes from the
+// helper's defaults. The helper doesn't arm a timer per turn: each turn's deadline is stored on the session,
+// and one ticker asks nextTurnAction what is due. That way a failed send or a restart can't lose a timeout.
+
+export const TURN_TIMEOUT_POLICIES = Object.freeze({
+    forfeit: 'forfeit',   // The run ends as 'completed_timeout_forfeit'
+    autoRoll: 'auto_roll', // The helper rolls on the player's behalf and the run goes on
+    bank: 'bank',         // The run ends as 'completed_timeout_banked', keeping the score
+});
+
+const MIN_TURN_TIMEOUT_MS = 5000;
+const MAX_TURN_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+
+// Accepts an array of milliseconds (JSONB) or a comma-separated string ("15000,5000"). Returns the points
+// largest first, so the reminder with the most time left is sent first.
+export function parseReminderPoints(value) {
+    if (value === null || value === undefined || value === '') return [];
+    const rawPoints = Array.isArray(value) ? value : String(value).split(',').map(point => point.trim()).filter(Boolean);
+    const points = rawPoints.map(point => Number(point));
+    for (const point of points) {
+        if (!Number.isInteger(point) || point <= 0) throw new Error(`Turn reminder points must be positive whole milliseconds (got "${rawPoints.join(',')}").`);
+    }
+    return [...new Set(points)].sort((a, b) => b - a);
+}
+
+// Returns { timeoutMs, reminderPointsMs, policy } for a de_jackpot_sessions row. Throws on a value that is
+// set but invalid, like resolveJackpotRules does.
+//   defaults: the same shape, used for every column the row leaves NULL.
+export function resolveTurnSettings(sessionRow, defaults) {
+    const timeoutMs = sessionRow.turn_timeout_ms === null || sessionRow.turn_timeout_ms === undefined
+        ? defaults.timeoutMs
+        : Number(sessionRow.turn_timeout_ms);
+    if (!Number.isInteger(timeoutMs) || timeoutMs < MIN_TURN_TIMEOUT_MS || timeoutMs > MAX_TURN_TIMEOUT_MS) {
+        throw new Error(`Turn timeout must be between ${MIN_TURN_TIMEOUT_MS} and ${MAX_TURN_TIMEOUT_MS}ms (got ${timeoutMs}).`);
+    }
+
+    const reminderPointsMs = sessionRow.turn_reminders_ms === null || sessionRow.turn_reminders_ms === undefined
+        ? defaults.reminderPointsMs
+        : parseReminderPoints(sessionRow.turn_reminders_ms);
+
+    const policy = sessionRow.turn_timeout_policy || defaults.policy;
+    if (!Object.values(TURN_TIMEOUT_POLICIES).includes(policy)) {
+        throw new Error(`Unknown turn timeout policy "${policy}". Use one of: ${Object.values(TURN_TIMEOUT_POLICIES).join(', ')}.`);
+    }
+    // A reminder at or beyond the timeout would go out with the prompt itself, so it is dropped.
+    return { timeoutMs, reminderPointsMs: reminderPointsMs.filter(point => point < timeoutMs), policy };
+}
+
+// Reminder points that have already passed when a turn starts (e.g. a resumed turn with 10s left and a 15s
+// reminder). They count as sent; a reminder is only useful ahead of its point.
+export function remindersDueAtStart(reminderPointsMs, deadlineAt, now) {
+    return reminderPointsMs.filter(point => deadlineAt - now <= point);
+}
+
+// What the ticker should do for a turn right now:
+//   { type: 'timeout' } once the deadline has passed,
+//   { type: 'reminder', pointMs } for the largest reminder point reached but not yet sent,
+//   { type: 'countdown' } when the run card's countdown is due for a refresh,
+//   null otherwise.
+// turn: { deadlineAt, reminderPointsMs, remindersSent (Set of points), countdownRefreshedAt }.
+export function nextTurnAction(turn, now, { countdownIntervalMs }) {
+    if (!turn.deadlineAt) return null;
+    const remainingMs = turn.deadlineAt - now;
+    if (remainingMs <= 0) return { type: 'timeout' };
+    const duePoint = turn.reminderPointsMs.find(point => remainingMs <= point && !turn.remindersSent.has(point));
+    if (duePoint !== undefined) return { type: 'reminder', pointMs: duePoint };
+    if (now - turn.countdownRefreshedAt >= countdownIntervalMs) return { type: 'countdown' };
+    return null;
+}
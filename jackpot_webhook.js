@@ -0,0 +1,120 @@
+// jackpot_webhook.js - Telegram webhook receiver for the HelperDEJackpot bot
+//
+// In webhook mode Telegram POSTs every update to our public URL instead of the helper long-polling
+// getUpdates. The receiver only accepts requests carrying the secret token registered with setWebHook,
+// and asks the caller whether an update_id is new before handing it on, because Telegram redelivers an
+// update whenever a response is slow or fails.
+
+import http from 'http';
+import https from 'https';
+import fs from 'fs';
+import crypto from 'crypto';
+
+const SECRET_TOKEN_HEADER = 'x-telegram-bot-api-secret-token';
+const MAX_UPDATE_BYTES = 1024 * 1024; // Updates are a few KB; anything near this is not from Telegram
+
+// Telegram accepts 1-256 characters from A-Z, a-z, 0-9, "_" and "-".
+export function isValidWebhookSecret(secret) {
+    return typeof secret === 'string' && /^[A-Za-z0-9_-]{1,256}$/.test(secret);
+}
+
+function secretMatches(received, expected) {
+    const receivedBuffer = Buffer.from(String(received || ''));
+    const expectedBuffer = Buffer.from(expected);
+    return receivedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+// The most recent update_ids seen by this process, oldest evicted first. add() is true only the first time.
+export function createRecentUpdateIds(maxEntries = 10000) {
+    const seen = new Set();
+    return {
+        add(updateId) {
+            if (seen.has(updateId)) return false;
+            seen.add(updateId);
+            if (seen.size > maxEntries) seen.delete(seen.values().next().value);
+            return true;
+        },
+        forget(updateId) {
+            seen.delete(updateId);
+        }
+    };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_UPDATE_BYTES) {
+                reject(Object.assign(new Error('Update too large'), { statusCode: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// Starts the listener and resolves to the server once it is listening.
+//   path: the only path updates are accepted on (POST).
+//   secretToken: the value Telegram must send in X-Telegram-Bot-Api-Secret-Token.
+//   tlsKeyPath / tlsCertPath: serve HTTPS directly; without them plain HTTP is served for a TLS-terminating proxy.
+//   acceptUpdate(update): resolves true for a new update, false for one already handled. If it rejects, the
+//     request fails with 500 so Telegram delivers the update again later.
+//   onUpdate(update): called with each new update after Telegram has been answered.
+//   logger: a jackpot_logger.js logger.
+export function startWebhookServer({ port, host, path, secretToken, tlsKeyPath, tlsCertPath, acceptUpdate, onUpdate, logger }) {
+    const requestHandler = async (req, res) => {
+        const requestPath = (req.url || '').split('?')[0];
+        const respond = (statusCode, body) => {
+            res.writeHead(statusCode, { 'Content-Type': 'text/plain' });
+            res.end(`${body}\n`);
+        };
+        if (requestPath !== path) return respond(404, 'Not Found');
+        if (req.method !== 'POST') return respond(405, 'Method Not Allowed');
+        if (!secretMatches(req.headers[SECRET_TOKEN_HEADER], secretToken)) {
+            logger.warn('webhook.unauthorized', `Rejected a webhook request without a valid secret token from ${req.socket.remoteAddress}.`, { remote_address: req.socket.remoteAddress });
+            return respond(401, 'Unauthorized');
+        }
+
+        let update;
+        try {
+            update = JSON.parse(await readBody(req));
+        } catch (bodyError) {
+            return respond(bodyError.statusCode || 400, bodyError.statusCode ? bodyError.message : 'Invalid JSON');
+        }
+        if (!update || !Number.isInteger(update.update_id)) return respond(400, 'Missing update_id');
+
+        let isNewUpdate;
+        try {
+            isNewUpdate = await acceptUpdate(update);
+        } catch (acceptError) {
+            logger.error('webhook.accept_failed', `Could not record update ${update.update_id}; Telegram will redeliver it: ${acceptError.message}`, { update_id: update.update_id, err: acceptError });
+            return respond(500, 'Internal Error');
+        }
+        respond(200, 'ok');
+        if (!isNewUpdate) {
+            logger.debug('webhook.duplicate', `Ignored redelivered update ${update.update_id}.`, { update_id: update.update_id });
+            return;
+        }
+        try {
+            onUpdate(update);
+        } catch (handlerError) {
+            logger.error('webhook.handler_failed', `Error handling update ${update.update_id}: ${handlerError.message}`, { update_id: update.update_id, err: handlerError });
+        }
+    };
+
+    const server = tlsKeyPath && tlsCertPath
+        ? https.createServer({ key: fs.readFileSync(tlsKeyPath), cert: fs.readFileSync(tlsCertPath) }, requestHandler)
+        : http.createServer(requestHandler);
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve(server);
+        });
+    });
+}